@@ -0,0 +1,56 @@
+/**
+ * Create mysql_table, the people records filled by the form and CSV imports
+ * IF NOT EXISTS lets databases created by the old schema.sql adopt the migrations.
+ * SQLite gets CHECK constraints for the limits MySQL enforces through column types,
+ * a NOCASE email (MySQL's collation is case-insensitive) and a trigger for updated_at.
+ */
+
+module.exports = {
+    mysql: {
+        up: [
+            `CREATE TABLE IF NOT EXISTS mysql_table (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                first_name VARCHAR(20) NOT NULL,
+                last_name VARCHAR(20) NOT NULL,
+                email VARCHAR(255) NOT NULL,
+                phone_number VARCHAR(20) NULL,
+                eircode VARCHAR(10) NULL,
+                age TINYINT UNSIGNED NULL,
+                created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                UNIQUE KEY uq_mysql_table_email (email)
+            )`
+        ],
+        down: [
+            'DROP TABLE IF EXISTS mysql_table'
+        ]
+    },
+    sqlite: {
+        up: [
+            `CREATE TABLE IF NOT EXISTS mysql_table (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                first_name VARCHAR(20) NOT NULL CHECK (length(first_name) <= 20),
+                last_name VARCHAR(20) NOT NULL CHECK (length(last_name) <= 20),
+                email VARCHAR(255) NOT NULL COLLATE NOCASE CHECK (length(email) <= 255),
+                phone_number VARCHAR(20) NULL CHECK (length(phone_number) <= 20),
+                eircode VARCHAR(10) NULL CHECK (length(eircode) <= 10),
+                age INTEGER NULL CHECK (age BETWEEN 0 AND 255),
+                created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                CONSTRAINT uq_mysql_table_email UNIQUE (email)
+            )`,
+            `CREATE TRIGGER IF NOT EXISTS trg_mysql_table_updated_at
+             AFTER UPDATE ON mysql_table
+             FOR EACH ROW
+             WHEN NEW.first_name IS NOT OLD.first_name OR NEW.last_name IS NOT OLD.last_name
+               OR NEW.email IS NOT OLD.email OR NEW.phone_number IS NOT OLD.phone_number
+               OR NEW.eircode IS NOT OLD.eircode OR NEW.age IS NOT OLD.age
+             BEGIN
+                 UPDATE mysql_table SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+             END`
+        ],
+        down: [
+            'DROP TABLE IF EXISTS mysql_table'
+        ]
+    }
+};
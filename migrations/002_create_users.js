@@ -0,0 +1,36 @@
+/**
+ * Create users, the API accounts that log in and hold a role
+ */
+
+module.exports = {
+    mysql: {
+        up: [
+            `CREATE TABLE users (
+                id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+                username VARCHAR(50) NOT NULL,
+                password_hash VARCHAR(255) NOT NULL,
+                role ENUM('submitter', 'importer', 'viewer', 'admin') NOT NULL,
+                created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE KEY uq_users_username (username)
+            )`
+        ],
+        down: [
+            'DROP TABLE IF EXISTS users'
+        ]
+    },
+    sqlite: {
+        up: [
+            `CREATE TABLE users (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                username VARCHAR(50) NOT NULL CHECK (length(username) <= 50),
+                password_hash VARCHAR(255) NOT NULL,
+                role TEXT NOT NULL CHECK (role IN ('submitter', 'importer', 'viewer', 'admin')),
+                created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                CONSTRAINT uq_users_username UNIQUE (username)
+            )`
+        ],
+        down: [
+            'DROP TABLE IF EXISTS users'
+        ]
+    }
+};
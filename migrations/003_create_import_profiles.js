@@ -0,0 +1,44 @@
+/**
+ * Create import_profiles, saved CSV column mappings and parser settings
+ */
+
+module.exports = {
+    mysql: {
+        up: [
+            `CREATE TABLE import_profiles (
+                id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+                name VARCHAR(100) NOT NULL,
+                column_map JSON NOT NULL,
+                delimiter CHAR(1) NOT NULL DEFAULT ',',
+                quote_char CHAR(1) NOT NULL DEFAULT '"',
+                encoding VARCHAR(10) NOT NULL DEFAULT 'utf8',
+                has_header BOOLEAN NOT NULL DEFAULT TRUE,
+                created_by INT UNSIGNED NULL,
+                created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE KEY uq_import_profiles_name (name)
+            )`
+        ],
+        down: [
+            'DROP TABLE IF EXISTS import_profiles'
+        ]
+    },
+    sqlite: {
+        up: [
+            `CREATE TABLE import_profiles (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name VARCHAR(100) NOT NULL CHECK (length(name) <= 100),
+                column_map TEXT NOT NULL,
+                delimiter CHAR(1) NOT NULL DEFAULT ',',
+                quote_char CHAR(1) NOT NULL DEFAULT '"',
+                encoding VARCHAR(10) NOT NULL DEFAULT 'utf8',
+                has_header INTEGER NOT NULL DEFAULT 1,
+                created_by INTEGER NULL,
+                created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                CONSTRAINT uq_import_profiles_name UNIQUE (name)
+            )`
+        ],
+        down: [
+            'DROP TABLE IF EXISTS import_profiles'
+        ]
+    }
+};
@@ -0,0 +1,66 @@
+/**
+ * Create import_jobs, the background CSV imports and their progress counters
+ */
+
+module.exports = {
+    mysql: {
+        up: [
+            `CREATE TABLE import_jobs (
+                id CHAR(36) PRIMARY KEY,
+                status ENUM('queued', 'running', 'completed', 'failed', 'cancelled') NOT NULL,
+                mode ENUM('insert', 'upsert', 'skip', 'strict') NOT NULL DEFAULT 'upsert',
+                original_filename VARCHAR(255) NOT NULL,
+                created_by INT UNSIGNED NULL,
+                profile_id INT UNSIGNED NULL,
+                rows_processed INT UNSIGNED NOT NULL DEFAULT 0,
+                rows_valid INT UNSIGNED NOT NULL DEFAULT 0,
+                rows_rejected INT UNSIGNED NOT NULL DEFAULT 0,
+                rows_inserted INT UNSIGNED NOT NULL DEFAULT 0,
+                rows_updated INT UNSIGNED NOT NULL DEFAULT 0,
+                rows_skipped INT UNSIGNED NOT NULL DEFAULT 0,
+                rows_failed INT UNSIGNED NOT NULL DEFAULT 0,
+                batch_metrics JSON NULL,
+                error_message TEXT NULL,
+                created_at DATETIME NOT NULL,
+                started_at DATETIME NULL,
+                finished_at DATETIME NULL,
+                KEY idx_import_jobs_status (status),
+                CONSTRAINT fk_import_jobs_profile FOREIGN KEY (profile_id)
+                    REFERENCES import_profiles (id) ON DELETE SET NULL
+            )`
+        ],
+        down: [
+            'DROP TABLE IF EXISTS import_jobs'
+        ]
+    },
+    sqlite: {
+        up: [
+            `CREATE TABLE import_jobs (
+                id CHAR(36) PRIMARY KEY,
+                status TEXT NOT NULL CHECK (status IN ('queued', 'running', 'completed', 'failed', 'cancelled')),
+                mode TEXT NOT NULL DEFAULT 'upsert' CHECK (mode IN ('insert', 'upsert', 'skip', 'strict')),
+                original_filename VARCHAR(255) NOT NULL,
+                created_by INTEGER NULL,
+                profile_id INTEGER NULL,
+                rows_processed INTEGER NOT NULL DEFAULT 0,
+                rows_valid INTEGER NOT NULL DEFAULT 0,
+                rows_rejected INTEGER NOT NULL DEFAULT 0,
+                rows_inserted INTEGER NOT NULL DEFAULT 0,
+                rows_updated INTEGER NOT NULL DEFAULT 0,
+                rows_skipped INTEGER NOT NULL DEFAULT 0,
+                rows_failed INTEGER NOT NULL DEFAULT 0,
+                batch_metrics TEXT NULL,
+                error_message TEXT NULL,
+                created_at DATETIME NOT NULL,
+                started_at DATETIME NULL,
+                finished_at DATETIME NULL,
+                CONSTRAINT fk_import_jobs_profile FOREIGN KEY (profile_id)
+                    REFERENCES import_profiles (id) ON DELETE SET NULL
+            )`,
+            'CREATE INDEX idx_import_jobs_status ON import_jobs (status)'
+        ],
+        down: [
+            'DROP TABLE IF EXISTS import_jobs'
+        ]
+    }
+};
@@ -0,0 +1,40 @@
+/**
+ * Create import_rejected_rows, the original values and errors of rows an import rejected
+ */
+
+module.exports = {
+    mysql: {
+        up: [
+            `CREATE TABLE import_rejected_rows (
+                id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+                job_id CHAR(36) NOT NULL,
+                source_row INT UNSIGNED NOT NULL,
+                raw_data JSON NOT NULL,
+                errors JSON NOT NULL,
+                KEY idx_import_rejected_rows_job (job_id, id),
+                CONSTRAINT fk_import_rejected_rows_job FOREIGN KEY (job_id)
+                    REFERENCES import_jobs (id) ON DELETE CASCADE
+            )`
+        ],
+        down: [
+            'DROP TABLE IF EXISTS import_rejected_rows'
+        ]
+    },
+    sqlite: {
+        up: [
+            `CREATE TABLE import_rejected_rows (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                job_id CHAR(36) NOT NULL,
+                source_row INTEGER NOT NULL,
+                raw_data TEXT NOT NULL,
+                errors TEXT NOT NULL,
+                CONSTRAINT fk_import_rejected_rows_job FOREIGN KEY (job_id)
+                    REFERENCES import_jobs (id) ON DELETE CASCADE
+            )`,
+            'CREATE INDEX idx_import_rejected_rows_job ON import_rejected_rows (job_id, id)'
+        ],
+        down: [
+            'DROP TABLE IF EXISTS import_rejected_rows'
+        ]
+    }
+};
@@ -0,0 +1,45 @@
+/**
+ * Create audit_log, the change history of mysql_table records
+ * No foreign key to mysql_table: history must outlive deleted records.
+ */
+
+module.exports = {
+    mysql: {
+        up: [
+            `CREATE TABLE audit_log (
+                id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+                record_id INT NOT NULL,
+                operation ENUM('insert', 'update', 'delete') NOT NULL,
+                changed_by INT UNSIGNED NULL,
+                source VARCHAR(20) NULL,
+                source_ref VARCHAR(64) NULL,
+                changes JSON NOT NULL,
+                snapshot JSON NULL,
+                created_at DATETIME NOT NULL,
+                KEY idx_audit_log_record (record_id, id)
+            )`
+        ],
+        down: [
+            'DROP TABLE IF EXISTS audit_log'
+        ]
+    },
+    sqlite: {
+        up: [
+            `CREATE TABLE audit_log (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                record_id INTEGER NOT NULL,
+                operation TEXT NOT NULL CHECK (operation IN ('insert', 'update', 'delete')),
+                changed_by INTEGER NULL,
+                source VARCHAR(20) NULL,
+                source_ref VARCHAR(64) NULL,
+                changes TEXT NOT NULL,
+                snapshot TEXT NULL,
+                created_at DATETIME NOT NULL
+            )`,
+            'CREATE INDEX idx_audit_log_record ON audit_log (record_id, id)'
+        ],
+        down: [
+            'DROP TABLE IF EXISTS audit_log'
+        ]
+    }
+};
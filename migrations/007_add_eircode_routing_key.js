@@ -0,0 +1,52 @@
+/**
+ * Add eircode_routing_key, the first three characters of a valid Eircode, for reporting
+ * Existing rows get a routing key where their stored Eircode is valid; the stored values
+ * themselves are left as they are.
+ */
+
+const RecordSchema = require('../src/schema');
+
+/**
+ * Fill in the routing key of rows stored before this migration
+ * @param {Object} connection - Migration connection
+ */
+async function backfillRoutingKeys(connection) {
+    const [rows] = await connection.query('SELECT id, eircode FROM mysql_table WHERE eircode IS NOT NULL');
+
+    for (const row of rows) {
+        const parsed = RecordSchema.parseEircode(row.eircode);
+
+        if (parsed && parsed.knownRoutingKey) {
+            // updated_at = updated_at: deriving a column is not a change to the record
+            await connection.query(
+                'UPDATE mysql_table SET eircode_routing_key = ?, updated_at = updated_at WHERE id = ?',
+                [parsed.routingKey, row.id]
+            );
+        }
+    }
+}
+
+module.exports = {
+    mysql: {
+        up: [
+            `ALTER TABLE mysql_table
+                ADD COLUMN eircode_routing_key CHAR(3) NULL AFTER eircode,
+                ADD KEY idx_mysql_table_routing_key (eircode_routing_key)`,
+            backfillRoutingKeys
+        ],
+        down: [
+            'ALTER TABLE mysql_table DROP COLUMN eircode_routing_key'
+        ]
+    },
+    sqlite: {
+        up: [
+            'ALTER TABLE mysql_table ADD COLUMN eircode_routing_key CHAR(3) NULL',
+            'CREATE INDEX idx_mysql_table_routing_key ON mysql_table (eircode_routing_key)',
+            backfillRoutingKeys
+        ],
+        down: [
+            'DROP INDEX IF EXISTS idx_mysql_table_routing_key',
+            'ALTER TABLE mysql_table DROP COLUMN eircode_routing_key'
+        ]
+    }
+};
@@ -0,0 +1,106 @@
+/**
+ * Add duplicate matching: match keys on mysql_table, duplicate_candidates (the review
+ * queue of record pairs that probably describe the same person) and a count of the
+ * records each import flagged
+ * pair_key is "lowerId:higherId", so a pair is queued once whichever record was written last.
+ * No foreign keys to mysql_table: merged and dismissed entries stay as history.
+ */
+
+const Matching = require('../src/matching');
+
+/**
+ * Fill in the match keys of rows stored before this migration
+ * @param {Object} connection - Migration connection
+ */
+async function backfillMatchKeys(connection) {
+    const [rows] = await connection.query('SELECT id, first_name, last_name, email FROM mysql_table');
+
+    for (const row of rows) {
+        const keys = Matching.keys(row);
+
+        // updated_at = updated_at: deriving a column is not a change to the record
+        await connection.query(
+            'UPDATE mysql_table SET match_email = ?, match_name = ?, updated_at = updated_at WHERE id = ?',
+            [keys.match_email, keys.match_name, row.id]
+        );
+    }
+}
+
+module.exports = {
+    mysql: {
+        up: [
+            `ALTER TABLE mysql_table
+                ADD COLUMN match_email VARCHAR(255) NULL AFTER eircode_routing_key,
+                ADD COLUMN match_name VARCHAR(64) NULL AFTER match_email,
+                ADD KEY idx_mysql_table_match_email (match_email),
+                ADD KEY idx_mysql_table_match_name (match_name),
+                ADD KEY idx_mysql_table_phone (phone_number),
+                ADD KEY idx_mysql_table_eircode (eircode)`,
+            backfillMatchKeys,
+            `CREATE TABLE duplicate_candidates (
+                id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+                pair_key VARCHAR(32) NOT NULL,
+                record_id INT NOT NULL,
+                match_id INT NOT NULL,
+                score SMALLINT UNSIGNED NOT NULL,
+                reasons JSON NOT NULL,
+                status ENUM('pending', 'merged', 'dismissed') NOT NULL DEFAULT 'pending',
+                source VARCHAR(20) NULL,
+                source_ref VARCHAR(64) NULL,
+                created_at DATETIME NOT NULL,
+                resolved_by INT UNSIGNED NULL,
+                resolved_at DATETIME NULL,
+                UNIQUE KEY uq_duplicate_candidates_pair (pair_key),
+                KEY idx_duplicate_candidates_status (status, id)
+            )`,
+            'ALTER TABLE import_jobs ADD COLUMN rows_flagged INT UNSIGNED NOT NULL DEFAULT 0 AFTER rows_failed'
+        ],
+        down: [
+            'ALTER TABLE import_jobs DROP COLUMN rows_flagged',
+            'DROP TABLE IF EXISTS duplicate_candidates',
+            `ALTER TABLE mysql_table
+                DROP KEY idx_mysql_table_eircode,
+                DROP KEY idx_mysql_table_phone,
+                DROP COLUMN match_name,
+                DROP COLUMN match_email`
+        ]
+    },
+    sqlite: {
+        up: [
+            'ALTER TABLE mysql_table ADD COLUMN match_email VARCHAR(255) NULL',
+            'ALTER TABLE mysql_table ADD COLUMN match_name VARCHAR(64) NULL',
+            'CREATE INDEX idx_mysql_table_match_email ON mysql_table (match_email)',
+            'CREATE INDEX idx_mysql_table_match_name ON mysql_table (match_name)',
+            'CREATE INDEX idx_mysql_table_phone ON mysql_table (phone_number)',
+            'CREATE INDEX idx_mysql_table_eircode ON mysql_table (eircode)',
+            backfillMatchKeys,
+            `CREATE TABLE duplicate_candidates (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                pair_key VARCHAR(32) NOT NULL,
+                record_id INTEGER NOT NULL,
+                match_id INTEGER NOT NULL,
+                score INTEGER NOT NULL,
+                reasons TEXT NOT NULL,
+                status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'merged', 'dismissed')),
+                source VARCHAR(20) NULL,
+                source_ref VARCHAR(64) NULL,
+                created_at DATETIME NOT NULL,
+                resolved_by INTEGER NULL,
+                resolved_at DATETIME NULL,
+                CONSTRAINT uq_duplicate_candidates_pair UNIQUE (pair_key)
+            )`,
+            'CREATE INDEX idx_duplicate_candidates_status ON duplicate_candidates (status, id)',
+            'ALTER TABLE import_jobs ADD COLUMN rows_flagged INTEGER NOT NULL DEFAULT 0'
+        ],
+        down: [
+            'ALTER TABLE import_jobs DROP COLUMN rows_flagged',
+            'DROP TABLE IF EXISTS duplicate_candidates',
+            'DROP INDEX IF EXISTS idx_mysql_table_eircode',
+            'DROP INDEX IF EXISTS idx_mysql_table_phone',
+            'DROP INDEX IF EXISTS idx_mysql_table_match_name',
+            'DROP INDEX IF EXISTS idx_mysql_table_match_email',
+            'ALTER TABLE mysql_table DROP COLUMN match_name',
+            'ALTER TABLE mysql_table DROP COLUMN match_email'
+        ]
+    }
+};
@@ -0,0 +1,41 @@
+/**
+ * Create idempotency_keys, the responses stored for replay when a client retries a
+ * request with the same Idempotency-Key header
+ * key_hash scopes the key to the caller and route; status_code stays NULL while the
+ * first request is still running.
+ */
+
+module.exports = {
+    mysql: {
+        up: [
+            `CREATE TABLE idempotency_keys (
+                key_hash CHAR(64) PRIMARY KEY,
+                request_hash CHAR(64) NOT NULL,
+                status_code SMALLINT UNSIGNED NULL,
+                response_body MEDIUMTEXT NULL,
+                created_at DATETIME NOT NULL,
+                expires_at DATETIME NOT NULL,
+                KEY idx_idempotency_keys_expires (expires_at)
+            )`
+        ],
+        down: [
+            'DROP TABLE IF EXISTS idempotency_keys'
+        ]
+    },
+    sqlite: {
+        up: [
+            `CREATE TABLE idempotency_keys (
+                key_hash CHAR(64) PRIMARY KEY,
+                request_hash CHAR(64) NOT NULL,
+                status_code INTEGER NULL,
+                response_body TEXT NULL,
+                created_at DATETIME NOT NULL,
+                expires_at DATETIME NOT NULL
+            )`,
+            'CREATE INDEX idx_idempotency_keys_expires ON idempotency_keys (expires_at)'
+        ],
+        down: [
+            'DROP TABLE IF EXISTS idempotency_keys'
+        ]
+    }
+};
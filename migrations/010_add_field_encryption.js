@@ -0,0 +1,108 @@
+/**
+ * Make room for encrypted personal data (see src/encryption.js): widen email, phone_number
+ * and eircode to hold ciphertext and add their blind index columns. Only the email index is
+ * unique; it takes over from the unique email once email is encrypted.
+ * Existing values are left as they are; `npm run reencrypt` encrypts them.
+ *
+ * SQLite cannot change a column's CHECK constraint, so the table is rebuilt there, keeping
+ * the AUTOINCREMENT counter so ids of deleted records (still named in audit_log) are not reused.
+ */
+
+// mysql_table columns carried over by the SQLite rebuild
+const COLUMNS = [
+    'id', 'first_name', 'last_name', 'email', 'phone_number', 'eircode', 'age', 'created_at', 'updated_at',
+    'eircode_routing_key', 'match_email', 'match_name'
+];
+
+const BLIND_INDEX_COLUMNS = ['email_bidx', 'phone_number_bidx', 'eircode_bidx'];
+
+/**
+ * SQLite statements rebuilding mysql_table with the given limits
+ * @param {Object} limits - { email, phone_number, eircode } maximum lengths
+ * @param {boolean} blindIndexes - Whether the rebuilt table has the blind index columns
+ * @returns {Array} SQL statements
+ */
+function rebuildSqliteTable(limits, blindIndexes) {
+    const indexColumns = blindIndexes
+        ? `email_bidx CHAR(64) NULL,
+                phone_number_bidx CHAR(64) NULL,
+                eircode_bidx CHAR(64) NULL,
+                CONSTRAINT uq_mysql_table_email_bidx UNIQUE (email_bidx),`
+        : '';
+
+    return [
+        'DROP TRIGGER IF EXISTS trg_mysql_table_updated_at',
+        `CREATE TABLE mysql_table_rebuilt (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                first_name VARCHAR(20) NOT NULL CHECK (length(first_name) <= 20),
+                last_name VARCHAR(20) NOT NULL CHECK (length(last_name) <= 20),
+                email VARCHAR(${limits.email}) NOT NULL COLLATE NOCASE CHECK (length(email) <= ${limits.email}),
+                phone_number VARCHAR(${limits.phone_number}) NULL CHECK (length(phone_number) <= ${limits.phone_number}),
+                eircode VARCHAR(${limits.eircode}) NULL CHECK (length(eircode) <= ${limits.eircode}),
+                age INTEGER NULL CHECK (age BETWEEN 0 AND 255),
+                created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                eircode_routing_key CHAR(3) NULL,
+                match_email VARCHAR(255) NULL,
+                match_name VARCHAR(64) NULL,
+                ${indexColumns}
+                CONSTRAINT uq_mysql_table_email UNIQUE (email)
+            )`,
+        `INSERT INTO mysql_table_rebuilt (${COLUMNS.join(', ')}) SELECT ${COLUMNS.join(', ')} FROM mysql_table`,
+        "DELETE FROM sqlite_sequence WHERE name = 'mysql_table_rebuilt'",
+        `INSERT INTO sqlite_sequence (name, seq)
+             SELECT 'mysql_table_rebuilt', seq FROM sqlite_sequence WHERE name = 'mysql_table'`,
+        'DROP TABLE mysql_table',
+        'ALTER TABLE mysql_table_rebuilt RENAME TO mysql_table',
+        'CREATE INDEX idx_mysql_table_routing_key ON mysql_table (eircode_routing_key)',
+        'CREATE INDEX idx_mysql_table_match_email ON mysql_table (match_email)',
+        'CREATE INDEX idx_mysql_table_match_name ON mysql_table (match_name)',
+        'CREATE INDEX idx_mysql_table_phone ON mysql_table (phone_number)',
+        'CREATE INDEX idx_mysql_table_eircode ON mysql_table (eircode)',
+        ...(blindIndexes ? [
+            'CREATE INDEX idx_mysql_table_phone_bidx ON mysql_table (phone_number_bidx)',
+            'CREATE INDEX idx_mysql_table_eircode_bidx ON mysql_table (eircode_bidx)'
+        ] : []),
+        `CREATE TRIGGER trg_mysql_table_updated_at
+             AFTER UPDATE ON mysql_table
+             FOR EACH ROW
+             WHEN NEW.first_name IS NOT OLD.first_name OR NEW.last_name IS NOT OLD.last_name
+               OR NEW.email IS NOT OLD.email OR NEW.phone_number IS NOT OLD.phone_number
+               OR NEW.eircode IS NOT OLD.eircode OR NEW.age IS NOT OLD.age
+             BEGIN
+                 UPDATE mysql_table SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+             END`
+    ];
+}
+
+module.exports = {
+    mysql: {
+        up: [
+            `ALTER TABLE mysql_table
+                MODIFY email VARCHAR(512) NOT NULL,
+                MODIFY phone_number VARCHAR(255) NULL,
+                MODIFY eircode VARCHAR(255) NULL,
+                ADD COLUMN email_bidx CHAR(64) NULL AFTER match_name,
+                ADD COLUMN phone_number_bidx CHAR(64) NULL AFTER email_bidx,
+                ADD COLUMN eircode_bidx CHAR(64) NULL AFTER phone_number_bidx,
+                ADD UNIQUE KEY uq_mysql_table_email_bidx (email_bidx),
+                ADD KEY idx_mysql_table_phone_bidx (phone_number_bidx),
+                ADD KEY idx_mysql_table_eircode_bidx (eircode_bidx)`
+        ],
+        // Fails while values are still encrypted: decrypt them first (ENCRYPTED_FIELDS= npm run reencrypt)
+        down: [
+            `ALTER TABLE mysql_table
+                DROP KEY uq_mysql_table_email_bidx,
+                DROP KEY idx_mysql_table_phone_bidx,
+                DROP KEY idx_mysql_table_eircode_bidx,
+                ${BLIND_INDEX_COLUMNS.map(column => `DROP COLUMN ${column}`).join(',\n                ')},
+                MODIFY email VARCHAR(255) NOT NULL,
+                MODIFY phone_number VARCHAR(20) NULL,
+                MODIFY eircode VARCHAR(10) NULL`
+        ]
+    },
+    sqlite: {
+        up: rebuildSqliteTable({ email: 512, phone_number: 255, eircode: 255 }, true),
+        down: rebuildSqliteTable({ email: 255, phone_number: 20, eircode: 10 }, false)
+    }
+};
@@ -0,0 +1,51 @@
+/**
+ * Add data-subject request handling (see src/compliance.js): compliance_log, the record of
+ * every access, erasure and retention run, and mysql_table.anonymised_at, set when a record's
+ * personal data has been replaced so retention does not process it again.
+ * subject_ref is a hash of the email address, so the log holds no personal data itself.
+ */
+
+module.exports = {
+    mysql: {
+        up: [
+            `CREATE TABLE compliance_log (
+                id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+                action ENUM('access', 'erasure', 'anonymisation', 'retention') NOT NULL,
+                subject_ref CHAR(64) NULL,
+                requested_by INT UNSIGNED NULL,
+                details JSON NOT NULL,
+                created_at DATETIME NOT NULL,
+                KEY idx_compliance_log_subject (subject_ref)
+            )`,
+            `ALTER TABLE mysql_table
+                ADD COLUMN anonymised_at DATETIME NULL AFTER updated_at,
+                ADD KEY idx_mysql_table_updated_at (updated_at)`
+        ],
+        down: [
+            `ALTER TABLE mysql_table
+                DROP KEY idx_mysql_table_updated_at,
+                DROP COLUMN anonymised_at`,
+            'DROP TABLE IF EXISTS compliance_log'
+        ]
+    },
+    sqlite: {
+        up: [
+            `CREATE TABLE compliance_log (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                action TEXT NOT NULL CHECK (action IN ('access', 'erasure', 'anonymisation', 'retention')),
+                subject_ref CHAR(64) NULL,
+                requested_by INTEGER NULL,
+                details TEXT NOT NULL,
+                created_at DATETIME NOT NULL
+            )`,
+            'CREATE INDEX idx_compliance_log_subject ON compliance_log (subject_ref)',
+            'ALTER TABLE mysql_table ADD COLUMN anonymised_at DATETIME NULL',
+            'CREATE INDEX idx_mysql_table_updated_at ON mysql_table (updated_at)'
+        ],
+        down: [
+            'DROP INDEX IF EXISTS idx_mysql_table_updated_at',
+            'ALTER TABLE mysql_table DROP COLUMN anonymised_at',
+            'DROP TABLE IF EXISTS compliance_log'
+        ]
+    }
+};
@@ -0,0 +1,80 @@
+/**
+ * Create webhooks, the URLs registered to receive events (see src/webhooks), and
+ * webhook_deliveries, one row per event and webhook: the outbox the dispatcher sends from,
+ * and the dead-letter list once a delivery has run out of attempts.
+ * events is a JSON array of event types; payload is the JSON body sent, kept so a dead
+ * delivery can be sent again.
+ */
+
+module.exports = {
+    mysql: {
+        up: [
+            `CREATE TABLE webhooks (
+                id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+                url VARCHAR(2048) NOT NULL,
+                secret CHAR(64) NOT NULL,
+                events JSON NOT NULL,
+                active BOOLEAN NOT NULL DEFAULT TRUE,
+                created_by INT UNSIGNED NULL,
+                created_at DATETIME NOT NULL
+            )`,
+            `CREATE TABLE webhook_deliveries (
+                id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+                webhook_id INT UNSIGNED NOT NULL,
+                event_id CHAR(36) NOT NULL,
+                event_type VARCHAR(50) NOT NULL,
+                payload MEDIUMTEXT NOT NULL,
+                status ENUM('pending', 'sending', 'delivered', 'dead') NOT NULL DEFAULT 'pending',
+                attempts SMALLINT UNSIGNED NOT NULL DEFAULT 0,
+                next_attempt_at DATETIME NOT NULL,
+                last_status_code SMALLINT UNSIGNED NULL,
+                last_error VARCHAR(500) NULL,
+                created_at DATETIME NOT NULL,
+                delivered_at DATETIME NULL,
+                KEY idx_webhook_deliveries_due (status, next_attempt_at),
+                KEY idx_webhook_deliveries_created (created_at),
+                CONSTRAINT fk_webhook_deliveries_webhook FOREIGN KEY (webhook_id)
+                    REFERENCES webhooks (id) ON DELETE CASCADE
+            )`
+        ],
+        down: [
+            'DROP TABLE IF EXISTS webhook_deliveries',
+            'DROP TABLE IF EXISTS webhooks'
+        ]
+    },
+    sqlite: {
+        up: [
+            `CREATE TABLE webhooks (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                url VARCHAR(2048) NOT NULL,
+                secret CHAR(64) NOT NULL,
+                events TEXT NOT NULL,
+                active BOOLEAN NOT NULL DEFAULT 1,
+                created_by INTEGER NULL,
+                created_at DATETIME NOT NULL
+            )`,
+            `CREATE TABLE webhook_deliveries (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                webhook_id INTEGER NOT NULL,
+                event_id CHAR(36) NOT NULL,
+                event_type VARCHAR(50) NOT NULL,
+                payload TEXT NOT NULL,
+                status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sending', 'delivered', 'dead')),
+                attempts INTEGER NOT NULL DEFAULT 0,
+                next_attempt_at DATETIME NOT NULL,
+                last_status_code INTEGER NULL,
+                last_error VARCHAR(500) NULL,
+                created_at DATETIME NOT NULL,
+                delivered_at DATETIME NULL,
+                CONSTRAINT fk_webhook_deliveries_webhook FOREIGN KEY (webhook_id)
+                    REFERENCES webhooks (id) ON DELETE CASCADE
+            )`,
+            'CREATE INDEX idx_webhook_deliveries_due ON webhook_deliveries (status, next_attempt_at)',
+            'CREATE INDEX idx_webhook_deliveries_created ON webhook_deliveries (created_at)'
+        ],
+        down: [
+            'DROP TABLE IF EXISTS webhook_deliveries',
+            'DROP TABLE IF EXISTS webhooks'
+        ]
+    }
+};
@@ -0,0 +1,98 @@
+/**
+ * Audit Trail Module
+ * Builds audit_log entries describing how a mysql_table record changed
+ */
+
+// Record fields whose changes are tracked
+const AUDITED_FIELDS = ['first_name', 'last_name', 'email', 'phone_number', 'eircode', 'age'];
+
+class Audit {
+    static get AUDITED_FIELDS() {
+        return AUDITED_FIELDS;
+    }
+
+    /**
+     * Build the audit context for a request
+     * @param {Object} req - Request object (user, id)
+     * @param {string} source - form, import, api, revert or merge
+     * @param {string} sourceRef - Request id or import job id (defaults to the request id)
+     * @returns {Object} { userId, source, sourceRef }
+     */
+    static context(req, source, sourceRef) {
+        return {
+            userId: req.user ? req.user.id : null,
+            source: source,
+            sourceRef: sourceRef || req.id || null
+        };
+    }
+
+    /**
+     * Work out which fields changed between two versions of a record
+     * @param {Object} before - Stored values before the change (null for an insert)
+     * @param {Object} after - Stored values after the change (null for a delete)
+     * @returns {Object} { field: { before, after } } for every changed field
+     */
+    static diff(before, after) {
+        const changes = {};
+
+        for (const field of AUDITED_FIELDS) {
+            const oldValue = before ? this.normalize(before[field]) : null;
+            const newValue = after ? this.normalize(after[field]) : null;
+
+            if (String(oldValue) !== String(newValue)) {
+                changes[field] = { before: oldValue, after: newValue };
+            }
+        }
+
+        return changes;
+    }
+
+    /**
+     * Build an audit_log entry, or null when nothing changed
+     * @param {Object} before - Row before the change (null for an insert)
+     * @param {Object} after - Row after the change (null for a delete)
+     * @param {Object} context - { userId, source, sourceRef }
+     * @returns {Object|null} Audit entry
+     */
+    static entry(before, after, context = {}) {
+        const changes = this.diff(before, after);
+
+        if (Object.keys(changes).length === 0) return null;
+
+        return {
+            recordId: (after || before).id,
+            operation: !before ? 'insert' : (!after ? 'delete' : 'update'),
+            changedBy: context.userId || null,
+            source: context.source || null,
+            sourceRef: context.sourceRef || null,
+            changes: changes,
+            snapshot: after ? this.snapshot(after) : null
+        };
+    }
+
+    /**
+     * Copy the audited fields of a row (what a revert restores)
+     * @param {Object} row - Record row
+     * @returns {Object} Audited field values
+     */
+    static snapshot(row) {
+        const values = {};
+
+        for (const field of AUDITED_FIELDS) {
+            values[field] = this.normalize(row[field]);
+        }
+
+        return values;
+    }
+
+    /**
+     * Treat missing values and NULL the same
+     * @param {*} value - Field value
+     * @returns {*} Value or null
+     */
+    static normalize(value) {
+        return value === undefined || value === '' ? null : value;
+    }
+}
+
+module.exports = Audit;
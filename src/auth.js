@@ -0,0 +1,123 @@
+/**
+ * Authentication Module
+ * Password hashing and signed token handling for API users
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const config = require('./config');
+const logger = require('./logger');
+
+// Roles that routes can require (admin is allowed everywhere)
+const ROLES = Object.freeze({
+    SUBMITTER: 'submitter', // Public form submitter (anonymous callers get this role)
+    IMPORTER: 'importer',   // May upload CSV files
+    VIEWER: 'viewer',       // Read-only access to records
+    ADMIN: 'admin'          // Full access, including user management
+});
+
+const SCRYPT_KEY_LENGTH = 64;
+
+// Without a configured secret tokens are only valid until the process restarts
+const TOKEN_SECRET = config.JWT_SECRET || crypto.randomBytes(32).toString('hex');
+
+if (!config.JWT_SECRET) {
+    logger.warn('JWT_SECRET is not set - using a random secret, tokens will not survive a restart');
+}
+
+// Hash compared against when a username does not exist, so timing does not reveal valid usernames
+const DUMMY_HASH = `scrypt$${'0'.repeat(32)}$${'0'.repeat(SCRYPT_KEY_LENGTH * 2)}`;
+
+class Auth {
+    static get ROLES() {
+        return ROLES;
+    }
+
+    /**
+     * Check that a role name is one of the known roles
+     * @param {string} role - Role name
+     * @returns {boolean} Validation result
+     */
+    static isValidRole(role) {
+        return Object.values(ROLES).includes(role);
+    }
+
+    /**
+     * Hash a password with a random salt
+     * @param {string} password - Plaintext password
+     * @returns {Promise<string>} Encoded hash ("scrypt$salt$hash")
+     */
+    static async hashPassword(password) {
+        const salt = crypto.randomBytes(16).toString('hex');
+        const hash = await this.scrypt(password, salt);
+        return `scrypt$${salt}$${hash.toString('hex')}`;
+    }
+
+    /**
+     * Verify a password against a stored hash
+     * @param {string} password - Plaintext password
+     * @param {string} storedHash - Hash produced by hashPassword (or null for unknown users)
+     * @returns {Promise<boolean>} True if the password matches
+     */
+    static async verifyPassword(password, storedHash) {
+        const [scheme, salt, expected] = (storedHash || DUMMY_HASH).split('$');
+        if (scheme !== 'scrypt' || !salt || !expected) return false;
+
+        const actual = await this.scrypt(String(password), salt);
+        const expectedBuffer = Buffer.from(expected, 'hex');
+
+        return Boolean(storedHash)
+            && expectedBuffer.length === actual.length
+            && crypto.timingSafeEqual(expectedBuffer, actual);
+    }
+
+    /**
+     * Promise wrapper around crypto.scrypt
+     * @param {string} password - Plaintext password
+     * @param {string} salt - Hex salt
+     * @returns {Promise<Buffer>} Derived key
+     */
+    static scrypt(password, salt) {
+        return new Promise((resolve, reject) => {
+            crypto.scrypt(password, salt, SCRYPT_KEY_LENGTH, (error, key) => {
+                if (error) return reject(error);
+                resolve(key);
+            });
+        });
+    }
+
+    /**
+     * Issue a signed token for a user
+     * @param {Object} user - User row (id, username, role)
+     * @returns {Object} { token, expiresIn }
+     */
+    static issueToken(user) {
+        const expiresIn = config.JWT_EXPIRES_IN;
+        const token = jwt.sign(
+            { sub: String(user.id), username: user.username, role: user.role },
+            TOKEN_SECRET,
+            { expiresIn: expiresIn, algorithm: 'HS256' }
+        );
+
+        return { token, expiresIn };
+    }
+
+    /**
+     * Verify a token and return the user it was issued for
+     * @param {string} token - Signed token
+     * @returns {Object} { id, username, role }
+     * @throws {Error} If the token is invalid or expired
+     */
+    static verifyToken(token) {
+        const payload = jwt.verify(token, TOKEN_SECRET, { algorithms: ['HS256'] });
+
+        return {
+            id: parseInt(payload.sub),
+            username: payload.username,
+            role: payload.role
+        };
+    }
+}
+
+module.exports = Auth;
@@ -0,0 +1,44 @@
+/**
+ * Form Challenge Providers
+ * An optional human check (CAPTCHA-style) on public form submissions, chosen with
+ * FORM_CHALLENGE. The form sends the provider's answer as challengeResponse.
+ *
+ * A provider is { name, async verify(response, req) -> boolean }. To add one (a hosted
+ * CAPTCHA, say), write its verify call and register it in CHALLENGES.
+ */
+
+const config = require('./config');
+
+// Answer the stub provider accepts (CHALLENGE_STUB_ANSWER), for tests and local runs
+const STUB_ANSWER = config.CHALLENGE_STUB_ANSWER;
+
+const CHALLENGES = {
+    // No challenge: every submission passes
+    none: () => ({
+        name: 'none',
+        verify: async () => true
+    }),
+
+    // Local stand-in for a real provider: passes when the answer is STUB_ANSWER
+    stub: () => ({
+        name: 'stub',
+        verify: async (response) => response === STUB_ANSWER
+    })
+};
+
+/**
+ * Create the challenge provider of the given type
+ * @param {string} type - none or stub
+ * @returns {Object} Provider
+ */
+function createChallenge(type = config.FORM_CHALLENGE) {
+    const factory = CHALLENGES[type];
+
+    if (!factory) {
+        throw new Error(`Unknown FORM_CHALLENGE "${type}" (expected ${Object.keys(CHALLENGES).join(', ')})`);
+    }
+
+    return factory();
+}
+
+module.exports = { createChallenge, CHALLENGES };
@@ -0,0 +1,163 @@
+/**
+ * Compliance Module
+ * Data-subject requests and the retention policy, each written to compliance_log:
+ *   access    - everything held about an email address (see database.findSubjectData)
+ *   erasure   - delete it, or anonymise the record and delete the rest
+ *   retention - records not changed for RETENTION_DAYS are anonymised (RETENTION_ACTION=anonymise,
+ *               the default) or deleted (delete); leftovers of deleted records, old imports and
+ *               old webhook deliveries are deleted. Run it daily with `npm run retention`;
+ *               without RETENTION_DAYS it does nothing.
+ *
+ * The log names the person by a hash of the email address, never the address itself: a keyed
+ * hash while encryption is on (see encryption.js), a plain SHA-256 otherwise.
+ */
+
+const crypto = require('crypto');
+
+const config = require('./config');
+const database = require('./database');
+const Encryption = require('./encryption');
+
+const ERASURE_MODES = ['erase', 'anonymise'];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const RETENTION = { days: config.RETENTION_DAYS, action: config.RETENTION_ACTION };
+
+class Compliance {
+    static get ERASURE_MODES() {
+        return ERASURE_MODES;
+    }
+
+    /**
+     * Retention policy in force
+     * @returns {Object} { days (null when off), action }
+     */
+    static get RETENTION() {
+        return RETENTION;
+    }
+
+    /**
+     * Reference to a person for the compliance log
+     * @param {string} email - Email address
+     * @returns {string} Hex hash
+     */
+    static subjectRef(email) {
+        const normalized = email.trim().toLowerCase();
+
+        return Encryption.ENABLED
+            ? Encryption.keyedHash('subject', normalized)
+            : crypto.createHash('sha256').update(normalized).digest('hex');
+    }
+
+    /**
+     * Answer a subject access request
+     * @param {string} email - Email address
+     * @param {Object} user - Requesting user
+     * @returns {Promise} Everything held about the address
+     */
+    static async access(email, user) {
+        const found = await database.findSubjectData(email);
+        const data = {
+            email: email,
+            record: found.record,
+            history: found.auditEntries.map(entry => ({
+                recordId: entry.record_id,
+                operation: entry.operation,
+                source: entry.source,
+                sourceRef: entry.source_ref,
+                changes: entry.changes,
+                createdAt: entry.created_at
+            })),
+            // The other record of a pair is someone else's data: only its id is given
+            duplicates: found.duplicateCandidates.map(candidate => ({
+                recordId: candidate.record_id,
+                matchId: candidate.match_id,
+                score: candidate.score,
+                reasons: candidate.reasons,
+                status: candidate.status,
+                createdAt: candidate.created_at
+            })),
+            rejectedImportRows: found.rejectedRows.map(row => ({
+                importId: row.jobId,
+                row: row.row,
+                values: row.raw,
+                errors: row.errors
+            })),
+            storedResponses: found.storedResponses.map(response => ({
+                statusCode: response.status_code,
+                body: response.response_body,
+                createdAt: response.created_at,
+                expiresAt: response.expires_at
+            })),
+            webhookEvents: found.webhookDeliveries.map(delivery => ({
+                webhookId: delivery.webhook_id,
+                event: delivery.payload,
+                status: delivery.status,
+                deliveredAt: delivery.delivered_at
+            }))
+        };
+
+        await database.writeComplianceLog({
+            action: 'access',
+            subjectRef: this.subjectRef(email),
+            requestedBy: user ? user.id : null,
+            details: {
+                record: found.record ? found.record.id : null,
+                auditEntries: data.history.length,
+                duplicateCandidates: data.duplicates.length,
+                rejectedRows: data.rejectedImportRows.length,
+                storedResponses: data.storedResponses.length,
+                webhookDeliveries: data.webhookEvents.length
+            }
+        });
+
+        return data;
+    }
+
+    /**
+     * Answer an erasure request
+     * @param {string} email - Email address
+     * @param {string} mode - erase or anonymise
+     * @param {Object} user - Requesting user
+     * @returns {Promise} Counts of what was removed
+     */
+    static async erase(email, mode, user) {
+        if (!ERASURE_MODES.includes(mode)) {
+            throw new Error(`Unknown erasure mode "${mode}" (expected ${ERASURE_MODES.join(', ')})`);
+        }
+
+        const counts = await database.eraseSubjectData(email, { anonymise: mode === 'anonymise' });
+
+        await database.writeComplianceLog({
+            action: mode === 'anonymise' ? 'anonymisation' : 'erasure',
+            subjectRef: this.subjectRef(email),
+            requestedBy: user ? user.id : null,
+            details: counts
+        });
+
+        return counts;
+    }
+
+    /**
+     * Apply the retention policy
+     * @param {Object} user - Requesting user (null when run from the command line)
+     * @returns {Promise} { cutoff, action, counts }, or null when retention is off
+     */
+    static async applyRetention(user = null) {
+        if (RETENTION.days === null) return null;
+
+        const cutoff = new Date(Date.now() - RETENTION.days * DAY);
+        const counts = await database.applyRetention({ cutoff: cutoff, anonymise: RETENTION.action === 'anonymise' });
+
+        await database.writeComplianceLog({
+            action: 'retention',
+            requestedBy: user ? user.id : null,
+            details: { days: RETENTION.days, action: RETENTION.action, cutoff: cutoff.toISOString(), ...counts }
+        });
+
+        return { cutoff: cutoff, action: RETENTION.action, counts: counts };
+    }
+}
+
+module.exports = Compliance;
@@ -0,0 +1,372 @@
+/**
+ * Configuration Module
+ * Every setting the application reads, checked against SETTINGS when this module is first
+ * required: a bad value stops the process with a message naming the setting, instead of
+ * surfacing on the first request that uses it. Modules read settings from here, never from
+ * process.env.
+ *
+ * Where a value comes from, the first found winning:
+ *   1. the environment
+ *   2. <NAME>_FILE, for secrets: the file's contents (e.g. Docker secrets under /run/secrets)
+ *   3. .env.<profile>, then .env, in the working directory
+ *   4. the profile's defaults (PROFILES), then the setting's default
+ * An empty value counts as unset.
+ *
+ * The profile is NODE_ENV: development (the default), test or production. In production the
+ * server refuses to start while a credential is missing or still has its default value (see
+ * insecureSettings).
+ *
+ * Variables that look like settings but are not (DB_PASWORD) are reported in warnings.
+ * Check a configuration without starting anything: npm run config
+ */
+
+const fs = require('fs');
+const dotenv = require('dotenv');
+
+// The application user's password in local setups (it used to be hard-coded), so never safe in production
+const DEFAULT_DB_PASSWORD = 'Pass1234!';
+
+// Shortest JWT_SECRET / CSRF_SECRET accepted in production
+const MIN_SECRET_LENGTH = 32;
+
+// Prefixes shared with other programs' variables (NODE_OPTIONS), never reported as typos
+const FOREIGN_PREFIXES = ['NODE_'];
+
+/*
+ * Types:
+ *   string  - as given
+ *   integer - whole number within min/max
+ *   enum    - one of values
+ *   json    - a JSON object (its contents are checked by the module using it)
+ * secret: true allows <NAME>_FILE and hides the value when printed.
+ */
+const SETTINGS = {
+    // Server
+    NODE_ENV: { type: 'enum', values: ['development', 'test', 'production'], default: 'development' },
+    PORT: { type: 'integer', min: 1, max: 65535, default: 3000 },
+    UPLOAD_PATH: { type: 'string', default: './uploads' },
+    MAX_FILE_SIZE: { type: 'integer', min: 1, default: 10 * 1024 * 1024 },
+    UPLOAD_MAX_ROWS: { type: 'integer', min: 1, default: 1000 * 1000 },
+    UPLOAD_MAX_LINE_LENGTH: { type: 'integer', min: 1, default: 10 * 1000 },
+    UPLOAD_ORPHAN_MINUTES: { type: 'integer', min: 1, default: 60 },
+    UPLOAD_SWEEP_INTERVAL_MS: { type: 'integer', min: 1, default: 10 * 60 * 1000 },
+    ALLOWED_ORIGIN: { type: 'string', default: 'http://localhost:3000' },
+    SHUTDOWN_DRAIN_MS: { type: 'integer', min: 0, default: 0 },
+    SHUTDOWN_TIMEOUT_MS: { type: 'integer', min: 1, default: 10 * 1000 },
+    LOG_LEVEL: { type: 'enum', values: ['debug', 'info', 'warn', 'error', 'silent'], default: 'info' },
+    METRICS_TOKEN: { type: 'string', secret: true, default: null },
+    HEALTH_DB_TIMEOUT_MS: { type: 'integer', min: 1, default: 2000 },
+    HEALTH_MAX_QUEUED: { type: 'integer', min: 1, default: 20 },
+
+    // Storage (see storage/index.js)
+    STORAGE_ADAPTER: { type: 'enum', values: ['mysql', 'sqlite', 'memory'], default: 'mysql' },
+    DB_HOST: { type: 'string', default: 'localhost' },
+    DB_USER: { type: 'string', default: 'ca2_app_user' },
+    DB_PASSWORD: { type: 'string', secret: true, default: DEFAULT_DB_PASSWORD },
+    DB_NAME: { type: 'string', default: 'ca2_database' },
+    DB_ADMIN_USER: { type: 'string', default: null },
+    DB_ADMIN_PASSWORD: { type: 'string', secret: true, default: null },
+    SQLITE_PATH: { type: 'string', default: './data/ca2.db' },
+
+    // Authentication and the public form
+    JWT_SECRET: { type: 'string', secret: true, default: null },
+    JWT_EXPIRES_IN: { type: 'string', default: '1h' },
+    CSRF_SECRET: { type: 'string', secret: true, default: null },
+    CSRF_TOKEN_TTL_SECONDS: { type: 'integer', min: 1, default: 2 * 60 * 60 },
+    MIN_FORM_FILL_SECONDS: { type: 'integer', min: 0, default: 3 },
+    FORM_CHALLENGE: { type: 'enum', values: ['none', 'stub'], default: 'none' },
+    CHALLENGE_STUB_ANSWER: { type: 'string', secret: true, default: 'pass' },
+
+    // Rate limits (see ratelimit/index.js)
+    RATE_LIMITS: { type: 'json', default: null },
+    RATE_LIMIT_STORE: { type: 'enum', values: ['memory', 'redis'], default: 'memory' },
+    REDIS_URL: { type: 'string', secret: true, default: 'redis://127.0.0.1:6379' },
+
+    // Imports and duplicates
+    IMPORT_CHUNK_SIZE: { type: 'integer', min: 1, default: 500 },
+    IMPORT_BATCH_SIZE: { type: 'integer', min: 1, default: 500 },
+    IDEMPOTENCY_WINDOW_SECONDS: { type: 'integer', min: 1, default: 24 * 60 * 60 },
+    DUPLICATE_RULES: { type: 'json', default: null },
+    DUPLICATE_THRESHOLD: { type: 'integer', min: 1, default: 60 },
+
+    // Field encryption (see encryption.js); ENCRYPTED_FIELDS= (empty) encrypts nothing
+    ENCRYPTION_KEYFILE: { type: 'string', default: null },
+    ENCRYPTION_KEYS: { type: 'string', secret: true, default: null },
+    ENCRYPTION_ACTIVE_KEY: { type: 'string', default: null },
+    ENCRYPTION_INDEX_KEY: { type: 'string', secret: true, default: null },
+    ENCRYPTED_FIELDS: { type: 'string', default: null, allowEmpty: true },
+
+    // Retention (see compliance.js)
+    RETENTION_DAYS: { type: 'integer', min: 1, default: null },
+    RETENTION_ACTION: { type: 'enum', values: ['anonymise', 'delete'], default: 'anonymise' },
+
+    // Webhooks (see webhooks/index.js)
+    WEBHOOK_MAX_ATTEMPTS: { type: 'integer', min: 1, default: 8 },
+    WEBHOOK_RETRY_BASE_MS: { type: 'integer', min: 1, default: 30 * 1000 },
+    WEBHOOK_RETRY_MAX_MS: { type: 'integer', min: 1, default: 60 * 60 * 1000 },
+    WEBHOOK_TIMEOUT_MS: { type: 'integer', min: 1, default: 10 * 1000 },
+    WEBHOOK_POLL_MS: { type: 'integer', min: 1, default: 5 * 1000 },
+    WEBHOOK_CONCURRENCY: { type: 'integer', min: 1, default: 5 },
+
+    // Command-line tools
+    NEW_USER_PASSWORD: { type: 'string', secret: true, default: null }, // npm run create-user
+    WEBHOOK_SECRET: { type: 'string', secret: true, default: null }     // npm run webhooks:receiver
+};
+
+// Defaults that differ by profile
+const PROFILES = {
+    development: {},
+    test: { STORAGE_ADAPTER: 'memory', LOG_LEVEL: 'warn', MIN_FORM_FILL_SECONDS: 0 },
+    // Give load balancers time to see readiness fail before connections are refused
+    production: { SHUTDOWN_DRAIN_MS: 5000 }
+};
+
+/**
+ * Read a .env-style file
+ * @param {string} file - Path
+ * @returns {Object} Variables (empty when the file does not exist)
+ */
+function readEnvFile(file) {
+    try {
+        return dotenv.parse(fs.readFileSync(file));
+    } catch (error) {
+        if (error.code === 'ENOENT') return {};
+        throw new Error(`Cannot read ${file}: ${error.message}`);
+    }
+}
+
+/**
+ * Add the variables of .env.<profile> and .env to process.env, without replacing any already set
+ * (libraries such as Express read NODE_ENV from there too)
+ */
+function loadEnvFiles() {
+    const base = readEnvFile('.env');
+    const profile = process.env.NODE_ENV || base.NODE_ENV || SETTINGS.NODE_ENV.default;
+    const values = { ...base, ...readEnvFile(`.env.${profile}`) };
+
+    for (const [name, value] of Object.entries(values)) {
+        if (process.env[name] === undefined) {
+            process.env[name] = value;
+        }
+    }
+}
+
+/**
+ * Raw value of a setting from the environment or its _FILE
+ * @param {string} name - Setting name
+ * @param {Object} setting - Schema entry
+ * @returns {string|undefined} Raw value, undefined when unset
+ */
+function readRaw(name, setting) {
+    const empty = value => value === undefined || (value === '' && !setting.allowEmpty);
+    const value = process.env[name];
+    const file = setting.secret ? process.env[`${name}_FILE`] : undefined;
+
+    if (!empty(value) && file) {
+        throw new Error(`${name} and ${name}_FILE are both set: use one`);
+    }
+
+    if (file) {
+        try {
+            // Editors and echo add a final newline that is not part of the secret
+            return fs.readFileSync(file, 'utf8').replace(/\r?\n$/, '');
+        } catch (error) {
+            throw new Error(`Cannot read ${name}_FILE: ${error.message}`);
+        }
+    }
+
+    return empty(value) ? undefined : value;
+}
+
+/**
+ * Check and convert a raw value
+ * @param {string} name - Setting name
+ * @param {Object} setting - Schema entry
+ * @param {string} raw - Raw value
+ * @returns {*} Converted value
+ */
+function parseValue(name, setting, raw) {
+    switch (setting.type) {
+        case 'string':
+            return raw;
+        case 'integer': {
+            const value = Number(raw.trim());
+
+            if (!/^-?\d+$/.test(raw.trim()) || (setting.min !== undefined && value < setting.min) ||
+                (setting.max !== undefined && value > setting.max)) {
+                const range = setting.max !== undefined ? `between ${setting.min} and ${setting.max}` : `of at least ${setting.min}`;
+                throw new Error(`${name} must be a whole number ${range} (got "${raw}")`);
+            }
+
+            return value;
+        }
+        case 'enum':
+            if (!setting.values.includes(raw)) {
+                throw new Error(`Unknown ${name} "${raw}" (expected ${setting.values.join(', ')})`);
+            }
+            return raw;
+        case 'json': {
+            let value;
+
+            try {
+                value = JSON.parse(raw);
+            } catch (error) {
+                throw new Error(`${name} is not valid JSON: ${error.message}`);
+            }
+
+            if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+                throw new Error(`${name} must be a JSON object`);
+            }
+
+            return value;
+        }
+        default:
+            throw new Error(`Unknown type "${setting.type}" for ${name} (expected string, integer, enum, json)`);
+    }
+}
+
+/**
+ * Edit distance between two names, for suggesting the setting a typo meant
+ * @param {string} a - First name
+ * @param {string} b - Second name
+ * @returns {number} Insertions, deletions and substitutions needed
+ */
+function distance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        }
+
+        previous = current;
+    }
+
+    return previous[b.length];
+}
+
+/**
+ * Variables sharing a prefix with a setting (DB_, WEBHOOK_, ...) that are not settings themselves
+ * @returns {Array} Warning messages
+ */
+function findUnknownVariables() {
+    const known = new Set();
+
+    for (const [name, setting] of Object.entries(SETTINGS)) {
+        known.add(name);
+        if (setting.secret) known.add(`${name}_FILE`);
+    }
+
+    const prefixes = new Set(Object.keys(SETTINGS).map(name => name.split('_')[0] + '_'));
+    FOREIGN_PREFIXES.forEach(prefix => prefixes.delete(prefix));
+    const warnings = [];
+
+    for (const name of Object.keys(process.env)) {
+        if (known.has(name) || ![...prefixes].some(prefix => name.startsWith(prefix))) continue;
+
+        const closest = [...known].sort((a, b) => distance(name, a) - distance(name, b))[0];
+        const hint = distance(name, closest) <= 3 ? ` (did you mean ${closest}?)` : '';
+
+        warnings.push(`Unknown setting ${name}${hint}`);
+    }
+
+    return warnings;
+}
+
+/**
+ * Settings that are unsafe outside development: missing or default credentials
+ * @param {Object} values - Loaded settings
+ * @returns {Array} Problem messages
+ */
+function findInsecureSettings(values) {
+    const problems = [];
+
+    if (values.STORAGE_ADAPTER === 'mysql' && values.DB_PASSWORD === DEFAULT_DB_PASSWORD) {
+        problems.push('DB_PASSWORD is the default password');
+    }
+
+    if (values.DB_ADMIN_PASSWORD === DEFAULT_DB_PASSWORD) {
+        problems.push('DB_ADMIN_PASSWORD is the default password');
+    }
+
+    for (const name of ['JWT_SECRET', 'CSRF_SECRET']) {
+        if (!values[name]) {
+            problems.push(`${name} is not set`);
+        } else if (values[name].length < MIN_SECRET_LENGTH) {
+            problems.push(`${name} is shorter than ${MIN_SECRET_LENGTH} characters`);
+        }
+    }
+
+    if (values.FORM_CHALLENGE === 'stub') {
+        problems.push(`FORM_CHALLENGE is stub, which accepts a fixed answer`);
+    }
+
+    return problems;
+}
+
+/**
+ * Load and check every setting
+ * @returns {Object} Settings by name, plus warnings and insecureSettings
+ */
+function loadConfig() {
+    loadEnvFiles();
+
+    const values = {};
+    const errors = [];
+
+    for (const [name, setting] of Object.entries(SETTINGS)) {
+        try {
+            const raw = readRaw(name, setting);
+            values[name] = raw === undefined ? undefined : parseValue(name, setting, raw);
+        } catch (error) {
+            errors.push(error.message);
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid configuration:\n  ${errors.join('\n  ')}`);
+    }
+
+    const profileDefaults = PROFILES[values.NODE_ENV || SETTINGS.NODE_ENV.default];
+
+    for (const [name, setting] of Object.entries(SETTINGS)) {
+        if (values[name] === undefined) {
+            values[name] = name in profileDefaults ? profileDefaults[name] : setting.default;
+        }
+    }
+
+    values.warnings = findUnknownVariables();
+    values.insecureSettings = findInsecureSettings(values);
+
+    return values;
+}
+
+const config = Object.freeze(loadConfig());
+
+// Print the configuration (secrets hidden) and any problems
+if (require.main === module) {
+    console.log(`Profile: ${config.NODE_ENV}`);
+
+    for (const [name, setting] of Object.entries(SETTINGS)) {
+        const value = config[name];
+        let shown = value === null ? '(not set)' : value;
+
+        if (setting.secret && value !== null) shown = '******';
+        if (setting.type === 'json' && value !== null) shown = JSON.stringify(value);
+
+        console.log(`${name}=${shown}`);
+    }
+
+    config.warnings.forEach(warning => console.warn(`Warning: ${warning}`));
+
+    if (config.insecureSettings.length > 0) {
+        const label = config.NODE_ENV === 'production' ? 'Refused in production' : 'Not safe for production';
+        config.insecureSettings.forEach(problem => console.warn(`${label}: ${problem}`));
+
+        if (config.NODE_ENV === 'production') process.exitCode = 1;
+    }
+}
+
+module.exports = config;
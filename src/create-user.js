@@ -0,0 +1,56 @@
+/**
+ * Create User Script
+ * Bootstraps API users (e.g. the first admin) from the command line
+ *
+ * Usage: npm run create-user -- <username> <role>
+ * The password is read from NEW_USER_PASSWORD or prompted for.
+ */
+
+const readline = require('readline');
+
+const config = require('./config');
+const database = require('./database');
+const Validation = require('./validation');
+const Auth = require('./auth');
+
+/**
+ * Ask for the password on stdin
+ * @returns {Promise<string>} Password
+ */
+function promptPassword() {
+    return new Promise((resolve) => {
+        const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+        rl.question('Password: ', (answer) => {
+            rl.close();
+            resolve(answer);
+        });
+    });
+}
+
+async function main() {
+    const [username, role] = process.argv.slice(2);
+    const password = config.NEW_USER_PASSWORD || await promptPassword();
+    const roles = Object.values(Auth.ROLES);
+
+    const validation = Validation.validateUserAccount({ username, password, role }, roles);
+
+    if (!validation.isValid) {
+        console.error('Usage: npm run create-user -- <username> <role>');
+        validation.errors.forEach(error => console.error(`   ${error}`));
+        process.exitCode = 1;
+        return;
+    }
+
+    try {
+        const passwordHash = await Auth.hashPassword(password);
+        await database.createUser({ username, passwordHash, role });
+        console.log(`User ${username} created with role ${role}`);
+    } catch (error) {
+        console.error('Failed to create user:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await database.close();
+    }
+}
+
+main();
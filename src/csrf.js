@@ -0,0 +1,134 @@
+/**
+ * CSRF Token Module
+ * Signed double-submit tokens for the public form. Serving form.html sets the token in an
+ * HttpOnly, SameSite=Strict cookie and writes the same token into the page; a submission
+ * must echo it in the X-CSRF-Token header. Another site can make a browser send the cookie
+ * but cannot read the page to learn the token.
+ *
+ * A token is "issuedAt.nonce.signature", so it also tells how long the form was open.
+ */
+
+const crypto = require('crypto');
+
+const config = require('./config');
+const logger = require('./logger');
+
+const COOKIE_NAME = 'csrf_token';
+const HEADER_NAME = 'X-CSRF-Token';
+
+// How long a served form stays usable
+const TOKEN_TTL_SECONDS = config.CSRF_TOKEN_TTL_SECONDS;
+
+// Without a configured secret, forms served before a restart can no longer be submitted
+const SECRET = config.CSRF_SECRET || crypto.randomBytes(32).toString('hex');
+
+if (!config.CSRF_SECRET) {
+    logger.warn('CSRF_SECRET is not set - using a random secret, open forms will not survive a restart');
+}
+
+/**
+ * HMAC of a token payload
+ * @param {string} payload - "issuedAt.nonce"
+ * @returns {string} Hex signature
+ */
+function sign(payload) {
+    return crypto.createHmac('sha256', SECRET).update(payload).digest('hex');
+}
+
+/**
+ * Compare two strings without leaking where they differ
+ * @param {string} a - First value
+ * @param {string} b - Second value
+ * @returns {boolean} Comparison result
+ */
+function safeEqual(a, b) {
+    const left = Buffer.from(String(a));
+    const right = Buffer.from(String(b));
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+class Csrf {
+    static get COOKIE_NAME() {
+        return COOKIE_NAME;
+    }
+
+    static get HEADER_NAME() {
+        return HEADER_NAME;
+    }
+
+    /**
+     * Create a token
+     * @param {number} now - Issue time in milliseconds
+     * @returns {string} Token
+     */
+    static issue(now = Date.now()) {
+        const payload = `${now}.${crypto.randomBytes(16).toString('hex')}`;
+        return `${payload}.${sign(payload)}`;
+    }
+
+    /**
+     * Set the token cookie on a response
+     * @param {Object} res - Response object
+     * @param {string} token - Token
+     */
+    static setCookie(res, token) {
+        res.cookie(COOKIE_NAME, token, {
+            httpOnly: true,
+            sameSite: 'strict',
+            secure: config.NODE_ENV === 'production',
+            maxAge: TOKEN_TTL_SECONDS * 1000,
+            path: '/'
+        });
+    }
+
+    /**
+     * Read the token cookie from a request (no cookie parser is installed)
+     * A value that does not URL-decode is treated as no cookie at all.
+     * @param {Object} req - Request object
+     * @returns {string|null} Token
+     */
+    static readCookie(req) {
+        for (const part of (req.get('Cookie') || '').split(';')) {
+            const [name, ...value] = part.trim().split('=');
+            if (name === COOKIE_NAME) {
+                try {
+                    return decodeURIComponent(value.join('='));
+                } catch (error) {
+                    return null;
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Check the token a submission echoes against its cookie
+     * @param {Object} req - Request object
+     * @param {number} now - Current time in milliseconds
+     * @returns {Object} { valid: true, issuedAt } or { valid: false, reason }
+     */
+    static verify(req, now = Date.now()) {
+        const cookie = this.readCookie(req);
+        const echoed = req.get(HEADER_NAME);
+
+        if (!cookie || !echoed) return { valid: false, reason: 'csrf_missing' };
+        if (!safeEqual(cookie, echoed)) return { valid: false, reason: 'csrf_mismatch' };
+
+        const parts = cookie.split('.');
+
+        if (parts.length !== 3 || !/^\d+$/.test(parts[0]) || !safeEqual(sign(`${parts[0]}.${parts[1]}`), parts[2])) {
+            return { valid: false, reason: 'csrf_invalid' };
+        }
+
+        const issuedAt = parseInt(parts[0]);
+
+        if (now - issuedAt > TOKEN_TTL_SECONDS * 1000) {
+            return { valid: false, reason: 'csrf_expired' };
+        }
+
+        return { valid: true, issuedAt };
+    }
+}
+
+module.exports = Csrf;
@@ -0,0 +1,37 @@
+/**
+ * CSV Writing Module
+ * Formats values as RFC 4180 CSV lines for downloads
+ */
+
+const Encoding = require('./encoding');
+
+class CsvWriter {
+    /**
+     * Quote a single value when it contains a delimiter, quote or line break
+     * Text that would run as a spreadsheet formula gets a leading apostrophe.
+     * @param {*} value - Cell value (null/undefined become empty)
+     * @returns {string} CSV cell
+     */
+    static formatCell(value) {
+        if (value === null || value === undefined) return '';
+
+        const text = value instanceof Date ? value.toISOString() : Encoding.spreadsheetCell(String(value));
+
+        if (/[",\r\n]/.test(text)) {
+            return `"${text.replace(/"/g, '""')}"`;
+        }
+
+        return text;
+    }
+
+    /**
+     * Format one CSV line
+     * @param {Array} values - Cell values
+     * @returns {string} CSV line including the trailing CRLF
+     */
+    static formatRow(values) {
+        return values.map(value => this.formatCell(value)).join(',') + '\r\n';
+    }
+}
+
+module.exports = CsvWriter;
@@ -1,81 +1,239 @@
 /**
- * Database Connection Module
- * Handles secure connection to MySQL database with connection pooling
+ * Database Module
+ * Record, user and import queries on top of a pluggable storage adapter
+ * (MySQL, SQLite or in-memory; see storage/index.js)
  */
 
-const mysql = require('mysql2/promise');
-require('dotenv').config();
+const { pipeline, Transform } = require('stream');
+
+const config = require('./config');
+const Validation = require('./validation');
+const Audit = require('./audit');
+const Matching = require('./matching');
+const Encryption = require('./encryption');
+const Migrator = require('./migrator');
+const logger = require('./logger');
+const metrics = require('./metrics');
+const { createAdapter } = require('./storage');
+
+// Columns returned whenever a full record is read
+const RECORD_COLUMNS = 'id, first_name, last_name, email, phone_number, eircode, eircode_routing_key, age';
+
+// Columns written when a record is stored, in the order of recordValues()
+const RECORD_INSERT_COLUMNS = [
+    'first_name', 'last_name', 'email', 'phone_number', 'eircode', 'eircode_routing_key', 'age',
+    'match_email', 'match_name', 'email_bidx', 'phone_number_bidx', 'eircode_bidx'
+];
+
+// Unique key identifying a person: the blind index once email is encrypted (see encryption.js)
+const EMAIL_KEY = Encryption.lookup('email').column;
+
+const UPDATE_RECORD_SQL = `
+    UPDATE mysql_table SET
+    first_name = ?,
+    last_name = ?,
+    email = ?,
+    phone_number = ?,
+    eircode = ?,
+    eircode_routing_key = ?,
+    age = ?,
+    match_email = ?,
+    match_name = ?,
+    email_bidx = ?,
+    phone_number_bidx = ?,
+    eircode_bidx = ?
+    WHERE id = ?
+`;
+
+// Form submissions replace every field of a record with the same email
+const FORM_DUPLICATE_HANDLING = {
+    target: EMAIL_KEY,
+    update: {
+        first_name: 'replace',
+        last_name: 'replace',
+        phone_number: 'replace',
+        eircode: 'replace',
+        eircode_routing_key: 'replace',
+        age: 'replace',
+        match_email: 'replace',
+        match_name: 'replace',
+        phone_number_bidx: 'replace',
+        eircode_bidx: 'replace'
+    }
+};
+
+// Duplicate handling for each bulk insert mode (duplicates are detected on the unique email)
+const BULK_DUPLICATE_HANDLING = {
+    // Phone and eircode only come from profiles that map them, so keep stored values otherwise
+    upsert: {
+        target: EMAIL_KEY,
+        update: {
+            first_name: 'replace',
+            last_name: 'replace',
+            phone_number: 'coalesce',
+            eircode: 'coalesce',
+            eircode_routing_key: 'coalesce',
+            age: 'replace',
+            match_email: 'replace',
+            match_name: 'replace',
+            phone_number_bidx: 'coalesce',
+            eircode_bidx: 'coalesce'
+        }
+    },
+    insert: null,
+    skip: { target: EMAIL_KEY, ignore: true }
+};
+
+// A pair flagged again keeps its review status (a dismissed pair stays dismissed) but takes the new score
+const CANDIDATE_DUPLICATE_HANDLING = {
+    target: 'pair_key',
+    update: {
+        score: 'replace',
+        reasons: 'replace'
+    }
+};
+
+// Columns returned for a duplicate_candidates entry
+const CANDIDATE_COLUMNS = 'id, record_id, match_id, score, reasons, status, source, source_ref, created_at, resolved_by, resolved_at';
+
+// Rows per multi-row INSERT statement unless the caller chooses otherwise
+const DEFAULT_BATCH_SIZE = config.IMPORT_BATCH_SIZE;
+
+// Errors after which the transaction is expected to be retried
+const RETRYABLE_ERRORS = ['ER_LOCK_DEADLOCK', 'ER_LOCK_WAIT_TIMEOUT'];
+const MAX_BATCH_ATTEMPTS = 3;
+
+// Name and email given to an anonymised record (the email stays unique per record)
+const ANONYMISED_NAME = 'Anonymised';
+const anonymisedEmail = id => `anonymised-${id}@anonymised.invalid`;
+
+/**
+ * Whether a value, or any string nested in it, is the given email address
+ * @param {*} value - Stored value (parsed JSON)
+ * @param {string} email - Email address, trimmed and lowercased
+ * @returns {boolean} Result
+ */
+function mentionsEmail(value, email) {
+    if (typeof value === 'string') return value.trim().toLowerCase() === email;
+    if (value && typeof value === 'object') return Object.values(value).some(item => mentionsEmail(item, email));
+    return false;
+}
+
+/**
+ * Add one set of removal counts to another
+ * @param {Object} total - Counts to add to
+ * @param {Object} counts - Counts to add
+ * @returns {Object} total
+ */
+function addCounts(total, counts) {
+    for (const [name, count] of Object.entries(counts)) {
+        total[name] = (total[name] || 0) + count;
+    }
+
+    return total;
+}
 
 class Database {
     constructor() {
-        // Create connection pool for better performance and connection management
-        this.pool = mysql.createPool({
-            host: process.env.DB_HOST || 'localhost',
-            user: process.env.DB_USER || 'ca2_app_user',          // Application user
-            password: process.env.DB_PASSWORD || 'Pass1234!',     // Application password
-            database: process.env.DB_NAME || 'ca2_database',
-            waitForConnections: true,
-            connectionLimit: 10, // Maximum number of connections in pool
-            queueLimit: 0,
-            enableKeepAlive: true,
-            keepAliveInitialDelay: 0
+        // Nothing connects until the adapter is first used
+        this.storage = null;
+        this.schemaVersion = null; // Set once initializeDatabase has read schema_migrations
+
+        metrics.gauge('db_pool_connections', 'Database connections by state', ['state'], gauge => {
+            if (!this.storage) return;
+            const stats = this.storage.stats();
+            gauge.set({ state: 'in_use' }, stats.inUse);
+            gauge.set({ state: 'idle' }, stats.idle);
+        });
+        metrics.gauge('db_pool_connection_limit', 'Most connections the pool will open', [], gauge => {
+            if (this.storage) gauge.set({}, this.storage.stats().limit);
+        });
+        metrics.gauge('db_pool_queued_requests', 'Queries waiting for a free connection', [], gauge => {
+            if (this.storage) gauge.set({}, this.storage.stats().queued);
         });
+    }
+
+    /**
+     * Storage adapter chosen by STORAGE_ADAPTER, created on first use
+     * @returns {Object} Adapter
+     */
+    get adapter() {
+        if (!this.storage) {
+            this.storage = createAdapter();
+        }
+
+        return this.storage;
+    }
 
-        this.initializeDatabase();
+    /**
+     * Use a given adapter instead of the configured one (e.g. createAdapter('memory') in tests)
+     * Call before anything else touches the database.
+     * @param {Object} adapter - Storage adapter
+     */
+    useAdapter(adapter) {
+        this.storage = adapter;
     }
 
     /**
-     * Initialize database and verify table exists
+     * Connect and verify the schema is migrated
      */
     async initializeDatabase() {
         try {
-            const connection = await this.pool.getConnection();
+            await this.adapter.initialize();
             
-            // Just verify the table exists instead of trying to create it
-            // The table should be created by running schema.sql with root user
-            const [tables] = await connection.execute(
-                "SHOW TABLES LIKE 'mysql_table'"
-            );
+            // Tables are created by the migrations (npm run migrate:up) under the admin user
+            this.schemaVersion = await this.findSchemaVersion();
+            const expected = Migrator.latestVersion();
             
-            if (tables.length === 0) {
-                console.error('Table mysql_table does not exist!');
-                console.error('   Please run: mysql -u root -p < sql/schema.sql');
-                throw new Error('Database table not found. Run schema.sql first.');
+            if (this.schemaVersion < expected) {
+                logger.warn(`Database schema is at version ${this.schemaVersion}, code expects ${expected}`, {
+                    hint: 'Please run: npm run migrate:up'
+                });
+            } else {
+                logger.info(`Database schema verified (version ${this.schemaVersion}, ${this.adapter.dialect})`);
+                await this.checkEncryption();
             }
-            
-            console.log('Database table verified successfully');
-            
-            connection.release();
         } catch (error) {
-            // Check if it's a permission error (which is expected)
-            if (error.code === 'ER_TABLEACCESS_DENIED_ERROR') {
-                console.log('Database connection established');
-                console.log('  (Table creation skipped - requires admin privileges)');
-                return;
-            }
-            
-            console.error('Database initialization failed:', error.message);
-            
             // Provide more helpful error messages
-            if (error.code === 'ER_ACCESS_DENIED_ERROR') {
-                console.error('   Username/Password might be incorrect. Check your .env file');
-                console.error('   Current user:', process.env.DB_USER || 'ca2_app_user (default)');
-                console.error('   Current password:', process.env.DB_PASSWORD ? '******' : 'Pass1234! (default)');
+            let hint;
+            
+            if (error.code === 'ER_NO_SUCH_TABLE') {
+                hint = 'Database has not been migrated yet. Command: npm run migrate:up';
+            } else if (error.code === 'ER_ACCESS_DENIED_ERROR') {
+                hint = `Username/Password might be incorrect for user ${config.DB_USER}. ` +
+                    'Check DB_USER and DB_PASSWORD (npm run config shows what is in use)';
             } else if (error.code === 'ER_BAD_DB_ERROR') {
-                console.error('   Database might not exist. Run schema.sql first');
-                console.error('   Command: mysql -u root -p < sql/schema.sql');
+                hint = 'Database might not exist. Create it, then run: npm run migrate:up';
             }
             
+            logger.error('Database initialization failed', { error: error, hint: hint });
+            
             throw error;
         }
     }
 
     /**
-     * Get a connection from the pool
-     * @returns {Promise} Database connection
+     * Warn when stored records do not match the encryption settings (see encryption.js)
      */
-    async getConnection() {
-        return await this.pool.getConnection();
+    async checkEncryption() {
+        if (!Encryption.ENABLED) {
+            logger.warn('Field encryption is off - set ENCRYPTION_KEYFILE or ENCRYPTION_KEYS to encrypt personal data');
+        }
+
+        // Encrypted values without a blind index were written before their field was encrypted
+        const conditions = Encryption.ENCRYPTABLE_FIELDS.map(field => Encryption.isEncrypted(field)
+            ? `(${field} IS NOT NULL AND ${field}_bidx IS NULL)`
+            : `${field} LIKE 'enc:%'`);
+
+        const [row] = await this.adapter.query(
+            `SELECT COUNT(*) AS total FROM mysql_table WHERE ${conditions.join(' OR ')}`
+        );
+
+        if (row.total > 0) {
+            logger.warn(`${row.total} record(s) are not stored as ENCRYPTED_FIELDS says`, {
+                hint: 'Please run: npm run reencrypt'
+            });
+        }
     }
 
     /**
@@ -86,100 +244,1863 @@ class Database {
      */
     async execute(sql, params = []) {
         try {
-            const [results] = await this.pool.execute(sql, params);
-            return results;
+            return await this.adapter.query(sql, params);
         } catch (error) {
-            console.error('Database query error:', error.message);
-            
-            // Log SQL for debugging in development mode
-            if (process.env.NODE_ENV === 'development') {
-                console.error('   SQL:', sql);
-                console.error('   Params:', params);
-            }
+            // Parameters hold personal data, so only the SQL is logged
+            logger.error('Database query error', { error: error, sql: sql });
             
             throw error;
         }
     }
 
     /**
-     * Insert a record into mysql_table
-     * @param {Object} data - Record data
-     * @returns {Promise} Insert result
+     * Run work inside a transaction
+     * @param {Function} work - async (tx) => result; tx offers query, insert and lockClause
+     * @returns {Promise} Result of work
      */
-    async insertRecord(data) {
-        const sql = `
-            INSERT INTO mysql_table 
-            (first_name, last_name, email, phone_number, eircode, age) 
-            VALUES (?, ?, ?, ?, ?, ?)
-            ON DUPLICATE KEY UPDATE 
-            first_name = VALUES(first_name),
-            last_name = VALUES(last_name),
-            phone_number = VALUES(phone_number),
-            eircode = VALUES(eircode),
-            age = VALUES(age)
-        `;
-        
-        const params = [
+    async withTransaction(work) {
+        return await this.adapter.transaction(work);
+    }
+
+    /**
+     * Values of a record in RECORD_INSERT_COLUMNS order
+     * The Eircode routing key, match keys and blind indexes are always derived here, so they can
+     * never disagree with the fields they come from. Encrypted fields are encrypted here too.
+     * @param {Object} data - Record data (plaintext)
+     * @returns {Array} Values
+     */
+    recordValues(data) {
+        const keys = this.storedMatchKeys(data);
+        const stored = Encryption.encryptFields({
+            email: data.email,
+            phone_number: data.phone_number || null,
+            eircode: data.eircode || null
+        });
+
+        return [
             data.first_name,
             data.last_name,
-            data.email,
-            data.phone_number || null,
-            data.eircode || null,
-            data.age || null
+            stored.email,
+            stored.phone_number,
+            stored.eircode,
+            Validation.eircodeRoutingKey(data.eircode),
+            data.age || null,
+            keys.match_email,
+            keys.match_name,
+            Encryption.blindIndex('email', data.email),
+            Encryption.blindIndex('phone_number', data.phone_number),
+            Encryption.blindIndex('eircode', data.eircode)
         ];
+    }
+
+    /**
+     * Match keys as stored: the email key is itself personal data, so it is kept as a blind
+     * index while email is encrypted
+     * @param {Object} data - Record data (plaintext)
+     * @returns {Object} { match_email, match_name }
+     */
+    storedMatchKeys(data) {
+        const keys = Matching.keys(data);
+
+        return {
+            match_email: Encryption.isEncrypted('email') ? Encryption.blindIndex('email', keys.match_email) : keys.match_email,
+            match_name: keys.match_name
+        };
+    }
+
+    /**
+     * Insert a record into mysql_table
+     * @param {Object} data - Record data
+     * @param {Object} audit - Audit context { userId, source, sourceRef }
+     * @returns {Promise} Insert result, with flagged (1 when the record was queued as a probable duplicate),
+     *                    operation ('insert', 'update', or null when nothing changed) and the stored record
+     */
+    async insertRecord(data, audit = {}) {
+        const values = this.recordValues(data);
+
+        return await this.withTransaction(async (connection) => {
+            const before = await this.lockRecord(connection, 'email', data.email);
+            const result = await connection.insert('mysql_table', RECORD_INSERT_COLUMNS, [values], FORM_DUPLICATE_HANDLING);
+            const after = await this.lockRecord(connection, 'email', data.email);
+            const entry = Audit.entry(before, after, audit);
+            
+            await this.writeAuditEntries(connection, [entry]);
+            const flagged = entry ? await this.flagDuplicates(connection, [after], audit) : 0;
+            
+            // Adapters disagree on the id reported for an update, so report the stored record's
+            return {
+                ...result,
+                insertId: after.id,
+                flagged: flagged,
+                operation: entry ? entry.operation : null,
+                record: after
+            };
+        });
+    }
 
-        return await this.execute(sql, params);
+    /**
+     * Read a record and lock it for the rest of the transaction
+     * @param {Object} connection - Open transaction
+     * @param {string} column - 'id' or 'email'
+     * @param {*} value - Value to match
+     * @returns {Promise} Record or null
+     */
+    async lockRecord(connection, column, value) {
+        const match = column === 'email' ? Encryption.lookup('email', value) : { column: 'id', value: value };
+        const rows = await connection.query(
+            `SELECT ${RECORD_COLUMNS} FROM mysql_table WHERE ${match.column} = ?${connection.lockClause}`,
+            [match.value]
+        );
+        
+        return rows.length > 0 ? Encryption.decryptFields(rows[0]) : null;
     }
 
     /**
-     * Insert multiple records in a transaction
+     * Insert multiple records using multi-row INSERT statements
+     * Modes: upsert (update rows with the same email), insert (duplicates fail),
+     * skip (leave rows with the same email untouched).
+     * Each batch runs in its own transaction and is retried on deadlocks; a failing
+     * statement is split in half until the bad rows are isolated and reported.
      * @param {Array} records - Array of record objects
-     * @returns {Promise} Bulk insert result
+     * @param {Object} options - mode, batchSize, connection (an open transaction to join instead),
+     *                           audit (context recorded with every change)
+     * @returns {Promise} { inserted, updated, skipped, flagged, failed: [{ index, code, error }], batches: [{ rows, attempts, splits, durationMs }] }
+     */
+    async insertBulkRecords(records, { mode = 'upsert', batchSize = DEFAULT_BATCH_SIZE, connection = null, audit = {} } = {}) {
+        const result = { inserted: 0, updated: 0, skipped: 0, flagged: 0, failed: [], batches: [] };
+        
+        for (let start = 0; start < records.length; start += batchSize) {
+            const batch = records
+                .slice(start, start + batchSize)
+                .map((record, offset) => ({ record, index: start + offset }));
+            const stats = { rows: batch.length, attempts: 1, splits: 0 };
+            const startedAt = Date.now();
+            
+            // Inside a caller's transaction a deadlock has already undone its earlier work, so no retry
+            const outcome = connection
+                ? await this.writeBatch(connection, batch, mode, stats, audit)
+                : await this.writeBatchInTransaction(batch, mode, stats, audit);
+            
+            stats.durationMs = Date.now() - startedAt;
+            result.batches.push(stats);
+            result.inserted += outcome.inserted;
+            result.updated += outcome.updated;
+            result.skipped += outcome.skipped;
+            result.flagged += outcome.flagged;
+            result.failed.push(...outcome.failed);
+        }
+        
+        return result;
+    }
+
+    /**
+     * Write one batch in its own transaction, retrying after deadlocks and lock timeouts
+     * @param {Array} batch - { record, index } entries
+     * @param {string} mode - Bulk insert mode
+     * @param {Object} stats - Batch metrics (updated in place)
+     * @param {Object} audit - Audit context
+     * @returns {Promise} Batch outcome
+     */
+    async writeBatchInTransaction(batch, mode, stats, audit) {
+        for (let attempt = 1; ; attempt++) {
+            stats.attempts = attempt;
+            stats.splits = 0;
+            
+            try {
+                return await this.withTransaction(connection => this.writeBatch(connection, batch, mode, stats, audit));
+            } catch (error) {
+                if (attempt < MAX_BATCH_ATTEMPTS && RETRYABLE_ERRORS.includes(error.code)) {
+                    continue;
+                }
+                throw error;
+            }
+        }
+    }
+
+    /**
+     * Write one batch inside a transaction that is already open
+     * @param {Object} connection - Open transaction
+     * @param {Array} batch - { record, index } entries
+     * @param {string} mode - Bulk insert mode
+     * @param {Object} stats - Batch metrics (updated in place)
+     * @param {Object} audit - Audit context
+     * @returns {Promise} { inserted, updated, skipped, flagged, failed }
+     */
+    async writeBatch(connection, batch, mode, stats, audit) {
+        const outcome = { inserted: 0, updated: 0, skipped: 0, flagged: 0, failed: [] };
+        
+        // Emails already stored (or earlier in this batch) decide between inserted and updated/skipped
+        const existing = await this.lockRecordsByEmail(connection, batch.map(entry => entry.record.email));
+        const seen = new Set(existing.keys());
+        const pending = [];
+        const written = [];
+        
+        for (const entry of batch) {
+            const email = String(entry.record.email).toLowerCase();
+            const exists = seen.has(email);
+            
+            if (exists && mode === 'insert') {
+                outcome.failed.push({ index: entry.index, code: 'duplicate', error: 'Email already exists in database' });
+                continue;
+            }
+            
+            seen.add(email);
+            pending.push({ ...entry, exists });
+        }
+        
+        await this.insertRows(connection, pending, mode, outcome, stats, written);
+        
+        // One audit entry per email: its stored state before the batch against its final state
+        if (written.length > 0) {
+            const after = await this.lockRecordsByEmail(connection, written.map(entry => entry.record.email));
+            const rows = [...after.values()];
+            const entries = [...after.keys()].map((email, i) => Audit.entry(existing.get(email) || null, rows[i], audit));
+            await this.writeAuditEntries(connection, entries);
+            
+            // Only records the batch changed are compared again
+            outcome.flagged = await this.flagDuplicates(connection, rows.filter((row, i) => entries[i]), audit);
+        }
+        
+        return outcome;
+    }
+
+    /**
+     * Run a multi-row INSERT, splitting it in half when it fails
+     * @param {Object} connection - Open transaction
+     * @param {Array} entries - { record, index, exists } entries
+     * @param {string} mode - Bulk insert mode
+     * @param {Object} outcome - Batch outcome (updated in place)
+     * @param {Object} stats - Batch metrics (updated in place)
+     * @param {Array} written - Entries that were stored (appended to)
      */
-    async insertBulkRecords(records) {
-        const connection = await this.getConnection();
+    async insertRows(connection, entries, mode, outcome, stats, written) {
+        if (entries.length === 0) return;
+        
+        const rows = entries.map(({ record }) => this.recordValues(record));
         
         try {
-            await connection.beginTransaction();
-            
-            const sql = `
-                INSERT INTO mysql_table 
-                (first_name, last_name, email, age) 
-                VALUES (?, ?, ?, ?)
-                ON DUPLICATE KEY UPDATE 
-                first_name = VALUES(first_name),
-                last_name = VALUES(last_name),
-                age = VALUES(age)
-            `;
-            
-            for (const record of records) {
-                await connection.execute(sql, [
-                    record.first_name,
-                    record.last_name,
-                    record.email,
-                    record.age || null
-                ]);
-            }
-            
-            await connection.commit();
-            return { success: true, count: records.length };
+            await connection.insert('mysql_table', RECORD_INSERT_COLUMNS, rows, BULK_DUPLICATE_HANDLING[mode]);
         } catch (error) {
-            await connection.rollback();
-            throw error;
-        } finally {
-            connection.release();
+            // Connection problems and deadlocks affect the whole transaction, not these rows
+            if (error.fatal || RETRYABLE_ERRORS.includes(error.code)) {
+                throw error;
+            }
+            
+            if (entries.length === 1) {
+                outcome.failed.push(error.code === 'ER_DUP_ENTRY'
+                    ? { index: entries[0].index, code: 'duplicate', error: 'Email already exists in database' }
+                    : { index: entries[0].index, code: 'write_failed', error: error.message });
+                return;
+            }
+            
+            // A failed statement is rolled back on its own, so each half can be tried again
+            stats.splits++;
+            const middle = Math.ceil(entries.length / 2);
+            await this.insertRows(connection, entries.slice(0, middle), mode, outcome, stats, written);
+            await this.insertRows(connection, entries.slice(middle), mode, outcome, stats, written);
+            return;
+        }
+        
+        written.push(...entries);
+        
+        for (const entry of entries) {
+            if (!entry.exists) {
+                outcome.inserted++;
+            } else if (mode === 'skip') {
+                outcome.skipped++;
+            } else {
+                outcome.updated++;
+            }
         }
     }
 
     /**
-     * Close database connections
+     * Read and lock the stored records for the given emails
+     * @param {Object} connection - Open transaction
+     * @param {Array} emails - Emails to look up
+     * @returns {Promise<Map>} Lower-cased email -> record
      */
-    async close() {
+    async lockRecordsByEmail(connection, emails) {
+        if (emails.length === 0) return new Map();
+        
+        const values = emails.map(email => Encryption.lookup('email', email).value);
+        const rows = await connection.query(
+            `SELECT ${RECORD_COLUMNS} FROM mysql_table
+             WHERE ${EMAIL_KEY} IN (${values.map(() => '?').join(', ')})${connection.lockClause}`,
+            values
+        );
+        
+        return new Map(rows.map(row => Encryption.decryptFields(row)).map(row => [String(row.email).toLowerCase(), row]));
+    }
+
+    /**
+     * Queue the stored records that probably describe the same person as the given ones
+     * @param {Object} connection - Open transaction
+     * @param {Array} records - Records just written (with id)
+     * @param {Object} context - Audit context of the write ({ source, sourceRef } are kept with the pair)
+     * @returns {Promise<number>} How many of the records have at least one probable duplicate
+     */
+    async flagDuplicates(connection, records, context = {}) {
+        if (records.length === 0) return 0;
+        
+        const candidates = await this.findMatchCandidates(connection, records);
+        const pairs = new Map();
+        let flagged = 0;
+        
+        for (const record of records) {
+            const matches = Matching.findMatches(record, candidates);
+            
+            if (matches.length > 0) {
+                flagged++;
+            }
+            
+            for (const { match, score, reasons } of matches) {
+                const pairKey = `${Math.min(record.id, match.id)}:${Math.max(record.id, match.id)}`;
+                
+                // Two records of one batch find each other; the first finding is kept
+                if (!pairs.has(pairKey)) {
+                    pairs.set(pairKey, [
+                        pairKey, record.id, match.id, score, JSON.stringify(reasons),
+                        context.source || null, context.sourceRef || null, new Date()
+                    ]);
+                }
+            }
+        }
+        
+        if (pairs.size > 0) {
+            await connection.insert(
+                'duplicate_candidates',
+                ['pair_key', 'record_id', 'match_id', 'score', 'reasons', 'source', 'source_ref', 'created_at'],
+                [...pairs.values()],
+                CANDIDATE_DUPLICATE_HANDLING
+            );
+        }
+        
+        return flagged;
+    }
+
+    /**
+     * Read the stored records sharing any match key, phone number or Eircode with the given ones
+     * @param {Object} connection - Open transaction
+     * @param {Array} records - Records to find candidates for
+     * @returns {Promise<Array>} Candidate records
+     */
+    async findMatchCandidates(connection, records) {
+        // Phone numbers and Eircodes are compared through their blind indexes while encrypted
+        const phone = Encryption.lookup('phone_number').column;
+        const eircode = Encryption.lookup('eircode').column;
+        const values = { match_email: new Set(), match_name: new Set(), [phone]: new Set(), [eircode]: new Set() };
+        
+        for (const record of records) {
+            const keys = {
+                ...this.storedMatchKeys(record),
+                [phone]: Encryption.lookup('phone_number', record.phone_number).value,
+                [eircode]: Encryption.lookup('eircode', record.eircode).value
+            };
+            
+            for (const column of Object.keys(values)) {
+                if (keys[column]) {
+                    values[column].add(keys[column]);
+                }
+            }
+        }
+        
+        const columns = Object.keys(values).filter(column => values[column].size > 0);
+        if (columns.length === 0) return [];
+        
+        const rows = await connection.query(
+            `SELECT ${RECORD_COLUMNS} FROM mysql_table
+             WHERE ${columns.map(column => `${column} IN (${[...values[column]].map(() => '?').join(', ')})`).join(' OR ')}`,
+            columns.flatMap(column => [...values[column]])
+        );
+        
+        return rows.map(row => Encryption.decryptFields(row));
+    }
+
+    /**
+     * Store audit_log entries (null entries, where nothing changed, are skipped)
+     * @param {Object} connection - Open transaction
+     * @param {Array} entries - Entries built by Audit.entry
+     */
+    async writeAuditEntries(connection, entries) {
+        const rows = entries.filter(Boolean).map(entry => [
+            entry.recordId,
+            entry.operation,
+            entry.changedBy,
+            entry.source,
+            entry.sourceRef,
+            JSON.stringify(this.encryptAuditChanges(entry.changes)),
+            entry.snapshot ? JSON.stringify(Encryption.encryptFields(entry.snapshot)) : null,
+            new Date()
+        ]);
+        
+        if (rows.length === 0) return;
+        
+        await connection.insert(
+            'audit_log',
+            ['record_id', 'operation', 'changed_by', 'source', 'source_ref', 'changes', 'snapshot', 'created_at'],
+            rows
+        );
+    }
+
+    /**
+     * Encrypt the before and after values of encrypted fields in an audit entry's changes
+     * @param {Object} changes - { field: { before, after } }
+     * @returns {Object} Changes as stored
+     */
+    encryptAuditChanges(changes) {
+        const stored = {};
+
+        for (const [field, change] of Object.entries(changes)) {
+            stored[field] = Encryption.isEncrypted(field)
+                ? { before: Encryption.encrypt(field, change.before), after: Encryption.encrypt(field, change.after) }
+                : change;
+        }
+
+        return stored;
+    }
+
+    /**
+     * Decrypt the values in stored audit changes
+     * @param {Object} changes - { field: { before, after } } as stored
+     * @returns {Object} Changes in plaintext
+     */
+    decryptAuditChanges(changes) {
+        const plain = {};
+
+        for (const [field, change] of Object.entries(changes)) {
+            plain[field] = {
+                before: Encryption.decrypt(field, change.before),
+                after: Encryption.decrypt(field, change.after)
+            };
+        }
+
+        return plain;
+    }
+
+    /**
+     * List the audit history of a record, newest first
+     * @param {number} recordId - Record id
+     * @returns {Promise} Audit entries with the acting username
+     */
+    async findAuditHistory(recordId) {
+        const rows = await this.execute(
+            `SELECT a.id, a.operation, a.changed_by, u.username, a.source, a.source_ref, a.changes, a.created_at
+             FROM audit_log a
+             LEFT JOIN users u ON u.id = a.changed_by
+             WHERE a.record_id = ?
+             ORDER BY a.id DESC`,
+            [recordId]
+        );
+        
+        return rows.map(row => ({
+            ...row,
+            changes: this.decryptAuditChanges(typeof row.changes === 'string' ? JSON.parse(row.changes) : row.changes)
+        }));
+    }
+
+    /**
+     * Find one audit entry of a record, including the snapshot it left behind
+     * @param {number} recordId - Record id
+     * @param {number} auditId - Audit entry id
+     * @returns {Promise} Entry or null
+     */
+    async findAuditEntry(recordId, auditId) {
+        const rows = await this.execute(
+            'SELECT id, operation, snapshot FROM audit_log WHERE id = ? AND record_id = ?',
+            [auditId, recordId]
+        );
+        
+        if (rows.length === 0) return null;
+        
+        const snapshot = typeof rows[0].snapshot === 'string' ? JSON.parse(rows[0].snapshot) : rows[0].snapshot;
+
+        return { ...rows[0], snapshot: Encryption.decryptFields(snapshot) };
+    }
+
+    /**
+     * Restore a record to an earlier version (re-creating it if it was deleted)
+     * @param {number} id - Record id
+     * @param {Object} snapshot - Field values to restore
+     * @param {Object} audit - Audit context
+     * @returns {Promise} Restored record
+     */
+    async revertRecord(id, snapshot, audit = {}) {
+        return await this.withTransaction(async (connection) => {
+            const before = await this.lockRecord(connection, 'id', id);
+            const values = this.recordValues(snapshot);
+            
+            if (before) {
+                await connection.query(UPDATE_RECORD_SQL, [...values, id]);
+            } else {
+                await connection.insert('mysql_table', ['id', ...RECORD_INSERT_COLUMNS], [[id, ...values]]);
+            }
+            
+            const after = await this.lockRecord(connection, 'id', id);
+            await this.writeAuditEntries(connection, [Audit.entry(before, after, audit)]);
+            return after;
+        });
+    }
+
+    /**
+     * Rewrite stored records and audit entries under the current encryption settings: encrypt
+     * plaintext values, move ciphertext to the active key, decrypt fields no longer encrypted and
+     * refresh the blind indexes. Rejected import rows and stored responses are resealed too.
+     * Rows already stored as they would be written now are skipped.
+     * Re-encrypting is not a change to a record, so updated_at is kept.
+     * @param {Object} options - all (rewrite every row, e.g. after the index key changed), batchSize
+     * @returns {Promise} { records, auditEntries, rejectedRows, storedResponses }: how many rows were rewritten
+     */
+    async reencryptAll({ all = false, batchSize = DEFAULT_BATCH_SIZE } = {}) {
+        const result = { records: 0, auditEntries: 0, rejectedRows: 0, storedResponses: 0 };
+        const columns = ['email', 'phone_number', 'eircode', 'match_email', 'email_bidx', 'phone_number_bidx', 'eircode_bidx'];
+        
+        for (let lastId = 0; ;) {
+            const rows = await this.withTransaction(async (connection) => {
+                const batch = await connection.query(
+                    `SELECT ${RECORD_COLUMNS}, updated_at FROM mysql_table WHERE id > ?
+                     ORDER BY id LIMIT ${parseInt(batchSize)}${connection.lockClause}`,
+                    [lastId]
+                );
+                
+                for (const row of batch.filter(row => all || Encryption.needsReencryption(row))) {
+                    const values = this.recordValues(Encryption.decryptFields(row));
+                    const stored = columns.map(column => values[RECORD_INSERT_COLUMNS.indexOf(column)]);
+                    
+                    await connection.query(
+                        `UPDATE mysql_table SET ${columns.map(column => `${column} = ?`).join(', ')}, updated_at = updated_at WHERE id = ?`,
+                        [...stored, row.id]
+                    );
+                    
+                    // SQLite's trigger stamps updated_at after any field change, so put the old value back
+                    if (this.adapter.dialect === 'sqlite') {
+                        await connection.query('UPDATE mysql_table SET updated_at = ? WHERE id = ?', [row.updated_at, row.id]);
+                    }
+                    
+                    result.records++;
+                }
+                
+                return batch;
+            });
+            
+            if (rows.length === 0) break;
+            lastId = rows[rows.length - 1].id;
+        }
+        
+        for (let lastId = 0; ;) {
+            const rows = await this.withTransaction(async (connection) => {
+                const batch = await connection.query(
+                    `SELECT id, changes, snapshot FROM audit_log WHERE id > ?
+                     ORDER BY id LIMIT ${parseInt(batchSize)}${connection.lockClause}`,
+                    [lastId]
+                );
+                
+                for (const row of batch) {
+                    const changes = typeof row.changes === 'string' ? JSON.parse(row.changes) : row.changes;
+                    const snapshot = typeof row.snapshot === 'string' ? JSON.parse(row.snapshot) : row.snapshot;
+                    const stale = (snapshot && Encryption.needsReencryption(snapshot)) ||
+                        Object.entries(changes).some(([field, change]) =>
+                            Encryption.needsReencryption({ [field]: change.before }) ||
+                            Encryption.needsReencryption({ [field]: change.after }));
+                    
+                    if (!all && !stale) continue;
+                    
+                    await connection.query(
+                        'UPDATE audit_log SET changes = ?, snapshot = ? WHERE id = ?',
+                        [
+                            JSON.stringify(this.encryptAuditChanges(this.decryptAuditChanges(changes))),
+                            snapshot ? JSON.stringify(Encryption.encryptFields(Encryption.decryptFields(snapshot))) : null,
+                            row.id
+                        ]
+                    );
+                    result.auditEntries++;
+                }
+                
+                return batch;
+            });
+            
+            if (rows.length === 0) break;
+            lastId = rows[rows.length - 1].id;
+        }
+        
+        result.rejectedRows = await this.reencryptJsonColumn('import_rejected_rows', 'id', 0, 'raw_data', all);
+        result.storedResponses = await this.reencryptJsonColumn('idempotency_keys', 'key_hash', '', 'response_body', all);
+        
+        return result;
+    }
+    
+    /**
+     * Reseal a column of documents stored with Encryption.encryptJson
+     * @param {string} table - Table name
+     * @param {string} key - Unique column to page by
+     * @param {*} start - Value below every key
+     * @param {string} column - Document column (NULLs are skipped)
+     * @param {boolean} all - Rewrite documents already stored as they would be written now
+     * @returns {Promise<number>} Rows rewritten
+     */
+    async reencryptJsonColumn(table, key, start, column, all) {
+        let rewritten = 0;
+        
+        for await (const rows of this.scanTable(table, `${key}, ${column}`, key, start)) {
+            for (const row of rows) {
+                if (row[column] === null || (!all && !Encryption.jsonNeedsReencryption(row[column]))) continue;
+                
+                await this.execute(
+                    `UPDATE ${table} SET ${column} = ? WHERE ${key} = ?`,
+                    [Encryption.encryptJson(column, Encryption.decryptJson(column, row[column])), row[key]]
+                );
+                rewritten++;
+            }
+        }
+        
+        return rewritten;
+    }
+
+    /**
+     * Escape LIKE wildcards so user input is matched literally
+     * '!' is the escape character (named with ESCAPE, since SQLite has no default one)
+     * @param {string} value - Raw search value
+     * @returns {string} Escaped value
+     */
+    escapeLike(value) {
+        return String(value).replace(/[!%_]/g, '!$&');
+    }
+
+    /**
+     * Build a WHERE clause for record searches
+     * An encrypted email or Eircode can only be matched exactly, through its blind index.
+     * @param {Object} filters - name, email, eircode, routingKey, minAge, maxAge
+     * @returns {Object} { where, params }
+     */
+    buildRecordFilters(filters = {}) {
+        const conditions = [];
+        const params = [];
+
+        if (filters.name) {
+            const pattern = `%${this.escapeLike(filters.name)}%`;
+            conditions.push("(first_name LIKE ? ESCAPE '!' OR last_name LIKE ? ESCAPE '!')");
+            params.push(pattern, pattern);
+        }
+
+        if (filters.email && Encryption.isEncrypted('email')) {
+            conditions.push('email_bidx = ?');
+            params.push(Encryption.blindIndex('email', filters.email));
+        } else if (filters.email) {
+            conditions.push("email LIKE ? ESCAPE '!'");
+            params.push(`%${this.escapeLike(filters.email)}%`);
+        }
+
+        if (filters.eircode && Encryption.isEncrypted('eircode')) {
+            conditions.push('eircode_bidx = ?');
+            params.push(Encryption.blindIndex('eircode', filters.eircode));
+        } else if (filters.eircode) {
+            conditions.push("eircode LIKE ? ESCAPE '!'");
+            params.push(`${this.escapeLike(filters.eircode)}%`);
+        }
+
+        if (filters.routingKey) {
+            conditions.push('eircode_routing_key = ?');
+            params.push(filters.routingKey);
+        }
+
+        if (filters.minAge !== undefined) {
+            conditions.push('age >= ?');
+            params.push(filters.minAge);
+        }
+
+        if (filters.maxAge !== undefined) {
+            conditions.push('age <= ?');
+            params.push(filters.maxAge);
+        }
+
+        return {
+            where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+            params: params
+        };
+    }
+
+    /**
+     * Search records with pagination and sorting
+     * @param {Object} options - filters, sortBy, sortOrder, limit, offset
+     * @returns {Promise} { records, total }
+     */
+    async findRecords({ filters = {}, sortBy = 'id', sortOrder = 'ASC', limit = 20, offset = 0 } = {}) {
+        const { where, params } = this.buildRecordFilters(filters);
+        // Only whitelisted column names are ever interpolated into ORDER BY
+        const column = Validation.SORTABLE_FIELDS.includes(sortBy) ? sortBy : 'id';
+        const direction = sortOrder === 'DESC' ? 'DESC' : 'ASC';
+
+        const [countRow] = await this.execute(
+            `SELECT COUNT(*) AS total FROM mysql_table ${where}`,
+            params
+        );
+
+        // LIMIT/OFFSET are validated integers; mysql2 prepared statements reject them as placeholders
+        const records = await this.execute(
+            `SELECT ${RECORD_COLUMNS}
+             FROM mysql_table ${where}
+             ORDER BY ${column} ${direction}
+             LIMIT ${parseInt(limit)} OFFSET ${parseInt(offset)}`,
+            params
+        );
+
+        return { records: records.map(row => Encryption.decryptFields(row)), total: countRow.total };
+    }
+
+    /**
+     * Stream matching records row by row (a server-side cursor on MySQL)
+     * @param {Object} options - filters, sortBy, sortOrder, columns (already whitelisted)
+     * @returns {Stream} Readable object stream of rows
+     */
+    streamRecords({ filters = {}, sortBy = 'id', sortOrder = 'ASC', columns = Validation.EXPORTABLE_FIELDS } = {}) {
+        const { where, params } = this.buildRecordFilters(filters);
+        const column = Validation.SORTABLE_FIELDS.includes(sortBy) ? sortBy : 'id';
+        const direction = sortOrder === 'DESC' ? 'DESC' : 'ASC';
+        const selected = columns.filter(name => Validation.EXPORTABLE_FIELDS.includes(name));
+
+        const rows = this.adapter.stream(
+            `SELECT ${selected.join(', ')} FROM mysql_table ${where} ORDER BY ${column} ${direction}`,
+            params
+        );
+
+        return pipeline(rows, new Transform({
+            objectMode: true,
+            transform(row, encoding, callback) {
+                try {
+                    callback(null, Encryption.decryptFields(row));
+                } catch (error) {
+                    callback(error);
+                }
+            }
+        }), () => {});
+    }
+
+    /**
+     * Find a single record by id
+     * @param {number} id - Record id
+     * @returns {Promise} Record or null
+     */
+    async findRecordById(id) {
+        const rows = await this.execute(
+            `SELECT ${RECORD_COLUMNS} FROM mysql_table WHERE id = ?`,
+            [id]
+        );
+
+        return rows.length > 0 ? Encryption.decryptFields(rows[0]) : null;
+    }
+
+    /**
+     * Replace all editable fields of a record
+     * @param {number} id - Record id
+     * @param {Object} data - Record data
+     * @param {Object} audit - Audit context { userId, source, sourceRef }
+     * @returns {Promise} Update result
+     */
+    async updateRecord(id, data, audit = {}) {
+        const params = [...this.recordValues(data), id];
+
+        return await this.withTransaction(async (connection) => {
+            const before = await this.lockRecord(connection, 'id', id);
+            const result = await connection.query(UPDATE_RECORD_SQL, params);
+            const after = await this.lockRecord(connection, 'id', id);
+
+            await this.writeAuditEntries(connection, [before && Audit.entry(before, after, audit)]);
+            return result;
+        });
+    }
+
+    /**
+     * Delete a record by id
+     * @param {number} id - Record id
+     * @param {Object} audit - Audit context { userId, source, sourceRef }
+     * @returns {Promise} Delete result
+     */
+    async deleteRecord(id, audit = {}) {
+        return await this.withTransaction(async (connection) => {
+            const before = await this.lockRecord(connection, 'id', id);
+            const result = await connection.query('DELETE FROM mysql_table WHERE id = ?', [id]);
+
+            await this.writeAuditEntries(connection, [before && Audit.entry(before, null, audit)]);
+            await this.removePendingDuplicates(connection, id);
+            return result;
+        });
+    }
+
+    /**
+     * Drop the review queue entries a deleted record leaves without a decision to make
+     * @param {Object} connection - Open transaction
+     * @param {number} recordId - Deleted record id
+     */
+    async removePendingDuplicates(connection, recordId) {
+        await connection.query(
+            "DELETE FROM duplicate_candidates WHERE status = 'pending' AND (record_id = ? OR match_id = ?)",
+            [recordId, recordId]
+        );
+    }
+
+    /**
+     * List review queue entries with both records, oldest first
+     * @param {Object} options - status, limit, offset
+     * @returns {Promise} { candidates, total }
+     */
+    async findDuplicateCandidates({ status = 'pending', limit = 20, offset = 0 } = {}) {
+        const [countRow] = await this.execute(
+            'SELECT COUNT(*) AS total FROM duplicate_candidates WHERE status = ?',
+            [status]
+        );
+
+        const rows = await this.execute(
+            `SELECT ${CANDIDATE_COLUMNS} FROM duplicate_candidates WHERE status = ?
+             ORDER BY id LIMIT ${parseInt(limit)} OFFSET ${parseInt(offset)}`,
+            [status]
+        );
+
+        return { candidates: await this.withCandidateRecords(rows), total: countRow.total };
+    }
+
+    /**
+     * Find one review queue entry with both records
+     * @param {number} id - Entry id
+     * @returns {Promise} Entry or null
+     */
+    async findDuplicateCandidate(id) {
+        const rows = await this.execute(`SELECT ${CANDIDATE_COLUMNS} FROM duplicate_candidates WHERE id = ?`, [id]);
+        const [candidate] = await this.withCandidateRecords(rows);
+
+        return candidate || null;
+    }
+
+    /**
+     * Attach the records of review queue entries (null for a record deleted since)
+     * @param {Array} rows - duplicate_candidates rows
+     * @returns {Promise<Array>} Entries with parsed reasons, record and match
+     */
+    async withCandidateRecords(rows) {
+        const ids = [...new Set(rows.flatMap(row => [row.record_id, row.match_id]))];
+        const records = ids.length === 0 ? [] : await this.execute(
+            `SELECT ${RECORD_COLUMNS} FROM mysql_table WHERE id IN (${ids.map(() => '?').join(', ')})`,
+            ids
+        );
+        const byId = new Map(records.map(record => [record.id, Encryption.decryptFields(record)]));
+
+        return rows.map(row => ({
+            ...row,
+            reasons: typeof row.reasons === 'string' ? JSON.parse(row.reasons) : row.reasons,
+            record: byId.get(row.record_id) || null,
+            match: byId.get(row.match_id) || null
+        }));
+    }
+
+    /**
+     * Merge the two records of a pending review queue entry
+     * The kept record takes the other's values for the fields it is missing; the other is deleted.
+     * @param {number} id - Entry id
+     * @param {number} keepId - Record to keep: record_id or match_id of the entry (defaults to match_id,
+     *                          the record stored first)
+     * @param {Object} audit - Audit context { userId, source, sourceRef }
+     * @returns {Promise} { outcome: 'merged', record }, { outcome: 'not_pending' | 'invalid_keep' },
+     *                    or null when not found
+     */
+    async mergeDuplicate(id, keepId = null, audit = {}) {
+        return await this.withTransaction(async (connection) => {
+            const [candidate] = await connection.query(
+                `SELECT ${CANDIDATE_COLUMNS} FROM duplicate_candidates WHERE id = ?${connection.lockClause}`,
+                [id]
+            );
+
+            if (!candidate) return null;
+            if (candidate.status !== 'pending') return { outcome: 'not_pending' };
+
+            const keepRecordId = keepId || candidate.match_id;
+
+            if (keepRecordId !== candidate.record_id && keepRecordId !== candidate.match_id) {
+                return { outcome: 'invalid_keep' };
+            }
+
+            const removeId = keepRecordId === candidate.record_id ? candidate.match_id : candidate.record_id;
+            const keep = await this.lockRecord(connection, 'id', keepRecordId);
+            const remove = await this.lockRecord(connection, 'id', removeId);
+
+            // Deleting a record removes its pending entries, so both should exist
+            if (!keep || !remove) return { outcome: 'not_pending' };
+
+            const merged = { ...keep };
+
+            for (const field of Audit.AUDITED_FIELDS) {
+                if (Audit.normalize(merged[field]) === null) {
+                    merged[field] = remove[field];
+                }
+            }
+
+            await connection.query(UPDATE_RECORD_SQL, [...this.recordValues(merged), keepRecordId]);
+            await connection.query('DELETE FROM mysql_table WHERE id = ?', [removeId]);
+
+            const after = await this.lockRecord(connection, 'id', keepRecordId);
+            await this.writeAuditEntries(connection, [Audit.entry(keep, after, audit), Audit.entry(remove, null, audit)]);
+
+            await connection.query(
+                "UPDATE duplicate_candidates SET status = 'merged', resolved_by = ?, resolved_at = ? WHERE id = ?",
+                [audit.userId || null, new Date(), id]
+            );
+            await this.removePendingDuplicates(connection, removeId);
+
+            // The merged record may now resemble records the deleted one was not compared with
+            await this.flagDuplicates(connection, [after], audit);
+
+            return { outcome: 'merged', record: after };
+        });
+    }
+
+    /**
+     * Mark a pending review queue entry as not a duplicate
+     * @param {number} id - Entry id
+     * @param {number} userId - Reviewing user
+     * @returns {Promise} 'dismissed', 'not_pending', or null when not found
+     */
+    async dismissDuplicate(id, userId) {
+        const result = await this.execute(
+            "UPDATE duplicate_candidates SET status = 'dismissed', resolved_by = ?, resolved_at = ? WHERE id = ? AND status = 'pending'",
+            [userId || null, new Date(), id]
+        );
+
+        if (result.affectedRows > 0) return 'dismissed';
+
+        const rows = await this.execute('SELECT id FROM duplicate_candidates WHERE id = ?', [id]);
+        return rows.length > 0 ? 'not_pending' : null;
+    }
+
+    /**
+     * Claim an idempotency key (an expired claim on the same key is replaced)
+     * @param {string} keyHash - Scoped key (see idempotency.js)
+     * @param {string} requestHash - Fingerprint of the request
+     * @param {Date} expiresAt - When the key may be reused
+     * @returns {Promise<boolean>} True when claimed, false when the key is already held
+     */
+    async claimIdempotencyKey(keyHash, requestHash, expiresAt) {
+        const now = new Date();
+
+        await this.execute('DELETE FROM idempotency_keys WHERE key_hash = ? AND expires_at <= ?', [keyHash, now]);
+
+        try {
+            // Not through execute(): a held key is an expected outcome, not an error to log
+            await this.adapter.query(
+                'INSERT INTO idempotency_keys (key_hash, request_hash, created_at, expires_at) VALUES (?, ?, ?, ?)',
+                [keyHash, requestHash, now, expiresAt]
+            );
+            return true;
+        } catch (error) {
+            if (error.code === 'ER_DUP_ENTRY') return false;
+            throw error;
+        }
+    }
+
+    /**
+     * Find a claimed idempotency key
+     * @param {string} keyHash - Scoped key
+     * @returns {Promise} Row with response_body decoded (status_code and response_body are null
+     *                    while the first request runs) or null
+     */
+    async findIdempotencyKey(keyHash) {
+        const rows = await this.execute(
+            'SELECT key_hash, request_hash, status_code, response_body, expires_at FROM idempotency_keys WHERE key_hash = ?',
+            [keyHash]
+        );
+
+        if (rows.length === 0) return null;
+
+        const body = rows[0].response_body;
+        return { ...rows[0], response_body: body === null ? null : Encryption.decryptJson('response_body', body) };
+    }
+
+    /**
+     * Store the response to replay for an idempotency key
+     * The body can echo submitted personal data, so it is encrypted like the record (see encryption.js).
+     * @param {string} keyHash - Scoped key
+     * @param {number} statusCode - HTTP status
+     * @param {Object} responseBody - Response body
+     * @returns {Promise} Update result
+     */
+    async completeIdempotencyKey(keyHash, statusCode, responseBody) {
+        return await this.execute(
+            'UPDATE idempotency_keys SET status_code = ?, response_body = ? WHERE key_hash = ?',
+            [statusCode, Encryption.encryptJson('response_body', responseBody), keyHash]
+        );
+    }
+
+    /**
+     * Give up a claim whose request did not complete
+     * @param {string} keyHash - Scoped key
+     * @returns {Promise} Delete result
+     */
+    async releaseIdempotencyKey(keyHash) {
+        return await this.execute('DELETE FROM idempotency_keys WHERE key_hash = ?', [keyHash]);
+    }
+
+    /**
+     * Delete idempotency keys past their replay window
+     * @returns {Promise} Delete result
+     */
+    async purgeExpiredIdempotencyKeys() {
+        return await this.execute('DELETE FROM idempotency_keys WHERE expires_at <= ?', [new Date()]);
+    }
+
+    /**
+     * Read a table in batches of rows, in key order, without holding a transaction open
+     * @param {string} table - Table name
+     * @param {string} columns - Columns to select, including the key
+     * @param {string} key - Unique column to page on
+     * @param {*} start - Value sorting before every key (0, or '' for a text key)
+     * @returns {AsyncGenerator<Array>} Batches of rows
+     */
+    async *scanTable(table, columns, key = 'id', start = 0) {
+        for (let last = start; ;) {
+            const rows = await this.execute(
+                `SELECT ${columns} FROM ${table} WHERE ${key} > ? ORDER BY ${key} LIMIT ${DEFAULT_BATCH_SIZE}`,
+                [last]
+            );
+
+            if (rows.length === 0) return;
+
+            yield rows;
+            last = rows[rows.length - 1][key];
+        }
+    }
+
+    /**
+     * Find the record stored for an email address, with its timestamps
+     * @param {string} email - Email address
+     * @returns {Promise} Record or null
+     */
+    async findRecordByEmail(email) {
+        const match = Encryption.lookup('email', email);
+        const rows = await this.execute(
+            `SELECT ${RECORD_COLUMNS}, created_at, updated_at, anonymised_at FROM mysql_table WHERE ${match.column} = ?`,
+            [match.value]
+        );
+
+        return rows.length > 0 ? Encryption.decryptFields(rows[0]) : null;
+    }
+
+    /**
+     * Gather everything held about an email address: its record, the audit entries of that
+     * record and any other audit entry naming the address (e.g. from before an email change),
+     * its review queue entries, the webhook deliveries about its record, and the rejected import
+     * rows, stored idempotent responses and webhook deliveries naming it. All but the record and
+     * review queue entries are searched by reading them all.
+     * @param {string} email - Email address
+     * @returns {Promise} { record, auditEntries, duplicateCandidates, rejectedRows, storedResponses, webhookDeliveries }
+     */
+    async findSubjectData(email) {
+        const subject = email.trim().toLowerCase();
+        const record = await this.findRecordByEmail(email);
+        const found = {
+            record: record,
+            auditEntries: [],
+            duplicateCandidates: [],
+            rejectedRows: [],
+            storedResponses: [],
+            webhookDeliveries: []
+        };
+
+        const auditColumns = 'id, record_id, operation, changed_by, source, source_ref, changes, snapshot, created_at';
+
+        for await (const rows of this.scanTable('audit_log', auditColumns)) {
+            for (const row of rows) {
+                const changes = typeof row.changes === 'string' ? JSON.parse(row.changes) : row.changes;
+                const snapshot = typeof row.snapshot === 'string' ? JSON.parse(row.snapshot) : row.snapshot;
+                const entry = {
+                    ...row,
+                    changes: this.decryptAuditChanges(changes),
+                    snapshot: snapshot ? Encryption.decryptFields(snapshot) : null
+                };
+
+                if ((record && row.record_id === record.id) || mentionsEmail([entry.changes, entry.snapshot], subject)) {
+                    found.auditEntries.push(entry);
+                }
+            }
+        }
+
+        if (record) {
+            const rows = await this.execute(
+                `SELECT ${CANDIDATE_COLUMNS} FROM duplicate_candidates WHERE record_id = ? OR match_id = ? ORDER BY id`,
+                [record.id, record.id]
+            );
+
+            found.duplicateCandidates = rows.map(row => ({
+                ...row,
+                reasons: typeof row.reasons === 'string' ? JSON.parse(row.reasons) : row.reasons
+            }));
+        }
+
+        for await (const rows of this.scanTable('import_rejected_rows', 'id, job_id, source_row, raw_data, errors')) {
+            for (const row of rows) {
+                const raw = Encryption.decryptJson('raw_data', row.raw_data);
+
+                if (mentionsEmail(raw, subject)) {
+                    found.rejectedRows.push({
+                        id: row.id,
+                        jobId: row.job_id,
+                        row: row.source_row,
+                        raw: raw,
+                        errors: typeof row.errors === 'string' ? JSON.parse(row.errors) : row.errors
+                    });
+                }
+            }
+        }
+
+        const responseColumns = 'key_hash, status_code, response_body, created_at, expires_at';
+
+        for await (const rows of this.scanTable('idempotency_keys', responseColumns, 'key_hash', '')) {
+            for (const row of rows) {
+                const body = row.response_body ? Encryption.decryptJson('response_body', row.response_body) : null;
+
+                if (mentionsEmail(body, subject)) {
+                    found.storedResponses.push({ ...row, response_body: body });
+                }
+            }
+        }
+
+        const deliveryColumns = 'id, webhook_id, event_id, event_type, payload, status, created_at, delivered_at';
+
+        for await (const rows of this.scanTable('webhook_deliveries', deliveryColumns)) {
+            for (const row of rows) {
+                const payload = JSON.parse(row.payload);
+                const aboutRecord = record && payload.type.startsWith('record.') && payload.data.id === record.id;
+
+                // Record events name the record by id; older ones carried the record itself
+                if (aboutRecord || mentionsEmail(payload.data, subject)) {
+                    found.webhookDeliveries.push({ ...row, payload: payload });
+                }
+            }
+        }
+
+        return found;
+    }
+
+    /**
+     * Erase or anonymise everything held about an email address (see findSubjectData)
+     * Erasing deletes the record and its audit history; anonymising replaces its personal data
+     * (see anonymiseRecord). Either way its review queue entries and webhook deliveries, and the
+     * rejected import rows, stored responses and webhook deliveries naming the address are
+     * deleted, as is the history of deleted records that named it; other records' audit entries
+     * keep their history with the address blanked out. No audit entry is written: it would hold
+     * the data again.
+     * @param {string} email - Email address
+     * @param {Object} options - anonymise (keep an anonymised record instead of deleting it)
+     * @returns {Promise} Counts { records, auditEntries, duplicateCandidates, rejectedRows, storedResponses, webhookDeliveries }
+     */
+    async eraseSubjectData(email, { anonymise = false } = {}) {
+        const subject = email.trim().toLowerCase();
+        const found = await this.findSubjectData(email);
+
+        return await this.withTransaction(async (connection) => {
+            const counts = {
+                records: 0,
+                auditEntries: 0,
+                duplicateCandidates: 0,
+                rejectedRows: 0,
+                storedResponses: 0,
+                webhookDeliveries: 0
+            };
+            const record = await this.lockRecord(connection, 'email', email);
+
+            if (record) {
+                addCounts(counts, await this.forgetRecord(connection, record.id, anonymise));
+            }
+
+            // History naming the address under other record ids: a deleted record's history goes
+            // with it, a record that exists now keeps its history without the address
+            const others = found.auditEntries.filter(entry => !record || entry.record_id !== record.id);
+            const otherIds = [...new Set(others.map(entry => entry.record_id))];
+            const existing = otherIds.length === 0 ? [] : await connection.query(
+                `SELECT id FROM mysql_table WHERE id IN (${otherIds.map(() => '?').join(', ')})`,
+                otherIds
+            );
+            const existingIds = new Set(existing.map(row => row.id));
+            const deletedIds = otherIds.filter(id => !existingIds.has(id));
+
+            for (const entry of others.filter(entry => existingIds.has(entry.record_id))) {
+                await this.scrubAuditEntry(connection, entry, value => mentionsEmail(value, subject));
+                counts.auditEntries++;
+            }
+
+            if (deletedIds.length > 0) {
+                const result = await connection.query(
+                    `DELETE FROM audit_log WHERE record_id IN (${deletedIds.map(() => '?').join(', ')})`,
+                    deletedIds
+                );
+                counts.auditEntries += result.affectedRows;
+            }
+
+            const rejectedIds = found.rejectedRows.map(row => row.id);
+            const keyHashes = found.storedResponses.map(row => row.key_hash);
+
+            if (rejectedIds.length > 0) {
+                const result = await connection.query(
+                    `DELETE FROM import_rejected_rows WHERE id IN (${rejectedIds.map(() => '?').join(', ')})`,
+                    rejectedIds
+                );
+                counts.rejectedRows = result.affectedRows;
+            }
+
+            if (keyHashes.length > 0) {
+                const result = await connection.query(
+                    `DELETE FROM idempotency_keys WHERE key_hash IN (${keyHashes.map(() => '?').join(', ')})`,
+                    keyHashes
+                );
+                counts.storedResponses = result.affectedRows;
+            }
+
+            const deliveryIds = found.webhookDeliveries.map(row => row.id);
+
+            if (deliveryIds.length > 0) {
+                const result = await connection.query(
+                    `DELETE FROM webhook_deliveries WHERE id IN (${deliveryIds.map(() => '?').join(', ')})`,
+                    deliveryIds
+                );
+                counts.webhookDeliveries = result.affectedRows;
+            }
+
+            return counts;
+        });
+    }
+
+    /**
+     * Delete or anonymise a record, with its review queue entries and audit history
+     * (deleted with the record, blanked out when it is anonymised)
+     * @param {Object} connection - Open transaction, holding the record's lock
+     * @param {number} id - Record id
+     * @param {boolean} anonymise - Anonymise instead of deleting
+     * @returns {Promise} Counts { records, auditEntries, duplicateCandidates }
+     */
+    async forgetRecord(connection, id, anonymise) {
+        const candidates = await connection.query(
+            'DELETE FROM duplicate_candidates WHERE record_id = ? OR match_id = ?',
+            [id, id]
+        );
+        let auditEntries;
+
+        if (anonymise) {
+            await this.anonymiseRecord(connection, id);
+
+            const entries = await connection.query('SELECT id, changes FROM audit_log WHERE record_id = ?', [id]);
+
+            for (const entry of entries) {
+                await this.scrubAuditEntry(connection, entry, () => true);
+            }
+            auditEntries = entries.length;
+        } else {
+            await connection.query('DELETE FROM mysql_table WHERE id = ?', [id]);
+            auditEntries = (await connection.query('DELETE FROM audit_log WHERE record_id = ?', [id])).affectedRows;
+        }
+
+        return { records: 1, auditEntries: auditEntries, duplicateCandidates: candidates.affectedRows };
+    }
+
+    /**
+     * Replace the personal data of a record: names become "Anonymised", the email a placeholder,
+     * phone number, Eircode and everything derived from them (routing key, match keys, blind
+     * indexes) are cleared. Age is kept for reporting: without a name, contact details or an
+     * address it no longer points to anyone.
+     * @param {Object} connection - Open transaction, holding the record's lock
+     * @param {number} id - Record id
+     */
+    async anonymiseRecord(connection, id) {
+        const email = anonymisedEmail(id);
+        const stored = Encryption.encryptFields({ email: email });
+
+        await connection.query(
+            `UPDATE mysql_table SET
+             first_name = ?, last_name = ?, email = ?, phone_number = NULL, eircode = NULL, eircode_routing_key = NULL,
+             match_email = NULL, match_name = NULL, email_bidx = ?, phone_number_bidx = NULL, eircode_bidx = NULL,
+             anonymised_at = ?
+             WHERE id = ?`,
+            [ANONYMISED_NAME, ANONYMISED_NAME, stored.email, Encryption.blindIndex('email', email), new Date(), id]
+        );
+    }
+
+    /**
+     * Blank out values of an audit entry and drop its snapshot (it can no longer be reverted to)
+     * @param {Object} connection - Open transaction
+     * @param {Object} entry - audit_log row (id, changes; changes may be decrypted or as stored)
+     * @param {Function} matches - value => whether to blank it (given plaintext)
+     */
+    async scrubAuditEntry(connection, entry, matches) {
+        const stored = typeof entry.changes === 'string' ? JSON.parse(entry.changes) : entry.changes;
+        const changes = this.decryptAuditChanges(stored);
+
+        for (const change of Object.values(changes)) {
+            if (change.before !== null && matches(change.before)) change.before = null;
+            if (change.after !== null && matches(change.after)) change.after = null;
+        }
+
+        await connection.query(
+            'UPDATE audit_log SET changes = ?, snapshot = NULL WHERE id = ?',
+            [JSON.stringify(this.encryptAuditChanges(changes)), entry.id]
+        );
+    }
+
+    /**
+     * Apply the retention policy: delete or anonymise records not changed since the cutoff,
+     * then delete what outlives its record or import: audit entries of deleted records,
+     * rejected rows of imports and webhook deliveries older than the cutoff, and expired
+     * idempotent responses
+     * @param {Object} options - cutoff (Date), anonymise (instead of deleting records)
+     * @returns {Promise} Counts { records, auditEntries, duplicateCandidates, rejectedRows, storedResponses, webhookDeliveries }
+     */
+    async applyRetention({ cutoff, anonymise = true }) {
+        const counts = {
+            records: 0,
+            auditEntries: 0,
+            duplicateCandidates: 0,
+            rejectedRows: 0,
+            storedResponses: 0,
+            webhookDeliveries: 0
+        };
+
+        // Records leave the selection once handled, so each batch starts from the beginning
+        for (;;) {
+            const rows = await this.withTransaction(async (connection) => {
+                const batch = await connection.query(
+                    `SELECT id FROM mysql_table WHERE updated_at < ? AND anonymised_at IS NULL
+                     ORDER BY id LIMIT ${DEFAULT_BATCH_SIZE}${connection.lockClause}`,
+                    [cutoff]
+                );
+
+                for (const row of batch) {
+                    addCounts(counts, await this.forgetRecord(connection, row.id, anonymise));
+                }
+
+                return batch;
+            });
+
+            if (rows.length === 0) break;
+        }
+
+        const orphaned = await this.execute(
+            'DELETE FROM audit_log WHERE created_at < ? AND record_id NOT IN (SELECT id FROM mysql_table)',
+            [cutoff]
+        );
+        const rejected = await this.execute(
+            'DELETE FROM import_rejected_rows WHERE job_id IN (SELECT id FROM import_jobs WHERE created_at < ?)',
+            [cutoff]
+        );
+        const expired = await this.purgeExpiredIdempotencyKeys();
+        const deliveries = await this.execute('DELETE FROM webhook_deliveries WHERE created_at < ?', [cutoff]);
+
+        counts.auditEntries += orphaned.affectedRows;
+        counts.rejectedRows = rejected.affectedRows;
+        counts.storedResponses = expired.affectedRows;
+        counts.webhookDeliveries = deliveries.affectedRows;
+
+        return counts;
+    }
+
+    /**
+     * Record a data-subject request or retention run
+     * @param {Object} entry - action, subjectRef, requestedBy, details
+     * @returns {Promise} Insert result
+     */
+    async writeComplianceLog({ action, subjectRef = null, requestedBy = null, details = {} }) {
+        return await this.execute(
+            'INSERT INTO compliance_log (action, subject_ref, requested_by, details, created_at) VALUES (?, ?, ?, ?, ?)',
+            [action, subjectRef, requestedBy, JSON.stringify(details), new Date()]
+        );
+    }
+
+    /**
+     * List compliance log entries, newest first
+     * @param {Object} options - action, subjectRef, limit, offset
+     * @returns {Promise} { entries, total }
+     */
+    async findComplianceLog({ action = null, subjectRef = null, limit = 20, offset = 0 } = {}) {
+        const conditions = [];
+        const params = [];
+
+        if (action) {
+            conditions.push('c.action = ?');
+            params.push(action);
+        }
+
+        if (subjectRef) {
+            conditions.push('c.subject_ref = ?');
+            params.push(subjectRef);
+        }
+
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        const [countRow] = await this.execute(`SELECT COUNT(*) AS total FROM compliance_log c ${where}`, params);
+
+        const rows = await this.execute(
+            `SELECT c.id, c.action, c.subject_ref, c.requested_by, u.username, c.details, c.created_at
+             FROM compliance_log c
+             LEFT JOIN users u ON u.id = c.requested_by
+             ${where}
+             ORDER BY c.id DESC
+             LIMIT ${parseInt(limit)} OFFSET ${parseInt(offset)}`,
+            params
+        );
+
+        return {
+            entries: rows.map(row => ({
+                ...row,
+                details: typeof row.details === 'string' ? JSON.parse(row.details) : row.details
+            })),
+            total: countRow.total
+        };
+    }
+
+    /**
+     * Register a webhook
+     * @param {Object} webhook - url, secret, events, createdBy
+     * @returns {Promise} Insert result
+     */
+    async createWebhook({ url, secret, events, createdBy }) {
+        return await this.execute(
+            'INSERT INTO webhooks (url, secret, events, active, created_by, created_at) VALUES (?, ?, ?, ?, ?, ?)',
+            [url, secret, JSON.stringify(events), true, createdBy || null, new Date()]
+        );
+    }
+
+    /**
+     * List registered webhooks (without their secrets)
+     * @returns {Promise} Webhooks with events decoded
+     */
+    async findWebhooks() {
+        const rows = await this.execute('SELECT id, url, events, active, created_by, created_at FROM webhooks ORDER BY id');
+
+        return rows.map(row => this.decodeWebhook(row));
+    }
+
+    /**
+     * Find a webhook
+     * @param {number} id - Webhook id
+     * @returns {Promise} Webhook (without its secret) or null
+     */
+    async findWebhookById(id) {
+        const rows = await this.execute('SELECT id, url, events, active, created_by, created_at FROM webhooks WHERE id = ?', [id]);
+
+        return rows.length > 0 ? this.decodeWebhook(rows[0]) : null;
+    }
+
+    /**
+     * Active webhooks subscribed to an event type
+     * @param {string} type - Event type
+     * @returns {Promise} Webhooks (id, url, events)
+     */
+    async findWebhooksForEvent(type) {
+        const rows = await this.execute('SELECT id, url, events, active FROM webhooks WHERE active = ?', [true]);
+
+        return rows.map(row => this.decodeWebhook(row)).filter(webhook => webhook.events.includes(type));
+    }
+
+    /**
+     * Decode the events and active flag of a webhooks row
+     * @param {Object} row - webhooks row
+     * @returns {Object} Webhook
+     */
+    decodeWebhook(row) {
+        return {
+            ...row,
+            events: typeof row.events === 'string' ? JSON.parse(row.events) : row.events,
+            active: Boolean(row.active)
+        };
+    }
+
+    /**
+     * Change a webhook's URL, events and whether it is active
+     * @param {number} id - Webhook id
+     * @param {Object} webhook - url, events, active
+     * @returns {Promise} Update result
+     */
+    async updateWebhook(id, { url, events, active }) {
+        return await this.execute(
+            'UPDATE webhooks SET url = ?, events = ?, active = ? WHERE id = ?',
+            [url, JSON.stringify(events), active, id]
+        );
+    }
+
+    /**
+     * Delete a webhook and its deliveries
+     * @param {number} id - Webhook id
+     * @returns {Promise} Delete result
+     */
+    async deleteWebhook(id) {
+        return await this.execute('DELETE FROM webhooks WHERE id = ?', [id]);
+    }
+
+    /**
+     * Queue an event for delivery to webhooks
+     * @param {Object} event - { id, type, payload (JSON text) }
+     * @param {Array} webhookIds - Webhooks to deliver to
+     * @returns {Promise} Insert result
+     */
+    async insertWebhookDeliveries(event, webhookIds) {
+        const now = new Date();
+
+        return await this.adapter.insert(
+            'webhook_deliveries',
+            ['webhook_id', 'event_id', 'event_type', 'payload', 'status', 'attempts', 'next_attempt_at', 'created_at'],
+            webhookIds.map(webhookId => [webhookId, event.id, event.type, event.payload, 'pending', 0, now, now])
+        );
+    }
+
+    /**
+     * Claim deliveries that are due, so no other worker sends them at the same time
+     * @param {number} limit - Most to claim
+     * @returns {Promise<Array>} Claimed deliveries with their webhook's url and secret
+     */
+    async claimDueWebhookDeliveries(limit) {
+        const rows = await this.execute(
+            `SELECT d.id, d.webhook_id, d.event_id, d.event_type, d.payload, d.attempts, w.url, w.secret
+             FROM webhook_deliveries d
+             JOIN webhooks w ON w.id = d.webhook_id
+             WHERE d.status = 'pending' AND d.next_attempt_at <= ? AND w.active = ?
+             ORDER BY d.next_attempt_at, d.id
+             LIMIT ${parseInt(limit)}`,
+            [new Date(), true]
+        );
+        const claimed = [];
+
+        for (const row of rows) {
+            const result = await this.execute(
+                "UPDATE webhook_deliveries SET status = 'sending' WHERE id = ? AND status = 'pending'",
+                [row.id]
+            );
+
+            if (result.affectedRows > 0) claimed.push(row);
+        }
+
+        return claimed;
+    }
+
+    /**
+     * Record the outcome of a delivery attempt
+     * @param {number} id - Delivery id
+     * @param {Object} fields - status, attempts, next_attempt_at, last_status_code, last_error, delivered_at
+     * @returns {Promise} Update result
+     */
+    async updateWebhookDelivery(id, fields) {
+        const columns = ['status', 'attempts', 'next_attempt_at', 'last_status_code', 'last_error', 'delivered_at']
+            .filter(column => fields[column] !== undefined);
+
+        return await this.execute(
+            `UPDATE webhook_deliveries SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+            [...columns.map(column => fields[column]), id]
+        );
+    }
+
+    /**
+     * Put deliveries left mid-send by a previous process back in the queue
+     * @returns {Promise} Update result
+     */
+    async requeueInterruptedWebhookDeliveries() {
+        return await this.execute("UPDATE webhook_deliveries SET status = 'pending' WHERE status = 'sending'");
+    }
+
+    /**
+     * List webhook deliveries, newest first (status 'dead' is the dead-letter list)
+     * @param {Object} options - status, webhookId, limit, offset
+     * @returns {Promise} { deliveries, total }
+     */
+    async findWebhookDeliveries({ status = null, webhookId = null, limit = 20, offset = 0 } = {}) {
+        const conditions = [];
+        const params = [];
+
+        if (status) {
+            conditions.push('status = ?');
+            params.push(status);
+        }
+
+        if (webhookId) {
+            conditions.push('webhook_id = ?');
+            params.push(webhookId);
+        }
+
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        const [countRow] = await this.execute(`SELECT COUNT(*) AS total FROM webhook_deliveries ${where}`, params);
+
+        const deliveries = await this.execute(
+            `SELECT id, webhook_id, event_id, event_type, status, attempts, next_attempt_at,
+                    last_status_code, last_error, created_at, delivered_at
+             FROM webhook_deliveries ${where}
+             ORDER BY id DESC
+             LIMIT ${parseInt(limit)} OFFSET ${parseInt(offset)}`,
+            params
+        );
+
+        return { deliveries: deliveries, total: countRow.total };
+    }
+
+    /**
+     * Queue a dead delivery to be sent again, with a fresh set of attempts
+     * @param {number} id - Delivery id
+     * @returns {Promise} 'requeued', 'not_dead', or null when not found
+     */
+    async requeueWebhookDelivery(id) {
+        const result = await this.execute(
+            "UPDATE webhook_deliveries SET status = 'pending', attempts = 0, next_attempt_at = ? WHERE id = ? AND status = 'dead'",
+            [new Date(), id]
+        );
+
+        if (result.affectedRows > 0) return 'requeued';
+
+        const rows = await this.execute('SELECT id FROM webhook_deliveries WHERE id = ?', [id]);
+        return rows.length > 0 ? 'not_dead' : null;
+    }
+
+    /**
+     * Find an API user by username
+     * @param {string} username - Username
+     * @returns {Promise} User row (including password_hash) or null
+     */
+    async findUserByUsername(username) {
+        const rows = await this.execute(
+            'SELECT id, username, password_hash, role FROM users WHERE username = ?',
+            [username]
+        );
+
+        return rows.length > 0 ? rows[0] : null;
+    }
+
+    /**
+     * Create an API user
+     * @param {Object} user - username, passwordHash, role
+     * @returns {Promise} Insert result
+     */
+    async createUser({ username, passwordHash, role }) {
+        return await this.execute(
+            'INSERT INTO users (username, password_hash, role) VALUES (?, ?, ?)',
+            [username, passwordHash, role]
+        );
+    }
+
+    /**
+     * Create a queued CSV import job
+     * @param {Object} job - id, originalFilename, createdBy, profileId, mode
+     * @returns {Promise} Insert result
+     */
+    async createImportJob({ id, originalFilename, createdBy, profileId, mode }) {
+        return await this.execute(
+            `INSERT INTO import_jobs (id, status, mode, original_filename, created_by, profile_id, created_at)
+             VALUES (?, 'queued', ?, ?, ?, ?, ?)`,
+            [id, mode, originalFilename, createdBy || null, profileId || null, new Date()]
+        );
+    }
+
+    /**
+     * Update progress/status columns of an import job
+     * @param {string} id - Job id
+     * @param {Object} fields - Columns to update (only known columns are written)
+     * @returns {Promise} Update result
+     */
+    async updateImportJob(id, fields) {
+        const columns = [
+            'status', 'rows_processed', 'rows_valid', 'rows_rejected',
+            'rows_inserted', 'rows_updated', 'rows_skipped', 'rows_failed', 'rows_flagged',
+            'batch_metrics', 'error_message', 'started_at', 'finished_at'
+        ].filter(column => fields[column] !== undefined);
+
+        if (columns.length === 0) return null;
+
+        return await this.execute(
+            `UPDATE import_jobs SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+            [...columns.map(column => fields[column]), id]
+        );
+    }
+
+    /**
+     * Find an import job by id
+     * @param {string} id - Job id
+     * @returns {Promise} Job row or null
+     */
+    async findImportJob(id) {
+        const rows = await this.execute(
+            `SELECT id, status, mode, original_filename, created_by, profile_id, rows_processed, rows_valid,
+                    rows_rejected, rows_inserted, rows_updated, rows_skipped, rows_failed, rows_flagged,
+                    batch_metrics, error_message, created_at, started_at, finished_at
+             FROM import_jobs WHERE id = ?`,
+            [id]
+        );
+
+        return rows.length > 0 ? rows[0] : null;
+    }
+
+    /**
+     * Mark jobs left queued/running by a previous process as failed
+     * @returns {Promise} Update result
+     */
+    async failInterruptedImportJobs() {
+        return await this.execute(
+            `UPDATE import_jobs SET status = 'failed', error_message = 'Interrupted by server restart', finished_at = ?
+             WHERE status IN ('queued', 'running')`,
+            [new Date()]
+        );
+    }
+
+    /**
+     * Store rows an import rejected, with their original values (encrypted like the record, see
+     * encryption.js) and validation messages
+     * @param {string} jobId - Import job id
+     * @param {Array} rows - { row, raw, errors }
+     * @returns {Promise} Insert result
+     */
+    async insertRejectedRows(jobId, rows) {
+        return await this.adapter.insert(
+            'import_rejected_rows',
+            ['job_id', 'source_row', 'raw_data', 'errors'],
+            rows.map(rejected => [
+                jobId,
+                rejected.row,
+                Encryption.encryptJson('raw_data', rejected.raw),
+                JSON.stringify(rejected.errors)
+            ])
+        );
+    }
+
+    /**
+     * Page through an import's rejected rows in file order
+     * @param {string} jobId - Import job id
+     * @param {number} afterId - Last id already read (0 to start)
+     * @param {number} limit - Page size
+     * @returns {Promise} Rows with raw_data and errors decoded
+     */
+    async findRejectedRows(jobId, afterId = 0, limit = 1000) {
+        const rows = await this.execute(
+            `SELECT id, source_row, raw_data, errors FROM import_rejected_rows
+             WHERE job_id = ? AND id > ?
+             ORDER BY id
+             LIMIT ${parseInt(limit)}`,
+            [jobId, afterId]
+        );
+
+        return rows.map(row => ({
+            id: row.id,
+            row: row.source_row,
+            raw: Encryption.decryptJson('raw_data', row.raw_data),
+            errors: typeof row.errors === 'string' ? JSON.parse(row.errors) : row.errors
+        }));
+    }
+
+    /**
+     * List saved CSV import profiles
+     * @returns {Promise} Profile rows
+     */
+    async findImportProfiles() {
+        return await this.execute(
+            `SELECT id, name, column_map, delimiter, quote_char, encoding, has_header
+             FROM import_profiles ORDER BY name`
+        );
+    }
+
+    /**
+     * Find a saved CSV import profile
+     * @param {number} id - Profile id
+     * @returns {Promise} Profile row or null
+     */
+    async findImportProfileById(id) {
+        const rows = await this.execute(
+            `SELECT id, name, column_map, delimiter, quote_char, encoding, has_header
+             FROM import_profiles WHERE id = ?`,
+            [id]
+        );
+
+        return rows.length > 0 ? rows[0] : null;
+    }
+
+    /**
+     * Save a new CSV import profile
+     * @param {Object} profile - Validated profile
+     * @param {Object} user - Authenticated user
+     * @returns {Promise} Insert result
+     */
+    async createImportProfile(profile, user) {
+        return await this.execute(
+            `INSERT INTO import_profiles
+             (name, column_map, delimiter, quote_char, encoding, has_header, created_by)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [
+                profile.name,
+                JSON.stringify(profile.columnMap),
+                profile.delimiter,
+                profile.quote,
+                profile.encoding,
+                profile.hasHeader,
+                user ? user.id : null
+            ]
+        );
+    }
+
+    /**
+     * Replace a CSV import profile
+     * @param {number} id - Profile id
+     * @param {Object} profile - Validated profile
+     * @returns {Promise} Update result
+     */
+    async updateImportProfile(id, profile) {
+        return await this.execute(
+            `UPDATE import_profiles SET
+             name = ?, column_map = ?, delimiter = ?, quote_char = ?, encoding = ?, has_header = ?
+             WHERE id = ?`,
+            [
+                profile.name,
+                JSON.stringify(profile.columnMap),
+                profile.delimiter,
+                profile.quote,
+                profile.encoding,
+                profile.hasHeader,
+                id
+            ]
+        );
+    }
+
+    /**
+     * Delete a CSV import profile
+     * @param {number} id - Profile id
+     * @returns {Promise} Delete result
+     */
+    async deleteImportProfile(id) {
+        return await this.execute('DELETE FROM import_profiles WHERE id = ?', [id]);
+    }
+
+    /**
+     * Latest migration applied to the database
+     * @returns {Promise<number>} Schema version (0 before any migration)
+     */
+    async findSchemaVersion() {
+        const rows = await this.adapter.query(
+            'SELECT COALESCE(MAX(version), 0) AS version FROM schema_migrations'
+        );
+
+        return Number(rows[0].version);
+    }
+
+    /**
+     * Check the database answers a trivial query
+     * @returns {Promise}
+     */
+    async ping() {
+        await this.adapter.ping();
+    }
+
+    /**
+     * Connection usage of the storage adapter
+     * @returns {Object} { limit, open, inUse, idle, queued }
+     */
+    connectionStats() {
+        return this.adapter.stats();
+    }
+
+    /**
+     * Close database connections
+     */
+    async close() {
+        if (!this.storage) return;
+        
         try {
-            await this.pool.end();
-            console.log('Database connections closed');
+            await this.storage.close();
+            logger.info('Database connections closed');
         } catch (error) {
-            console.error('Error closing database connections:', error);
+            logger.error('Error closing database connections', { error: error });
         }
     }
 }
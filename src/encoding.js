@@ -0,0 +1,66 @@
+/**
+ * Output Encoding Module
+ * Stored values keep the characters people typed (O'Brien, Smith & Sons), so anything
+ * written into a response is encoded for the context it lands in.
+ */
+
+// Characters that could end a <script> block or a JavaScript string if JSON were embedded in a page
+const JSON_ESCAPES = {
+    '<': '\\u003c',
+    '>': '\\u003e',
+    '&': '\\u0026',
+    '\u2028': '\\u2028',
+    '\u2029': '\\u2029'
+};
+
+// Spreadsheets run a cell that starts with one of these as a formula (=HYPERLINK(...), @SUM(...))
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+// Numbers and phone numbers (-5, +353 87 123 4567) start the same way but cannot call anything
+const PLAIN_NUMBER = /^[+-]?[0-9 ().-]*$/;
+
+class Encoding {
+    /**
+     * Serialise a value as JSON that is safe to embed in HTML
+     * For streamed responses; res.json() gets the same <, > and & escapes from the 'json escape' setting.
+     * @param {*} value - Value to serialise
+     * @returns {string} JSON text
+     */
+    static json(value) {
+        return JSON.stringify(value).replace(/[<>&\u2028\u2029]/g, char => JSON_ESCAPES[char]);
+    }
+
+    /**
+     * Neutralise a value a spreadsheet would run as a formula by putting an apostrophe in front,
+     * which spreadsheets read as "this is text" (OWASP's advice for CSV injection)
+     * Applied when writing CSV and XLSX, the formats spreadsheets open, and not before storage:
+     * an email address such as -carl@example.com is valid, and prefixing it would store a
+     * different address than the one lookups, duplicate matching and the blind index use.
+     * The API and NDJSON serve values as stored; they are JSON, which spreadsheets do not run.
+     * @param {*} value - Cell value
+     * @returns {*} The value, prefixed when it is text starting like a formula
+     */
+    static spreadsheetCell(value) {
+        if (typeof value !== 'string' || !FORMULA_START.test(value) || PLAIN_NUMBER.test(value)) {
+            return value;
+        }
+
+        return `'${value}`;
+    }
+
+    /**
+     * Undo spreadsheetCell, so a CSV export re-imports with the values it was made from
+     * @param {*} value - Cell value read from a CSV file
+     * @returns {*} The value without the apostrophe spreadsheetCell would have added
+     */
+    static fromSpreadsheetCell(value) {
+        if (typeof value !== 'string' || !value.startsWith("'")) {
+            return value;
+        }
+
+        const text = value.slice(1);
+        return this.spreadsheetCell(text) === value ? text : value;
+    }
+}
+
+module.exports = Encoding;
@@ -0,0 +1,429 @@
+/**
+ * Field Encryption Module
+ * Encrypts personal data columns of mysql_table (ENCRYPTED_FIELDS, default email,
+ * phone_number and eircode) before they reach the database.
+ *
+ * Envelope encryption: each value is sealed with AES-256-GCM under a data key, and the data
+ * key is stored with it, sealed under a master key. Master keys have ids, so old ones can be
+ * kept for reading while new values use the active one; `npm run reencrypt` moves every row
+ * to the active key after a rotation. A stored value reads
+ *   enc:1:<master key id>:<sealed data key>:<sealed value>
+ * Values without the prefix are plaintext (rows written before encryption was turned on).
+ *
+ * JSON documents that can hold personal data anywhere in them (a stored form response, a
+ * rejected CSV row) are sealed whole while any field is encrypted: the column then holds a
+ * JSON string of the ciphertext (see encryptJson).
+ *
+ * Encrypted values cannot be searched, so each encrypted field also gets a blind index:
+ * an HMAC of its normalised value under a separate index key, stored in <field>_bidx.
+ * Exact-match lookups (an email, an Eircode) compare blind indexes; partial matches and
+ * sorting on an encrypted field are not possible.
+ *
+ * Keys come from a keyfile (ENCRYPTION_KEYFILE, JSON) or the environment; each key is
+ * 32 random bytes, base64 encoded (openssl rand -base64 32):
+ *   keyfile:     { "active": "2026-10", "keys": { "2026-10": "...", "2025-04": "..." }, "index": "..." }
+ *   environment: ENCRYPTION_KEYS="2026-10:...,2025-04:..." (the first is active unless
+ *                ENCRYPTION_ACTIVE_KEY says otherwise) and ENCRYPTION_INDEX_KEY
+ * Without keys, encryption is off and values are stored as they are.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+const config = require('./config');
+const RecordSchema = require('./schema');
+
+// Columns that can be encrypted; each has a <field>_bidx blind index column
+const ENCRYPTABLE_FIELDS = ['email', 'phone_number', 'eircode'];
+
+const PREFIX = 'enc:1:';
+const KEY_ID_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+// A data key seals at most this many values before a new one is made
+const MAX_DATA_KEY_USES = 1000000;
+
+// Unsealed data keys kept for reading, by sealed form
+const MAX_CACHED_DATA_KEYS = 1000;
+
+// Blind index forms: equal values must give equal indexes
+const INDEX_NORMALIZERS = {
+    email: value => value.trim().toLowerCase(),
+    phone_number: value => {
+        const parsed = RecordSchema.parsePhone(value);
+        return parsed ? parsed.e164 : value.trim();
+    },
+    eircode: value => {
+        const parsed = RecordSchema.parseEircode(value);
+        return parsed ? parsed.canonical : value.trim().toUpperCase();
+    }
+};
+
+/**
+ * Decode a base64 key and check its length
+ * @param {string} name - Key name, for the error message
+ * @param {string} encoded - Base64 key
+ * @returns {Buffer} Key
+ */
+function decodeKey(name, encoded) {
+    const key = Buffer.from(String(encoded || ''), 'base64');
+
+    if (key.length !== KEY_BYTES) {
+        throw new Error(`Encryption key ${name} must be ${KEY_BYTES} bytes, base64 encoded`);
+    }
+
+    return key;
+}
+
+/**
+ * Read the keys from ENCRYPTION_KEYFILE or the environment
+ * @returns {Object|null} { activeId, keys: Map id -> Buffer, indexKey }, or null when no keys are configured
+ */
+function loadKeys() {
+    let active;
+    let entries;
+    let index;
+
+    if (config.ENCRYPTION_KEYFILE) {
+        let file;
+
+        try {
+            file = JSON.parse(fs.readFileSync(config.ENCRYPTION_KEYFILE, 'utf8'));
+        } catch (error) {
+            throw new Error(`Cannot read ENCRYPTION_KEYFILE: ${error.message}`);
+        }
+
+        active = file.active;
+        entries = Object.entries(file.keys || {});
+        index = file.index;
+    } else if (config.ENCRYPTION_KEYS) {
+        entries = config.ENCRYPTION_KEYS.split(',').map(entry => {
+            const separator = entry.indexOf(':');
+            return [entry.slice(0, separator).trim(), entry.slice(separator + 1).trim()];
+        });
+        active = config.ENCRYPTION_ACTIVE_KEY || (entries[0] && entries[0][0]);
+        index = config.ENCRYPTION_INDEX_KEY;
+    } else {
+        return null;
+    }
+
+    const keys = new Map();
+
+    for (const [id, encoded] of entries) {
+        if (!KEY_ID_PATTERN.test(id)) {
+            throw new Error(`Encryption key id "${id}" must be 1-32 letters, digits, _ or -`);
+        }
+        keys.set(id, decodeKey(id, encoded));
+    }
+
+    if (!keys.has(active)) {
+        throw new Error(`Active encryption key "${active}" is not among the configured keys`);
+    }
+
+    return { activeId: active, keys: keys, indexKey: decodeKey('index', index) };
+}
+
+/**
+ * Read ENCRYPTED_FIELDS
+ * @returns {Array} Field names
+ */
+function loadFields() {
+    if (config.ENCRYPTED_FIELDS === null) {
+        return ENCRYPTABLE_FIELDS;
+    }
+
+    const fields = config.ENCRYPTED_FIELDS.split(',').map(field => field.trim()).filter(Boolean);
+
+    for (const field of fields) {
+        if (!ENCRYPTABLE_FIELDS.includes(field)) {
+            throw new Error(`ENCRYPTED_FIELDS: ${field} cannot be encrypted (expected ${ENCRYPTABLE_FIELDS.join(', ')})`);
+        }
+    }
+
+    return fields;
+}
+
+const KEYS = loadKeys();
+const FIELDS = KEYS ? loadFields() : [];
+
+// Data key currently used for new values: { key, sealed, uses }
+let dataKey = null;
+const openedDataKeys = new Map();
+
+/**
+ * AES-256-GCM encrypt, returning iv | ciphertext | tag
+ * @param {Buffer} key - Key
+ * @param {Buffer} plaintext - Data
+ * @param {string} aad - Associated data the ciphertext is bound to
+ * @returns {Buffer} Sealed data
+ */
+function seal(key, plaintext, aad) {
+    const iv = crypto.randomBytes(IV_BYTES);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    cipher.setAAD(Buffer.from(aad));
+
+    return Buffer.concat([iv, cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+}
+
+/**
+ * Reverse seal()
+ * @param {Buffer} key - Key
+ * @param {Buffer} sealed - iv | ciphertext | tag
+ * @param {string} aad - Associated data given to seal()
+ * @returns {Buffer} Data
+ * @throws {Error} If the data was altered or the key is wrong
+ */
+function open(key, sealed, aad) {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, sealed.subarray(0, IV_BYTES));
+    decipher.setAAD(Buffer.from(aad));
+    decipher.setAuthTag(sealed.subarray(sealed.length - TAG_BYTES));
+
+    return Buffer.concat([decipher.update(sealed.subarray(IV_BYTES, sealed.length - TAG_BYTES)), decipher.final()]);
+}
+
+class Encryption {
+    static get ENCRYPTABLE_FIELDS() {
+        return ENCRYPTABLE_FIELDS;
+    }
+
+    /**
+     * Whether keys are configured
+     * @returns {boolean} Encryption state
+     */
+    static get ENABLED() {
+        return KEYS !== null;
+    }
+
+    /**
+     * Fields encrypted on write
+     * @returns {Array} Field names
+     */
+    static get FIELDS() {
+        return FIELDS;
+    }
+
+    /**
+     * Id of the master key new values are sealed under
+     * @returns {string|null} Key id
+     */
+    static get ACTIVE_KEY_ID() {
+        return KEYS ? KEYS.activeId : null;
+    }
+
+    /**
+     * Whether a field is encrypted on write
+     * @param {string} field - Column name
+     * @returns {boolean} Encryption state
+     */
+    static isEncrypted(field) {
+        return FIELDS.includes(field);
+    }
+
+    /**
+     * Whether a stored value is encrypted
+     * @param {*} value - Stored value
+     * @returns {boolean} Result
+     */
+    static isCiphertext(value) {
+        return typeof value === 'string' && value.startsWith(PREFIX);
+    }
+
+    /**
+     * Master key id of an encrypted value
+     * @param {*} value - Stored value
+     * @returns {string|null} Key id, or null for plaintext
+     */
+    static keyIdOf(value) {
+        return this.isCiphertext(value) ? value.slice(PREFIX.length).split(':')[0] : null;
+    }
+
+    /**
+     * Encrypt a field value under the active master key
+     * @param {string} field - Column name (bound to the ciphertext, so values cannot be swapped between columns)
+     * @param {*} value - Plaintext (null and undefined are stored as NULL)
+     * @returns {string|null} Stored value
+     */
+    static encrypt(field, value) {
+        if (value === null || value === undefined) return null;
+
+        if (!dataKey || dataKey.uses >= MAX_DATA_KEY_USES) {
+            const key = crypto.randomBytes(KEY_BYTES);
+            const sealed = seal(KEYS.keys.get(KEYS.activeId), key, KEYS.activeId).toString('base64');
+            dataKey = { key, sealed, uses: 0 };
+        }
+
+        dataKey.uses++;
+        const sealedValue = seal(dataKey.key, Buffer.from(String(value), 'utf8'), field).toString('base64');
+
+        return `${PREFIX}${KEYS.activeId}:${dataKey.sealed}:${sealedValue}`;
+    }
+
+    /**
+     * Decrypt a stored field value (plaintext values are returned as they are)
+     * @param {string} field - Column name the value was encrypted for
+     * @param {*} value - Stored value
+     * @returns {*} Plaintext
+     * @throws {Error} If the master key is not configured or the value was altered
+     */
+    static decrypt(field, value) {
+        if (!this.isCiphertext(value)) return value;
+
+        const [keyId, sealedKey, sealedValue] = value.slice(PREFIX.length).split(':');
+        const masterKey = KEYS && KEYS.keys.get(keyId);
+
+        if (!masterKey) {
+            throw new Error(`Stored ${field} is encrypted under key "${keyId}", which is not configured`);
+        }
+
+        let key = openedDataKeys.get(sealedKey);
+
+        if (!key) {
+            key = open(masterKey, Buffer.from(sealedKey, 'base64'), keyId);
+
+            if (openedDataKeys.size >= MAX_CACHED_DATA_KEYS) {
+                openedDataKeys.clear();
+            }
+            openedDataKeys.set(sealedKey, key);
+        }
+
+        return open(key, Buffer.from(sealedValue, 'base64'), field).toString('utf8');
+    }
+
+    /**
+     * Blind index of a field value, for exact-match lookups on an encrypted column
+     * @param {string} field - Column name (each column gets different indexes for the same text)
+     * @param {*} value - Plaintext
+     * @returns {string|null} Hex HMAC, or null when the value is missing or the field is not encrypted
+     */
+    static blindIndex(field, value) {
+        if (!this.isEncrypted(field) || value === null || value === undefined || value === '') return null;
+
+        const normalize = INDEX_NORMALIZERS[field] || (text => text);
+
+        return this.keyedHash(field, normalize(String(value)));
+    }
+
+    /**
+     * HMAC under the index key, for references to personal data that must not reveal it
+     * @param {string} purpose - Label keeping hashes made for different purposes apart
+     * @param {string} text - Text to hash
+     * @returns {string} Hex HMAC
+     */
+    static keyedHash(purpose, text) {
+        return crypto.createHmac('sha256', KEYS.indexKey).update(`${purpose}:${text}`).digest('hex');
+    }
+
+    /**
+     * Column and value to compare for an exact match on a field
+     * @param {string} field - Column name
+     * @param {*} value - Plaintext
+     * @returns {Object} { column, value }: the blind index when the field is encrypted, otherwise the field itself
+     */
+    static lookup(field, value) {
+        return this.isEncrypted(field)
+            ? { column: `${field}_bidx`, value: this.blindIndex(field, value) }
+            : { column: field, value: value };
+    }
+
+    /**
+     * Encrypt the configured fields of a set of values
+     * @param {Object} values - Field -> plaintext (other fields are copied unchanged)
+     * @returns {Object} Field -> stored value
+     */
+    static encryptFields(values) {
+        const stored = { ...values };
+
+        for (const field of FIELDS) {
+            if (field in stored) {
+                stored[field] = this.encrypt(field, stored[field]);
+            }
+        }
+
+        return stored;
+    }
+
+    /**
+     * Decrypt whichever encryptable fields of a set of values are encrypted
+     * @param {Object} values - Field -> stored value (e.g. a row)
+     * @returns {Object} Field -> plaintext
+     */
+    static decryptFields(values) {
+        if (!values) return values;
+
+        const plain = { ...values };
+
+        for (const field of ENCRYPTABLE_FIELDS) {
+            if (field in plain) {
+                plain[field] = this.decrypt(field, plain[field]);
+            }
+        }
+
+        return plain;
+    }
+
+    /**
+     * Serialise a JSON document for storage, sealed whole while any field is encrypted
+     * @param {string} column - Column name (bound to the ciphertext)
+     * @param {*} value - Document
+     * @returns {string} JSON text: the document, or a JSON string holding its ciphertext
+     */
+    static encryptJson(column, value) {
+        const text = JSON.stringify(value);
+
+        return FIELDS.length > 0 ? JSON.stringify(this.encrypt(column, text)) : text;
+    }
+
+    /**
+     * Read a document stored by encryptJson (plaintext documents are parsed as they are)
+     * @param {string} column - Column name the document was encrypted for
+     * @param {*} stored - JSON text, or the value a JSON column was already parsed into
+     * @returns {*} Document
+     */
+    static decryptJson(column, stored) {
+        const value = this.storedJson(stored);
+
+        return this.isCiphertext(value) ? JSON.parse(this.decrypt(column, value)) : value;
+    }
+
+    /**
+     * Whether a document stored by encryptJson differs from how it would be written now
+     * @param {*} stored - JSON text, or the value a JSON column was already parsed into
+     * @returns {boolean} Result
+     */
+    static jsonNeedsReencryption(stored) {
+        const value = this.storedJson(stored);
+
+        if (FIELDS.length === 0) return this.isCiphertext(value);
+        return !this.isCiphertext(value) || this.keyIdOf(value) !== KEYS.activeId;
+    }
+
+    /**
+     * Parse a stored document one level: ciphertext stays a string
+     * @param {*} stored - JSON text, or the value a JSON column (MySQL) was already parsed into
+     * @returns {*} Document or ciphertext
+     */
+    static storedJson(stored) {
+        return typeof stored === 'string' && !this.isCiphertext(stored) ? JSON.parse(stored) : stored;
+    }
+
+    /**
+     * Whether a stored row differs from how it would be written now: an encrypted field still
+     * in plaintext or under an older key, or a field no longer encrypted still in ciphertext
+     * @param {Object} row - Stored values of the encryptable fields
+     * @returns {boolean} Result
+     */
+    static needsReencryption(row) {
+        return ENCRYPTABLE_FIELDS.some(field => {
+            const value = row[field];
+
+            if (value === null || value === undefined) return false;
+            if (!this.isEncrypted(field)) return this.isCiphertext(value);
+
+            return this.keyIdOf(value) !== KEYS.activeId;
+        });
+    }
+}
+
+module.exports = Encryption;
@@ -0,0 +1,117 @@
+/**
+ * Record Export Module
+ * Writes streamed database rows to a response as CSV, NDJSON or XLSX
+ */
+
+const ExcelJS = require('exceljs');
+
+const CsvWriter = require('./csv');
+const Encoding = require('./encoding');
+
+// Content type and file extension of each export format
+const FORMATS = {
+    csv: { contentType: 'text/csv', extension: 'csv' },
+    ndjson: { contentType: 'application/x-ndjson', extension: 'ndjson' },
+    xlsx: {
+        contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        extension: 'xlsx'
+    }
+};
+
+class Exporter {
+    static get FORMATS() {
+        return FORMATS;
+    }
+
+    /**
+     * Wait until the response has flushed its buffer
+     * @param {Object} res - Response object
+     * @returns {Promise} Resolves when writing can continue
+     * @throws {Error} If the client disconnects first (a closed response never drains)
+     */
+    static async drain(res) {
+        if (res.destroyed) {
+            throw new Error('Client disconnected');
+        }
+
+        if (!res.writableNeedDrain) return;
+
+        await new Promise((resolve, reject) => {
+            const finish = (error) => {
+                res.off('drain', finish);
+                res.off('close', closed);
+                res.off('error', finish);
+                return error ? reject(error) : resolve();
+            };
+            const closed = () => finish(new Error('Client disconnected'));
+
+            res.on('drain', finish);
+            res.on('close', closed);
+            res.on('error', finish);
+        });
+    }
+
+    /**
+     * Write rows to the response in the requested format
+     * Rows are read one at a time so memory use does not grow with the table.
+     * @param {Object} res - Response object
+     * @param {Stream} rows - Readable object stream of rows
+     * @param {string} format - csv, ndjson or xlsx
+     * @param {Array} columns - Columns to write, in order
+     */
+    static async write(res, rows, format, columns) {
+        if (format === 'xlsx') {
+            return await this.writeXlsx(res, rows, columns);
+        }
+
+        // CSV uses the column names as headers so the file can be re-imported through /api/upload-csv
+        // (the importer drops the apostrophe formula-like cells get, see encoding.spreadsheetCell)
+        if (format === 'csv') {
+            res.write(CsvWriter.formatRow(columns));
+        }
+
+        for await (const row of rows) {
+            const line = format === 'csv'
+                ? CsvWriter.formatRow(columns.map(column => row[column]))
+                : Encoding.json(row) + '\n';
+
+            res.write(line);
+            await this.drain(res);
+        }
+
+        res.end();
+    }
+
+    /**
+     * Stream rows into a single-sheet workbook
+     * @param {Object} res - Response object
+     * @param {Stream} rows - Readable object stream of rows
+     * @param {Array} columns - Columns to write, in order
+     */
+    static async writeXlsx(res, rows, columns) {
+        const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+            stream: res,
+            useStyles: false,
+            useSharedStrings: false
+        });
+        const sheet = workbook.addWorksheet('Records');
+
+        sheet.columns = columns.map(column => ({ header: column, key: column }));
+
+        for await (const row of rows) {
+            const cells = {};
+
+            for (const column of columns) {
+                cells[column] = Encoding.spreadsheetCell(row[column]);
+            }
+
+            sheet.addRow(cells).commit();
+            await this.drain(res);
+        }
+
+        sheet.commit();
+        await workbook.commit();
+    }
+}
+
+module.exports = Exporter;
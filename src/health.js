@@ -0,0 +1,167 @@
+/**
+ * Health Module
+ * Checks behind the probe endpoints:
+ *   GET /health/live  - the process is up and serving requests; always 200 (restart it when this fails)
+ *   GET /health/ready - it can do its work; 503 while any check fails or the server is shutting down
+ *                       (stop sending it traffic until this passes again)
+ *
+ * Readiness checks:
+ *   database - a trivial query answers within HEALTH_DB_TIMEOUT_MS (default 2000)
+ *   pool     - connections in use and requests waiting for one; fails once more than
+ *              HEALTH_MAX_QUEUED (default 20) are waiting
+ *   uploads  - a file can be written to and removed from the upload directory
+ *   schema   - the database is migrated at least as far as the code expects
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+const config = require('./config');
+const database = require('./database');
+const Migrator = require('./migrator');
+
+const DB_TIMEOUT_MS = config.HEALTH_DB_TIMEOUT_MS;
+const MAX_QUEUED = config.HEALTH_MAX_QUEUED;
+
+/**
+ * Run a check, failing it when it takes too long
+ * @param {Promise} work - Check in progress
+ * @param {number} ms - Time allowed
+ * @returns {Promise} Result of the check
+ */
+function withTimeout(work, ms) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(Object.assign(new Error(`No answer within ${ms} ms`), { code: 'ETIMEDOUT' })), ms);
+    });
+
+    return Promise.race([work, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Say why a check failed: probes are unauthenticated, so driver messages (hosts, ports, users)
+ * are only given in development
+ * @param {Error} error - Failure
+ * @returns {string} Description
+ */
+function describe(error) {
+    if (config.NODE_ENV === 'development') return error.message;
+    return error.code || 'Check failed';
+}
+
+class Health {
+    /**
+     * Liveness: answering at all is the check
+     * @returns {Object} Report
+     */
+    static liveness() {
+        return {
+            status: 'alive',
+            timestamp: new Date().toISOString(),
+            uptime: process.uptime()
+        };
+    }
+
+    /**
+     * Readiness: run every check
+     * @param {Object} options - uploadPath, shuttingDown
+     * @returns {Promise} { ready, report }: report.status is ready, degraded or shutting_down
+     */
+    static async readiness({ uploadPath, shuttingDown = false }) {
+        // Usage first, before this probe's own queries take a connection
+        const pool = this.checkPool();
+        const [db, uploads, schema] = await Promise.all([
+            this.checkDatabase(),
+            this.checkUploads(uploadPath),
+            this.checkSchema()
+        ]);
+        const checks = { database: db, pool: pool, uploads: uploads, schema: schema };
+        const healthy = Object.values(checks).every(check => check.status === 'ok');
+
+        let status = healthy ? 'ready' : 'degraded';
+        if (shuttingDown) status = 'shutting_down';
+
+        return {
+            ready: status === 'ready',
+            report: {
+                status: status,
+                timestamp: new Date().toISOString(),
+                uptime: process.uptime(),
+                checks: checks
+            }
+        };
+    }
+
+    /**
+     * Ping the database
+     * @returns {Promise} { status, latencyMs, error }
+     */
+    static async checkDatabase() {
+        const started = Date.now();
+
+        try {
+            await withTimeout(database.ping(), DB_TIMEOUT_MS);
+            return { status: 'ok', latencyMs: Date.now() - started };
+        } catch (error) {
+            return { status: 'fail', latencyMs: Date.now() - started, error: describe(error) };
+        }
+    }
+
+    /**
+     * Report connection usage
+     * @returns {Object} { status, limit, open, inUse, idle, queued, error }
+     */
+    static checkPool() {
+        try {
+            const stats = database.connectionStats();
+
+            if (stats.queued > MAX_QUEUED) {
+                return { status: 'fail', ...stats, error: `${stats.queued} requests waiting for a connection (at most ${MAX_QUEUED})` };
+            }
+
+            return { status: 'ok', ...stats };
+        } catch (error) {
+            return { status: 'fail', error: describe(error) };
+        }
+    }
+
+    /**
+     * Write and remove a file in the upload directory, which also catches a full disk
+     * @param {string} uploadPath - Upload directory
+     * @returns {Promise} { status, error }
+     */
+    static async checkUploads(uploadPath) {
+        const probe = path.join(uploadPath, `.health-${process.pid}-${crypto.randomBytes(4).toString('hex')}`);
+
+        try {
+            await fs.writeFile(probe, 'ok');
+            await fs.unlink(probe);
+            return { status: 'ok' };
+        } catch (error) {
+            return { status: 'fail', error: `Upload directory is not writable (${describe(error)})` };
+        }
+    }
+
+    /**
+     * Compare the applied migrations with the ones the code ships
+     * @returns {Promise} { status, version, expected, error }
+     */
+    static async checkSchema() {
+        const expected = Migrator.latestVersion();
+
+        try {
+            const version = await withTimeout(database.findSchemaVersion(), DB_TIMEOUT_MS);
+
+            if (version < expected) {
+                return { status: 'fail', version: version, expected: expected, error: 'Pending migrations: run npm run migrate:up' };
+            }
+
+            return { status: 'ok', version: version, expected: expected };
+        } catch (error) {
+            return { status: 'fail', version: null, expected: expected, error: describe(error) };
+        }
+    }
+}
+
+module.exports = Health;
@@ -0,0 +1,165 @@
+/**
+ * Idempotency Module
+ * Lets clients retry a POST safely by sending an Idempotency-Key header. The first response
+ * to a key is stored and replayed for repeats of the same request until the key expires
+ * (IDEMPOTENCY_WINDOW_SECONDS, default 24 hours); reusing the key for a different request
+ * is refused.
+ *
+ * Keys belong to the caller (user id, or IP address for the anonymous form) and the route,
+ * so two callers choosing the same key never see each other's responses.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+const config = require('./config');
+const database = require('./database');
+const logger = require('./logger');
+
+const WINDOW_SECONDS = config.IDEMPOTENCY_WINDOW_SECONDS;
+
+// Printable ASCII without spaces, e.g. a UUID
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+// Expired keys are deleted at most this often, by whichever request comes along
+const PURGE_INTERVAL_MS = 15 * 60 * 1000;
+
+let lastPurgeAt = 0;
+
+/**
+ * SHA-256 of a string, hex encoded
+ * @param {string} value - Input
+ * @returns {string} Digest
+ */
+function sha256(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * JSON with object keys sorted, so equal bodies always serialise the same way
+ * @param {*} value - Value to serialise
+ * @returns {string} JSON text
+ */
+function canonicalJson(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(',')}]`;
+    }
+
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+    }
+
+    return JSON.stringify(value === undefined ? null : value);
+}
+
+class Idempotency {
+    static get WINDOW_SECONDS() {
+        return WINDOW_SECONDS;
+    }
+
+    /**
+     * Check the format of a client-supplied key
+     * @param {string} key - Idempotency-Key header
+     * @returns {boolean} Validation result
+     */
+    static isValidKey(key) {
+        return KEY_PATTERN.test(key);
+    }
+
+    /**
+     * Storage id of a key: the key scoped to the caller and the route
+     * @param {Object} req - Request object
+     * @param {string} key - Idempotency-Key header
+     * @returns {string} Hex digest
+     */
+    static keyHash(req, key) {
+        const owner = req.user ? `user:${req.user.id}` : `ip:${req.ip}`;
+        return sha256(`${req.method} ${req.baseUrl}${req.path}\n${owner}\n${key}`);
+    }
+
+    /**
+     * Fingerprint of what was sent: the body and, for uploads, the file contents
+     * @param {Object} req - Request object (after body parsing and multer)
+     * @returns {Promise<string>} Hex digest
+     */
+    static async fingerprint(req) {
+        const hash = crypto.createHash('sha256').update(canonicalJson(req.body || {}));
+
+        if (req.file) {
+            for await (const chunk of fs.createReadStream(req.file.path)) {
+                hash.update(chunk);
+            }
+        }
+
+        return hash.digest('hex');
+    }
+
+    /**
+     * Claim a key for this request, or find what an earlier request with the key left behind
+     * @param {Object} req - Request object
+     * @param {string} key - Idempotency-Key header
+     * @returns {Promise} { status: 'claimed', keyHash }, { status: 'replay', statusCode, body },
+     *                    { status: 'mismatch' } or { status: 'in_progress' }
+     */
+    static async claim(req, key) {
+        await this.purgeExpired();
+
+        const keyHash = this.keyHash(req, key);
+        const requestHash = await this.fingerprint(req);
+        const expiresAt = new Date(Date.now() + WINDOW_SECONDS * 1000);
+
+        if (await database.claimIdempotencyKey(keyHash, requestHash, expiresAt)) {
+            return { status: 'claimed', keyHash };
+        }
+
+        const stored = await database.findIdempotencyKey(keyHash);
+
+        // Released between our insert and this read: the request never completed, so treat it as running
+        if (!stored) return { status: 'in_progress' };
+        if (stored.request_hash !== requestHash) return { status: 'mismatch' };
+        if (stored.status_code === null) return { status: 'in_progress' };
+
+        return {
+            status: 'replay',
+            statusCode: stored.status_code,
+            body: stored.response_body
+        };
+    }
+
+    /**
+     * Store the response to a claimed key once it has been sent
+     * Server errors and aborted requests release the key so the client can try again.
+     * @param {Object} res - Response object
+     * @param {string} keyHash - Claimed key
+     */
+    static recordResponse(res, keyHash) {
+        const json = res.json.bind(res);
+        let body;
+
+        res.json = (value) => {
+            body = value;
+            return json(value);
+        };
+
+        res.once('close', () => {
+            const completed = res.writableFinished && body !== undefined && res.statusCode < 500;
+            const saved = completed
+                ? database.completeIdempotencyKey(keyHash, res.statusCode, body)
+                : database.releaseIdempotencyKey(keyHash);
+
+            saved.catch(error => logger.error('Could not store idempotent response', { error: error }));
+        });
+    }
+
+    /**
+     * Delete expired keys, at most once per PURGE_INTERVAL_MS
+     */
+    static async purgeExpired() {
+        if (Date.now() - lastPurgeAt < PURGE_INTERVAL_MS) return;
+
+        lastPurgeAt = Date.now();
+        await database.purgeExpiredIdempotencyKeys();
+    }
+}
+
+module.exports = Idempotency;
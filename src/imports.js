@@ -0,0 +1,552 @@
+/**
+ * CSV Import Jobs Module
+ * Queues uploaded CSV files and processes them in the background,
+ * tracking progress in the import_jobs table
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+const config = require('./config');
+const database = require('./database');
+const webhooks = require('./webhooks');
+const Validation = require('./validation');
+const ImportProfiles = require('./profiles');
+const logger = require('./logger');
+const metrics = require('./metrics');
+
+/*
+ * How rows whose email already exists are handled:
+ *   insert - duplicates fail and are reported as rejected rows
+ *   upsert - duplicates overwrite the stored record (original behaviour)
+ *   skip   - duplicates leave the stored record alone
+ *   strict - upsert, but nothing is stored if any row fails
+ */
+const IMPORT_MODES = ['insert', 'upsert', 'skip', 'strict'];
+
+// Error message of jobs stopped by a server shutdown (chunks already committed are kept)
+const SHUTDOWN_MESSAGE = 'Interrupted by server shutdown';
+
+class ImportJobs {
+    constructor() {
+        this.chunkSize = config.IMPORT_CHUNK_SIZE; // Rows between progress updates
+        this.batchSize = config.IMPORT_BATCH_SIZE; // Rows per INSERT (batches never span chunks)
+        this.queue = [];                   // Jobs waiting for the worker
+        this.activeJobId = null;           // Job currently being processed
+        this.activeFilePath = null;        // Its upload
+        this.cancelRequested = new Set();  // Running jobs asked to stop
+        this.running = null;               // Promise of the job being processed
+        this.stopping = false;             // Set by stop(): no more jobs are started
+    }
+
+    /**
+     * Import modes an upload can choose from
+     * @returns {Array} Mode names
+     */
+    get modes() {
+        return IMPORT_MODES;
+    }
+
+    /**
+     * Start the worker: fail jobs orphaned by a previous process
+     */
+    async start() {
+        try {
+            await database.failInterruptedImportJobs();
+        } catch (error) {
+            logger.error('Could not reset interrupted import jobs', { error: error });
+        }
+    }
+
+    /**
+     * Stop the worker before the database closes: queued jobs fail without starting and the
+     * running job stops after its current chunk, like a cancellation (a strict job rolls back)
+     */
+    async stop() {
+        this.stopping = true;
+
+        if (this.activeJobId) {
+            this.cancelRequested.add(this.activeJobId);
+        }
+
+        for (const job of this.queue.splice(0)) {
+            await this.removeFile(job.filePath);
+            await database.updateImportJob(job.id, { status: 'failed', error_message: SHUTDOWN_MESSAGE, finished_at: new Date() })
+                .catch(error => logger.error('Could not record import failure', { error: error }));
+        }
+
+        if (this.running) await this.running;
+    }
+
+    /**
+     * Resolve the profile for an upload: a saved profile, inline settings or the default layout
+     * @param {Object} fields - Multipart form fields (profileId, or profile as a JSON string)
+     * @returns {Promise} { profile, errors }
+     */
+    async resolveProfile(fields = {}) {
+        if (fields.profileId !== undefined && fields.profileId !== '') {
+            const id = Validation.parseId(fields.profileId);
+            const row = id ? await database.findImportProfileById(id) : null;
+
+            if (!row) {
+                return { profile: null, errors: ['Import profile not found'] };
+            }
+
+            return { profile: ImportProfiles.fromRow(row), errors: [] };
+        }
+
+        if (fields.profile) {
+            let settings;
+
+            try {
+                settings = JSON.parse(fields.profile);
+            } catch (error) {
+                return { profile: null, errors: ['profile must be valid JSON'] };
+            }
+
+            return ImportProfiles.validateProfile({ name: 'inline', ...settings });
+        }
+
+        return { profile: ImportProfiles.DEFAULT_PROFILE, errors: [] };
+    }
+
+    /**
+     * Queue an uploaded file for import
+     * The job takes over the file: it is marked claimed so the request's cleanup leaves it alone.
+     * @param {Object} file - Multer file (path, originalname)
+     * @param {Object} user - Authenticated user or null
+     * @param {Object} profile - Import profile used to read the file
+     * @param {string} mode - Import mode (insert, upsert, skip or strict)
+     * @returns {Promise<string>} Job id
+     */
+    async createJob(file, user, profile, mode) {
+        const id = crypto.randomUUID();
+
+        await database.createImportJob({
+            id: id,
+            originalFilename: file.originalname,
+            createdBy: user ? user.id : null,
+            profileId: profile.id,
+            mode: mode
+        });
+
+        // The profile is captured now so later edits do not affect queued jobs
+        this.queue.push({
+            id: id,
+            filePath: file.path,
+            profile: profile,
+            mode: mode,
+            userId: user ? user.id : null,
+            requestId: logger.currentContext().requestId // The upload, for following the job in the log
+        });
+        file.claimed = true;
+        setImmediate(() => this.processNext());
+
+        return id;
+    }
+
+    /**
+     * Uploads that queued and running jobs still need
+     * @returns {Array} File paths
+     */
+    filesInUse() {
+        const paths = this.queue.map(job => job.filePath);
+
+        if (this.activeFilePath) paths.push(this.activeFilePath);
+        return paths;
+    }
+
+    /**
+     * Get a job's current status
+     * @param {string} id - Job id
+     * @returns {Promise} Job row or null
+     */
+    async getJob(id) {
+        return await database.findImportJob(id);
+    }
+
+    /**
+     * Cancel a queued or running job
+     * Chunks already committed by a running job are kept (a strict job keeps nothing).
+     * @param {string} id - Job id
+     * @returns {Promise<string>} 'cancelled', 'cancelling' or 'finished'
+     */
+    async cancelJob(id) {
+        const queuedIndex = this.queue.findIndex(job => job.id === id);
+
+        if (queuedIndex !== -1) {
+            const [job] = this.queue.splice(queuedIndex, 1);
+            await this.removeFile(job.filePath);
+            await database.updateImportJob(id, { status: 'cancelled', finished_at: new Date() });
+            return 'cancelled';
+        }
+
+        if (this.activeJobId === id) {
+            this.cancelRequested.add(id);
+            return 'cancelling';
+        }
+
+        return 'finished';
+    }
+
+    /**
+     * Run queued jobs one at a time
+     */
+    async processNext() {
+        if (this.stopping || this.activeJobId || this.queue.length === 0) return;
+
+        const job = this.queue.shift();
+        this.activeJobId = job.id;
+        this.activeFilePath = job.filePath;
+
+        // Whatever context started the worker, the job logs as its own upload
+        this.running = logger.runWithContext({ requestId: job.requestId, importId: job.id }, () => this.runJob(job));
+
+        try {
+            await this.running;
+        } finally {
+            this.activeJobId = null;
+            this.activeFilePath = null;
+            this.running = null;
+            this.cancelRequested.delete(job.id);
+            setImmediate(() => this.processNext());
+        }
+    }
+
+    /**
+     * Stream a CSV file, validating rows and inserting them in chunks
+     * @param {Object} job - id, filePath, profile, mode
+     */
+    async runJob(job) {
+        const progress = {
+            rows_processed: 0,
+            rows_valid: 0,
+            rows_rejected: 0,
+            rows_inserted: 0,
+            rows_updated: 0,
+            rows_skipped: 0,
+            rows_failed: 0,
+            rows_flagged: 0
+        };
+        const batches = [];
+
+        try {
+            await database.updateImportJob(job.id, { status: 'running', started_at: new Date() });
+
+            let outcome = job.mode === 'strict'
+                ? await this.runStrict(job, progress, batches)
+                : await this.readRows(job, progress, (chunk, rejected) =>
+                    this.flushChunk(job, chunk, rejected, progress, batches));
+
+            // Stopped by a shutdown rather than by the uploader
+            if (outcome.status === 'cancelled' && this.stopping) {
+                outcome = { ...outcome, status: 'failed', error_message: SHUTDOWN_MESSAGE };
+            }
+
+            const finishedAt = new Date();
+
+            await database.updateImportJob(job.id, {
+                ...progress,
+                ...outcome,
+                finished_at: finishedAt
+            });
+            metrics.recordImport(outcome.status, progress);
+
+            if (outcome.status === 'completed') {
+                // Shaped like the import status response (GET /api/imports/:id)
+                await webhooks.emit('import.completed', {
+                    id: job.id,
+                    mode: job.mode,
+                    rowsProcessed: progress.rows_processed,
+                    rowsValid: progress.rows_valid,
+                    rowsRejected: progress.rows_rejected,
+                    summary: {
+                        inserted: progress.rows_inserted,
+                        updated: progress.rows_updated,
+                        skipped: progress.rows_skipped,
+                        failed: progress.rows_failed,
+                        flaggedAsDuplicates: progress.rows_flagged
+                    },
+                    statusUrl: `/api/imports/${job.id}`,
+                    finishedAt: finishedAt.toISOString()
+                });
+            }
+
+        } catch (error) {
+            logger.error(`Import job ${job.id} failed`, { error: error });
+            metrics.recordImport('failed', progress);
+
+            await database.updateImportJob(job.id, {
+                ...progress,
+                status: 'failed',
+                error_message: error.message,
+                finished_at: new Date()
+            }).catch(updateError => logger.error('Could not record import failure', { error: updateError }));
+        } finally {
+            await this.removeFile(job.filePath);
+        }
+    }
+
+    /**
+     * Read, map and validate a file, handing over chunks of rows as they fill up
+     * @param {Object} job - Import job (id, filePath, profile)
+     * @param {Object} progress - Running counters (updated in place)
+     * @param {Function} onChunk - async (chunk, rejected), called every chunkSize rows and at the end
+     * @returns {Promise} { status: 'completed' }, or { status: 'cancelled' } when cancelled between chunks
+     */
+    async readRows(job, progress, onChunk) {
+        let chunk = [];
+        let rejected = [];
+
+        // Leaving the loop early (cancellation) destroys the stream
+        const rows = ImportProfiles.createRowStream(job.filePath, job.profile);
+
+        for await (const row of rows) {
+            progress.rows_processed++;
+
+            const { record, validation } = this.checkRow(row, job.profile);
+
+            if (validation.isValid) {
+                progress.rows_valid++;
+                chunk.push({ row: progress.rows_processed, raw: row, record: this.toInsertable(record) });
+            } else {
+                progress.rows_rejected++;
+                rejected.push({
+                    row: progress.rows_processed,
+                    raw: row,
+                    errors: validation.errors
+                });
+            }
+
+            if (progress.rows_processed % this.chunkSize === 0) {
+                await onChunk(chunk, rejected);
+                chunk = [];
+                rejected = [];
+
+                if (this.cancelRequested.has(job.id)) {
+                    return { status: 'cancelled' };
+                }
+            }
+        }
+
+        await onChunk(chunk, rejected);
+        return { status: 'completed' };
+    }
+
+    /**
+     * Strict mode: upsert every row, or nothing at all
+     * The file is validated first, recording rejected rows and progress as usual. Only a
+     * clean file is read again and written inside one transaction, which is rolled back if
+     * any row fails or the job is cancelled. Nothing else is written while the transaction
+     * is open: the SQLite adapter has a single connection, which the transaction holds.
+     * @param {Object} job - Import job
+     * @param {Object} progress - Running counters (updated in place)
+     * @param {Array} batches - Per-batch timing metrics (appended to)
+     * @returns {Promise} Final status columns
+     */
+    async runStrict(job, progress, batches) {
+        const checked = await this.readRows(job, progress, async (chunk, rejected) => {
+            progress.rows_failed += rejected.length;
+
+            if (rejected.length > 0) {
+                await database.insertRejectedRows(job.id, rejected);
+            }
+
+            await database.updateImportJob(job.id, progress);
+        });
+
+        if (checked.status === 'cancelled') return checked;
+        if (progress.rows_failed > 0) return this.strictFailure(progress);
+
+        const written = { rows_inserted: 0, rows_updated: 0, rows_skipped: 0, rows_flagged: 0 };
+        const failed = [];
+        const rollback = new Error('Strict import rolled back');
+
+        try {
+            await database.withTransaction(async (connection) => {
+                const pass = await this.readRows(job, { rows_processed: 0, rows_valid: 0, rows_rejected: 0 }, async (chunk) => {
+                    if (chunk.length === 0) return;
+
+                    const result = await database.insertBulkRecords(
+                        chunk.map(entry => entry.record),
+                        {
+                            mode: 'upsert',
+                            batchSize: this.batchSize,
+                            connection: connection,
+                            audit: { userId: job.userId, source: 'import', sourceRef: job.id }
+                        }
+                    );
+
+                    batches.push(...result.batches);
+                    written.rows_inserted += result.inserted;
+                    written.rows_updated += result.updated;
+                    written.rows_skipped += result.skipped;
+                    written.rows_flagged += result.flagged;
+
+                    for (const failure of result.failed) {
+                        failed.push(this.toRejected(chunk[failure.index], failure));
+                    }
+
+                    if (failed.length > 0) throw rollback;
+                });
+
+                if (pass.status === 'cancelled') throw rollback;
+            });
+        } catch (error) {
+            if (error !== rollback) throw error;
+
+            if (failed.length === 0) {
+                return { status: 'cancelled' };
+            }
+
+            progress.rows_failed += failed.length;
+            await database.insertRejectedRows(job.id, failed);
+            return this.strictFailure(progress);
+        }
+
+        Object.assign(progress, written);
+        return { status: 'completed', batch_metrics: JSON.stringify(batches) };
+    }
+
+    /**
+     * Final status of a strict job that stored nothing
+     * @param {Object} progress - Running counters
+     * @returns {Object} Status columns
+     */
+    strictFailure(progress) {
+        return {
+            status: 'failed',
+            error_message: `Strict mode: ${progress.rows_failed} row(s) failed, nothing was imported`
+        };
+    }
+
+    /**
+     * Write a chunk of valid records, keep its rejected rows and record progress
+     * @param {Object} job - Import job (id, mode)
+     * @param {Array} chunk - Valid rows ({ row, raw, record })
+     * @param {Array} rejected - Rejected rows ({ row, raw, errors })
+     * @param {Object} progress - Running counters (updated in place)
+     * @param {Array} batches - Per-batch timing metrics (appended to)
+     */
+    async flushChunk(job, chunk, rejected, progress, batches) {
+        if (chunk.length > 0) {
+            const result = await database.insertBulkRecords(
+                chunk.map(entry => entry.record),
+                {
+                    mode: job.mode,
+                    batchSize: this.batchSize,
+                    audit: { userId: job.userId, source: 'import', sourceRef: job.id }
+                }
+            );
+
+            batches.push(...result.batches);
+            progress.rows_inserted += result.inserted;
+            progress.rows_updated += result.updated;
+            progress.rows_skipped += result.skipped;
+            progress.rows_flagged += result.flagged;
+
+            for (const failure of result.failed) {
+                rejected.push(this.toRejected(chunk[failure.index], failure));
+            }
+        }
+
+        progress.rows_failed += rejected.length;
+
+        if (rejected.length > 0) {
+            await database.insertRejectedRows(job.id, rejected);
+        }
+
+        await database.updateImportJob(job.id, { ...progress, batch_metrics: JSON.stringify(batches) });
+    }
+
+    /**
+     * Describe a valid row the database refused, in the shape of a validation error
+     * @param {Object} entry - Chunk entry ({ row, raw })
+     * @param {Object} failure - { code, error } from insertBulkRecords
+     * @returns {Object} Rejected row ({ row, raw, errors })
+     */
+    toRejected(entry, failure) {
+        return {
+            row: entry.row,
+            raw: entry.raw,
+            errors: [{
+                field: failure.code === 'duplicate' ? 'email' : null,
+                code: failure.code,
+                message: failure.error
+            }]
+        };
+    }
+
+    /**
+     * Map a CSV row through a profile and validate it
+     * @param {Object} row - Parsed CSV row
+     * @param {Object} profile - Import profile
+     * @returns {Object} { record, validation }
+     */
+    checkRow(row, profile) {
+        const record = ImportProfiles.mapRow(row, profile);
+        const validation = Validation.validateRecord(record, 'csv');
+
+        return { record, validation };
+    }
+
+    /**
+     * Prepare a valid record for insertion
+     * @param {Object} record - Validated record
+     * @returns {Object} Sanitized record in canonical form, with a numeric age
+     */
+    toInsertable(record) {
+        const sanitized = Validation.normalizeRecord(Validation.sanitizeRecord(record));
+        sanitized.age = sanitized.age ? parseInt(sanitized.age) : null;
+        return sanitized;
+    }
+
+    /**
+     * Dry run: map and validate the first rows of a file without storing anything
+     * @param {string} filePath - Path to the CSV file
+     * @param {Object} profile - Import profile
+     * @param {number} limit - Number of rows to return
+     * @returns {Promise} { headers, rows }
+     */
+    async preview(filePath, profile, limit) {
+        const rows = ImportProfiles.createRowStream(filePath, profile);
+        const results = [];
+        let headers = null;
+
+        rows.on('headers', (parsedHeaders) => {
+            headers = parsedHeaders;
+        });
+
+        for await (const row of rows) {
+            const { record, validation } = this.checkRow(row, profile);
+
+            results.push({
+                row: results.length + 1,
+                data: record,
+                isValid: validation.isValid,
+                errors: validation.errors
+            });
+
+            if (results.length >= limit) break;
+        }
+
+        return { headers, rows: results };
+    }
+
+    /**
+     * Delete an uploaded file, ignoring files that are already gone
+     * @param {string} filePath - Path to the upload
+     */
+    async removeFile(filePath) {
+        try {
+            await fs.promises.unlink(filePath);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.error('Could not remove uploaded file', { error: error });
+            }
+        }
+    }
+}
+
+// Export singleton instance
+module.exports = new ImportJobs();
@@ -5,36 +5,49 @@
 const express = require('express');
 const path = require('path');
 const fs = require('fs').promises;
-const csv = require('csv-parser');
 const multer = require('multer');
-require('dotenv').config();
 
+const config = require('./config');
 const database = require('./database');
+const importJobs = require('./imports');
+const webhooks = require('./webhooks');
+const ImportProfiles = require('./profiles');
+const CsvWriter = require('./csv');
+const Exporter = require('./exporter');
 const Validation = require('./validation');
+const Encoding = require('./encoding');
 const SecurityMiddleware = require('./middleware');
+const Auth = require('./auth');
+const Audit = require('./audit');
+const Csrf = require('./csrf');
+const RateLimit = require('./ratelimit');
+const Compliance = require('./compliance');
+const Health = require('./health');
+const uploads = require('./uploads');
+const logger = require('./logger');
+const metrics = require('./metrics');
+
+const { ROLES } = Auth;
 
 class Server {
     constructor() {
         this.app = express();
-        this.port = process.env.PORT || 3000;
-        this.uploadPath = process.env.UPLOAD_PATH || './uploads';
+        this.port = config.PORT;
+        this.uploadPath = config.UPLOAD_PATH;
+        this.shuttingDown = false;
+        this.drainMs = config.SHUTDOWN_DRAIN_MS;
+        this.shutdownTimeoutMs = config.SHUTDOWN_TIMEOUT_MS;
         
         // Create uploads directory if it doesn't exist
         this.ensureUploadDirectory();
         
         // Configure file upload
+        // No filter on the name or mimetype, which the client chooses: handlers check the
+        // content once the import profile says how to read it (see uploads.js)
         this.upload = multer({
             dest: this.uploadPath,
             limits: {
-                fileSize: parseInt(process.env.MAX_FILE_SIZE) || 10485760
-            },
-            fileFilter: (req, file, cb) => {
-                // Only allow CSV files
-                if (file.mimetype === 'text/csv' || file.originalname.endsWith('.csv')) {
-                    cb(null, true);
-                } else {
-                    cb(new Error('Only CSV files are allowed'));
-                }
+                fileSize: config.MAX_FILE_SIZE
             }
         });
         
@@ -50,7 +63,7 @@ class Server {
             await fs.access(this.uploadPath);
         } catch (error) {
             await fs.mkdir(this.uploadPath, { recursive: true });
-            console.log(`Created upload directory: ${this.uploadPath}`);
+            logger.info(`Created upload directory: ${this.uploadPath}`);
         }
     }
     
@@ -61,42 +74,96 @@ class Server {
         // Security middleware
         this.app.use(SecurityMiddleware.helmetConfig());
         this.app.use(SecurityMiddleware.corsConfig());
+        this.app.use(SecurityMiddleware.requestId());
         this.app.use(SecurityMiddleware.requestLogger());
-        this.app.use(SecurityMiddleware.healthCheck());
+        
+        // Stored text keeps its quotes and ampersands, so encode <, > and & in JSON responses
+        this.app.set('json escape', true);
         
         // Body parsing middleware
         this.app.use(express.json());
         this.app.use(express.urlencoded({ extended: true }));
         
-        // Serve static files (form.html)
+        // The form page carries a fresh CSRF token, so it is rendered rather than served as a static file
+        this.app.get(['/', '/form.html'], this.handleFormPage.bind(this));
+        
+        // Serve static files
         this.app.use(express.static(path.join(__dirname, '../public')));
         
-        // Apply rate limiting to API routes
-        this.app.use('/api/', SecurityMiddleware.rateLimiter());
+        // Identify callers from their Bearer token (anonymous requests continue without a user)
+        this.app.use('/api/', SecurityMiddleware.authenticate());
+        
+        // Apply rate limiting to API routes, per user once identified (stricter policies are set per route)
+        this.app.use('/api/', SecurityMiddleware.rateLimiter('api'));
     }
     
     /**
      * Initialize all routes
      */
     initializeRoutes() {
-        // Health check endpoint (Task C)
-        this.app.get('/health', (req, res) => {
-            res.json({ 
-                status: 'Server is running',
-                timestamp: new Date().toISOString(),
-                database: 'Connected'
-            });
-        });
+        // Liveness and readiness probes (Task C) - outside /api, so neither authenticated nor rate limited
+        this.app.get('/health/live', this.handleLiveness.bind(this));
+        this.app.get('/health/ready', this.handleReadiness.bind(this));
+        
+        // Prometheus metrics - also outside /api; METRICS_TOKEN, when set, must be sent as a Bearer token
+        this.app.get('/metrics', SecurityMiddleware.requireMetricsToken(), this.handleMetrics.bind(this));
         
-        // CSV Upload endpoint (Task A)
-        this.app.post('/api/upload-csv', this.upload.single('csvfile'), this.handleCSVUpload.bind(this));
+        // Authentication and user management
+        this.app.post('/api/auth/login', SecurityMiddleware.rateLimiter('login'), this.handleLogin.bind(this));
+        this.app.post('/api/users', SecurityMiddleware.requireRole(ROLES.ADMIN), this.handleUserCreate.bind(this));
         
-        // Form submission endpoint (Task B)
-        this.app.post('/api/submit-form', SecurityMiddleware.validateFormInput(), this.handleFormSubmission.bind(this));
+        // CSV Upload endpoint (Task A) - uploads and previews share one request limit and one byte quota
+        const uploadLimit = SecurityMiddleware.rateLimiter('upload');
+        const uploadQuota = SecurityMiddleware.uploadQuota();
+        this.app.post('/api/upload-csv', SecurityMiddleware.requireRole(ROLES.IMPORTER), uploadLimit, SecurityMiddleware.cleanupUpload(), this.upload.single('csvfile'), uploadQuota, SecurityMiddleware.idempotency(), this.handleCSVUpload.bind(this));
+        this.app.post('/api/imports/preview', SecurityMiddleware.requireRole(ROLES.IMPORTER), uploadLimit, SecurityMiddleware.cleanupUpload(), this.upload.single('csvfile'), uploadQuota, this.handleImportPreview.bind(this));
+        this.app.get('/api/imports/:id', SecurityMiddleware.requireRole(ROLES.IMPORTER), this.handleImportStatus.bind(this));
+        this.app.get('/api/imports/:id/rejected', SecurityMiddleware.requireRole(ROLES.IMPORTER), this.handleImportRejectedReport.bind(this));
+        this.app.post('/api/imports/:id/cancel', SecurityMiddleware.requireRole(ROLES.IMPORTER), this.handleImportCancel.bind(this));
         
-        // Serve form.html as default route
-        this.app.get('/', (req, res) => {
-            res.sendFile(path.join(__dirname, '../public/form.html'));
+        // Saved CSV import profiles (column mapping and parser settings)
+        this.app.get('/api/import-profiles', SecurityMiddleware.requireRole(ROLES.IMPORTER), this.handleProfileList.bind(this));
+        this.app.post('/api/import-profiles', SecurityMiddleware.requireRole(ROLES.IMPORTER), this.handleProfileSave.bind(this));
+        this.app.get('/api/import-profiles/:id', SecurityMiddleware.requireRole(ROLES.IMPORTER), this.handleProfileGet.bind(this));
+        this.app.put('/api/import-profiles/:id', SecurityMiddleware.requireRole(ROLES.IMPORTER), this.handleProfileSave.bind(this));
+        this.app.delete('/api/import-profiles/:id', SecurityMiddleware.requireRole(ROLES.IMPORTER), this.handleProfileDelete.bind(this));
+        
+        // Form submission endpoint (Task B) - open to the public form
+        this.app.post('/api/submit-form', SecurityMiddleware.requireRole(ROLES.SUBMITTER), SecurityMiddleware.rateLimiter('submit'), SecurityMiddleware.protectForm(), SecurityMiddleware.idempotency(), SecurityMiddleware.validateFormInput(), this.handleFormSubmission.bind(this));
+        
+        // Records API (read/search/update/delete)
+        this.app.get('/api/records', SecurityMiddleware.requireRole(ROLES.VIEWER), this.handleRecordList.bind(this));
+        this.app.get('/api/records/:id', SecurityMiddleware.requireRole(ROLES.VIEWER), this.handleRecordGet.bind(this));
+        this.app.get('/api/export', SecurityMiddleware.requireRole(ROLES.VIEWER), this.handleExport.bind(this));
+        this.app.get('/api/records/:id/history', SecurityMiddleware.requireRole(ROLES.VIEWER), this.handleRecordHistory.bind(this));
+        this.app.post('/api/records/:id/revert', SecurityMiddleware.requireRole(ROLES.ADMIN), this.handleRecordRevert.bind(this));
+        this.app.put('/api/records/:id', SecurityMiddleware.requireRole(ROLES.ADMIN), this.handleRecordUpdate.bind(this));
+        this.app.patch('/api/records/:id', SecurityMiddleware.requireRole(ROLES.ADMIN), this.handleRecordUpdate.bind(this));
+        this.app.delete('/api/records/:id', SecurityMiddleware.requireRole(ROLES.ADMIN), this.handleRecordDelete.bind(this));
+        
+        // Review queue of probable duplicate records
+        this.app.get('/api/duplicates', SecurityMiddleware.requireRole(ROLES.VIEWER), this.handleDuplicateList.bind(this));
+        this.app.get('/api/duplicates/:id', SecurityMiddleware.requireRole(ROLES.VIEWER), this.handleDuplicateGet.bind(this));
+        this.app.post('/api/duplicates/:id/merge', SecurityMiddleware.requireRole(ROLES.ADMIN), this.handleDuplicateMerge.bind(this));
+        this.app.post('/api/duplicates/:id/dismiss', SecurityMiddleware.requireRole(ROLES.ADMIN), this.handleDuplicateDismiss.bind(this));
+        
+        // Webhooks and their deliveries (status=dead lists the dead letters)
+        this.app.get('/api/webhooks', SecurityMiddleware.requireRole(ROLES.ADMIN), this.handleWebhookList.bind(this));
+        this.app.post('/api/webhooks', SecurityMiddleware.requireRole(ROLES.ADMIN), this.handleWebhookCreate.bind(this));
+        this.app.put('/api/webhooks/:id', SecurityMiddleware.requireRole(ROLES.ADMIN), this.handleWebhookUpdate.bind(this));
+        this.app.delete('/api/webhooks/:id', SecurityMiddleware.requireRole(ROLES.ADMIN), this.handleWebhookDelete.bind(this));
+        this.app.post('/api/webhooks/:id/ping', SecurityMiddleware.requireRole(ROLES.ADMIN), this.handleWebhookPing.bind(this));
+        this.app.get('/api/webhook-deliveries', SecurityMiddleware.requireRole(ROLES.ADMIN), this.handleDeliveryList.bind(this));
+        this.app.post('/api/webhook-deliveries/:id/retry', SecurityMiddleware.requireRole(ROLES.ADMIN), this.handleDeliveryRetry.bind(this));
+        
+        // Data-subject requests and the compliance log
+        this.app.post('/api/subject-requests/access', SecurityMiddleware.requireRole(ROLES.ADMIN), this.handleSubjectAccess.bind(this));
+        this.app.post('/api/subject-requests/erasure', SecurityMiddleware.requireRole(ROLES.ADMIN), this.handleSubjectErasure.bind(this));
+        this.app.get('/api/compliance-log', SecurityMiddleware.requireRole(ROLES.ADMIN), this.handleComplianceLog.bind(this));
+        
+        // The record schema, for the browser form's validation
+        this.app.get('/js/record-schema.js', (req, res) => {
+            res.sendFile(path.join(__dirname, 'schema.js'));
         });
         
         // 404 handler
@@ -109,7 +176,7 @@ class Server {
         
         // Global error handler
         this.app.use((err, req, res, next) => {
-            console.error('Global error handler:', err);
+            logger.error('Global error handler', { error: err });
             
             if (err instanceof multer.MulterError) {
                 return res.status(400).json({
@@ -121,13 +188,43 @@ class Server {
             res.status(500).json({
                 success: false,
                 message: 'Internal server error',
-                error: process.env.NODE_ENV === 'development' ? err.message : undefined
+                error: config.NODE_ENV === 'development' ? err.message : undefined
             });
         });
     }
     
     /**
-     * Handle CSV file upload and processing (Task A)
+     * Serve form.html with a new CSRF token in its page and in a cookie
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    async handleFormPage(req, res) {
+        try {
+            if (!this.formTemplate) {
+                this.formTemplate = await fs.readFile(path.join(__dirname, '../public/form.html'), 'utf8');
+            }
+            
+            const token = Csrf.issue();
+            
+            Csrf.setCookie(res, token);
+            res.set('Cache-Control', 'no-store'); // Every visitor needs their own token
+            res.type('html').send(this.formTemplate.replace('{{csrfToken}}', token));
+            
+        } catch (error) {
+            logger.error('Form page error', { error: error });
+            res.status(500).json({
+                success: false,
+                message: 'Failed to load form',
+                error: config.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+    
+    /**
+     * Handle CSV file upload (Task A)
+     * Queues an import job and responds immediately with its id.
+     * Form fields: profileId (saved profile) or profile (JSON settings), defaulting to the standard layout;
+     * mode (insert, upsert, skip or strict), defaulting to upsert
      * @param {Object} req - Request object
      * @param {Object} res - Response object
      */
@@ -140,157 +237,1647 @@ class Server {
                 });
             }
             
-            const filePath = req.file.path;
-            const records = [];
-            const errors = [];
-            let rowNumber = 0;
+            const { profile, errors } = await importJobs.resolveProfile(req.body);
             
-            // Read and parse CSV file
-            await new Promise((resolve, reject) => {
-                const stream = require('stream');
-                const fs = require('fs');
-                
-                fs.createReadStream(filePath)
-                    .pipe(csv())
-                    .on('data', (row) => {
-                        rowNumber++;
-                        
-                        try {
-                            // Convert CSV row to database format
-                            const record = {
-                                first_name: row.first_name,
-                                last_name: row.last_name,
-                                email: row.email,
-                                age: parseInt(row.age)
-                            };
-                            
-                            // Validate record
-                            const validation = Validation.validateRecord(record, 'csv');
-                            
-                            if (validation.isValid) {
-                                records.push(Validation.sanitizeRecord(record));
-                            } else {
-                                // INVALID RECORD - Save with row number
-                                errors.push({
-                                    row: rowNumber,
-                                    data: record,
-                                    errors: validation.errors
-                                });
-                            }
-                        } catch (error) {
-                            // PARSING ERROR - Save with row number
-                            errors.push({
-                                row: rowNumber,
-                                error: error.message
-                            });
-                        }
-                    })
-                    .on('end', resolve)
-                    .on('error', reject);
-            });
-            
-            // Insert ONLY valid records
-            if (records.length > 0) {
-                await database.insertBulkRecords(records);
-            }
-            
-            // Clean up uploaded file
-            await fs.unlink(filePath);
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid import profile',
+                    errors: errors
+                });
+            }
             
-            res.json({
+            const mode = req.body.mode || 'upsert';
+            
+            if (!importJobs.modes.includes(mode)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `mode must be one of: ${importJobs.modes.join(', ')}`
+                });
+            }
+            
+            const problem = await uploads.inspect(req.file.path, profile.encoding);
+            
+            if (problem) {
+                return res.status(400).json({
+                    success: false,
+                    message: `File rejected: ${problem.message}`
+                });
+            }
+            
+            const jobId = await importJobs.createJob(req.file, req.user, profile, mode);
+            
+            res.status(202).json({
                 success: true,
-                message: `CSV processing completed`,
-                summary: {
-                    totalRows: rowNumber,
-                    validRecords: records.length,
-                    invalidRecords: errors.length,
+                message: 'CSV import queued',
+                jobId: jobId,
+                statusUrl: `/api/imports/${jobId}`
+            });
+            
+        } catch (error) {
+            logger.error('CSV upload error', { error: error });
+            res.status(500).json({
+                success: false,
+                message: 'Failed to queue CSV file',
+                error: config.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+    
+    /**
+     * Preview how a CSV file will be mapped and validated, without importing it
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    async handleImportPreview(req, res) {
+        try {
+            if (!req.file) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'No CSV file uploaded'
+                });
+            }
+            
+            const limit = req.body.rows === undefined ? 10 : parseInt(req.body.rows);
+            
+            if (isNaN(limit) || limit < 1 || limit > 100) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'rows must be between 1 and 100'
+                });
+            }
+            
+            const { profile, errors } = await importJobs.resolveProfile(req.body);
+            
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid import profile',
                     errors: errors
+                });
+            }
+            
+            const problem = await uploads.inspect(req.file.path, profile.encoding);
+            
+            if (problem) {
+                return res.status(400).json({
+                    success: false,
+                    message: `File rejected: ${problem.message}`
+                });
+            }
+            
+            const preview = await importJobs.preview(req.file.path, profile, limit);
+            
+            res.json({
+                success: true,
+                data: {
+                    profile: profile,
+                    headers: preview.headers,
+                    rows: preview.rows
                 }
             });
             
         } catch (error) {
-            console.error('CSV processing error:', error);
+            logger.error('Import preview error', { error: error });
             res.status(500).json({
                 success: false,
-                message: 'Failed to process CSV file',
-                error: error.message
+                message: 'Failed to preview CSV file',
+                error: config.NODE_ENV === 'development' ? error.message : undefined
             });
         }
     }
     
     /**
-     * Handle form submission (Task B)
+     * Find an import job the caller may see (admins see every job)
+     * @param {Object} req - Request object
+     * @returns {Promise} Job row or null
+     */
+    async findVisibleImportJob(req) {
+        const job = await importJobs.getJob(req.params.id);
+        
+        if (!job) return null;
+        if (req.user.role === ROLES.ADMIN || job.created_by === req.user.id) return job;
+        return null;
+    }
+    
+    /**
+     * Report the status and progress of an import job
      * @param {Object} req - Request object
      * @param {Object} res - Response object
      */
-    async handleFormSubmission(req, res) {
+    async handleImportStatus(req, res) {
         try {
-            // Extract and validate form data
-            const formData = {
-                first_name: req.body.firstName || req.body.first_name,
-                last_name: req.body.lastName || req.body.last_name,
-                email: req.body.email,
-                phone_number: req.body.phoneNumber || req.body.phone_number,
-                eircode: req.body.eircode
-            };
+            const job = await this.findVisibleImportJob(req);
             
-            // Insert into database
-            await database.insertRecord(formData);
+            if (!job) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Import job not found'
+                });
+            }
             
             res.json({
                 success: true,
-                message: 'Form data saved successfully',
-                data: formData
+                data: {
+                    id: job.id,
+                    status: job.status,
+                    mode: job.mode,
+                    fileName: job.original_filename,
+                    rowsProcessed: job.rows_processed,
+                    rowsValid: job.rows_valid,
+                    rowsRejected: job.rows_rejected,
+                    summary: {
+                        inserted: job.rows_inserted,
+                        updated: job.rows_updated,
+                        skipped: job.rows_skipped,
+                        failed: job.rows_failed,
+                        flaggedAsDuplicates: job.rows_flagged,
+                        batches: this.summarizeBatches(job.batch_metrics)
+                    },
+                    rejectedReportUrl: `/api/imports/${job.id}/rejected`,
+                    error: job.error_message,
+                    createdAt: job.created_at,
+                    startedAt: job.started_at,
+                    finishedAt: job.finished_at
+                }
             });
             
         } catch (error) {
-            console.error('Form submission error:', error);
+            logger.error('Import status error', { error: error });
+            res.status(500).json({
+                success: false,
+                message: 'Failed to fetch import job',
+                error: config.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+    
+    /**
+     * Download the rows an import rejected (?format=csv|json)
+     * The CSV keeps the file's original columns so fixed rows can be uploaded again;
+     * _row and _errors columns are ignored on re-import.
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    async handleImportRejectedReport(req, res) {
+        try {
+            const format = req.query.format || 'csv';
             
-            // Handle duplicate email error
-            if (error.code === 'ER_DUP_ENTRY') {
-                return res.status(409).json({
+            if (format !== 'csv' && format !== 'json') {
+                return res.status(400).json({
                     success: false,
-                    message: 'Email already exists in database'
+                    message: 'format must be csv or json'
+                });
+            }
+            
+            const job = await this.findVisibleImportJob(req);
+            
+            if (!job) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Import job not found'
                 });
             }
             
+            res.attachment(`import-${job.id}-rejected.${format}`);
+            res.type(format === 'csv' ? 'text/csv' : 'application/json');
+            
+            // Respect backpressure so large reports are not buffered in memory, and stop if the client goes away
+            const write = async (chunk) => {
+                res.write(chunk);
+                await Exporter.drain(res);
+            };
+            
+            let afterId = 0;
+            let first = true;
+            
+            if (format === 'json') {
+                await write('[');
+            }
+            
+            // Short or malformed rows lack some of the file's columns, so every column any row has is written
+            const columns = format === 'csv' ? await this.findRejectedColumns(job.id) : null;
+            
+            if (format === 'csv') {
+                await write(CsvWriter.formatRow([...columns, '_row', '_errors']));
+            }
+            
+            for (;;) {
+                const rows = await database.findRejectedRows(job.id, afterId);
+                if (rows.length === 0) break;
+                
+                for (const rejected of rows) {
+                    if (format === 'json') {
+                        await write(`${first ? '' : ','}\n${Encoding.json({
+                            row: rejected.row,
+                            data: rejected.raw,
+                            errors: rejected.errors
+                        })}`);
+                    } else {
+                        await write(CsvWriter.formatRow([
+                            ...columns.map(column => rejected.raw[column]),
+                            rejected.row,
+                            // Jobs from before structured errors stored plain strings
+                            rejected.errors.map(error => error.message || error).join('; ')
+                        ]));
+                    }
+                    
+                    first = false;
+                }
+                
+                afterId = rows[rows.length - 1].id;
+            }
+            
+            if (format === 'json') {
+                await write('\n]\n');
+            }
+            
+            res.end();
+            
+        } catch (error) {
+            logger.error('Rejected rows report error', { error: error });
+            
+            if (res.headersSent) {
+                return res.destroy(error);
+            }
+            
             res.status(500).json({
                 success: false,
-                message: 'Failed to save form data',
-                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+                message: 'Failed to build rejected rows report',
+                error: config.NODE_ENV === 'development' ? error.message : undefined
             });
         }
     }
     
     /**
-     * Start the server
+     * Columns of an import's rejected rows, in the order they first appear
+     * @param {string} jobId - Import job id
+     * @returns {Promise<Array>} Column names
      */
-    start() {
-        this.server = this.app.listen(this.port, () => {
-            console.log(`Server running on port ${this.port}`);
-            console.log(`Health check: http://localhost:${this.port}/health`);
-            console.log(`Form: http://localhost:${this.port}/`);
-            console.log(`CSV upload endpoint: http://localhost:${this.port}/api/upload-csv`);
-            console.log(`Database user: ${process.env.DB_USER || 'ca2_app_user'}`);
-        });
+    async findRejectedColumns(jobId) {
+        const columns = new Set();
         
-        // Graceful shutdown
-        process.on('SIGTERM', () => this.shutdown());
-        process.on('SIGINT', () => this.shutdown());
+        for (let afterId = 0; ;) {
+            const rows = await database.findRejectedRows(jobId, afterId);
+            if (rows.length === 0) break;
+            
+            for (const rejected of rows) {
+                Object.keys(rejected.raw).forEach(column => columns.add(column));
+            }
+            
+            afterId = rows[rows.length - 1].id;
+        }
+        
+        return [...columns];
     }
     
     /**
-     * Gracefully shutdown server
+     * Summarize the per-batch timings an import job recorded
+     * @param {string|Array} metrics - batch_metrics column
+     * @returns {Object} Totals plus the individual batches
      */
-    async shutdown() {
-        console.log('Shutting down server...');
+    summarizeBatches(metrics) {
+        const batches = (typeof metrics === 'string' ? JSON.parse(metrics) : metrics) || [];
+        const totalMs = batches.reduce((sum, batch) => sum + batch.durationMs, 0);
         
-        if (this.server) {
-            this.server.close();
+        return {
+            count: batches.length,
+            totalMs: totalMs,
+            averageMs: batches.length > 0 ? Math.round(totalMs / batches.length) : 0,
+            slowestMs: batches.reduce((max, batch) => Math.max(max, batch.durationMs), 0),
+            retries: batches.reduce((sum, batch) => sum + batch.attempts - 1, 0),
+            splits: batches.reduce((sum, batch) => sum + batch.splits, 0),
+            details: batches
+        };
+    }
+    
+    /**
+     * Cancel a queued or running import job
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    async handleImportCancel(req, res) {
+        try {
+            const job = await this.findVisibleImportJob(req);
+            
+            if (!job) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Import job not found'
+                });
+            }
+            
+            const outcome = await importJobs.cancelJob(job.id);
+            
+            if (outcome === 'finished') {
+                return res.status(409).json({
+                    success: false,
+                    message: `Import job already ${job.status}`
+                });
+            }
+            
+            res.status(outcome === 'cancelled' ? 200 : 202).json({
+                success: true,
+                message: outcome === 'cancelled'
+                    ? 'Import job cancelled'
+                    : 'Import job will stop after the current chunk'
+            });
+            
+        } catch (error) {
+            logger.error('Import cancel error', { error: error });
+            res.status(500).json({
+                success: false,
+                message: 'Failed to cancel import job',
+                error: config.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+    
+    /**
+     * List saved import profiles
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    async handleProfileList(req, res) {
+        try {
+            const rows = await database.findImportProfiles();
+            
+            res.json({
+                success: true,
+                data: rows.map(row => ImportProfiles.fromRow(row))
+            });
+            
+        } catch (error) {
+            logger.error('Import profile list error', { error: error });
+            res.status(500).json({
+                success: false,
+                message: 'Failed to fetch import profiles',
+                error: config.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+    
+    /**
+     * Get a saved import profile
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    async handleProfileGet(req, res) {
+        try {
+            const id = Validation.parseId(req.params.id);
+            const row = id ? await database.findImportProfileById(id) : null;
+            
+            if (!row) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Import profile not found'
+                });
+            }
+            
+            res.json({
+                success: true,
+                data: ImportProfiles.fromRow(row)
+            });
+            
+        } catch (error) {
+            logger.error('Import profile fetch error', { error: error });
+            res.status(500).json({
+                success: false,
+                message: 'Failed to fetch import profile',
+                error: config.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+    
+    /**
+     * Create (POST) or replace (PUT /:id) an import profile
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    async handleProfileSave(req, res) {
+        try {
+            const { profile, errors } = ImportProfiles.validateProfile(req.body);
+            
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors
+                });
+            }
+            
+            if (req.params.id === undefined) {
+                const result = await database.createImportProfile(profile, req.user);
+                
+                return res.status(201).json({
+                    success: true,
+                    message: 'Import profile created successfully',
+                    data: { id: result.insertId, ...profile }
+                });
+            }
+            
+            const id = Validation.parseId(req.params.id);
+            const result = id ? await database.updateImportProfile(id, profile) : null;
+            
+            if (!result || result.affectedRows === 0) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Import profile not found'
+                });
+            }
+            
+            res.json({
+                success: true,
+                message: 'Import profile updated successfully',
+                data: { id: id, ...profile }
+            });
+            
+        } catch (error) {
+            logger.error('Import profile save error', { error: error });
+            
+            if (error.code === 'ER_DUP_ENTRY') {
+                return res.status(409).json({
+                    success: false,
+                    message: 'An import profile with this name already exists'
+                });
+            }
+            
+            res.status(500).json({
+                success: false,
+                message: 'Failed to save import profile',
+                error: config.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+    
+    /**
+     * Delete an import profile
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    async handleProfileDelete(req, res) {
+        try {
+            const id = Validation.parseId(req.params.id);
+            const result = id ? await database.deleteImportProfile(id) : null;
+            
+            if (!result || result.affectedRows === 0) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Import profile not found'
+                });
+            }
+            
+            res.json({
+                success: true,
+                message: 'Import profile deleted successfully'
+            });
+            
+        } catch (error) {
+            logger.error('Import profile delete error', { error: error });
+            res.status(500).json({
+                success: false,
+                message: 'Failed to delete import profile',
+                error: config.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+    
+    /**
+     * Handle form submission (Task B)
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    async handleFormSubmission(req, res) {
+        try {
+            // Already sanitized and validated by validateFormInput
+            const formData = Validation.normalizeRecord(Validation.extractRecordFields(req.body));
+            
+            if (formData.age) {
+                formData.age = parseInt(formData.age);
+            }
+            
+            // Insert into database
+            const result = await database.insertRecord(formData, Audit.context(req, 'form'));
+            
+            // Events name the record without its personal data, which would sit unencrypted in
+            // webhook_deliveries: receivers fetch the record through the API
+            if (result.operation) {
+                await webhooks.emit(result.operation === 'insert' ? 'record.created' : 'record.updated', {
+                    id: result.record.id,
+                    operation: result.operation,
+                    recordUrl: `/api/records/${result.record.id}`
+                });
+            }
+            
+            res.json({
+                success: true,
+                message: 'Form data saved successfully',
+                data: formData
+            });
+            
+        } catch (error) {
+            logger.error('Form submission error', { error: error });
+            
+            // Handle duplicate email error
+            if (error.code === 'ER_DUP_ENTRY') {
+                return res.status(409).json({
+                    success: false,
+                    message: 'Email already exists in database'
+                });
+            }
+            
+            res.status(500).json({
+                success: false,
+                message: 'Failed to save form data',
+                error: config.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+    
+    /**
+     * Show the change history of a record (kept after the record is deleted)
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    async handleRecordHistory(req, res) {
+        try {
+            const id = Validation.parseId(req.params.id);
+            const history = id ? await database.findAuditHistory(id) : [];
+            
+            if (history.length === 0) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'No history found for this record'
+                });
+            }
+            
+            res.json({
+                success: true,
+                data: history.map(entry => ({
+                    id: entry.id,
+                    operation: entry.operation,
+                    changedBy: entry.username || entry.changed_by,
+                    source: entry.source,
+                    sourceRef: entry.source_ref,
+                    changes: entry.changes,
+                    createdAt: entry.created_at
+                }))
+            });
+            
+        } catch (error) {
+            logger.error('Record history error', { error: error });
+            res.status(500).json({
+                success: false,
+                message: 'Failed to fetch record history',
+                error: config.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+    
+    /**
+     * Revert a record to the version left by an audit entry ({ auditId })
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    async handleRecordRevert(req, res) {
+        try {
+            const id = Validation.parseId(req.params.id);
+            const auditId = Validation.parseId(req.body.auditId);
+            const entry = id && auditId ? await database.findAuditEntry(id, auditId) : null;
+            
+            if (!entry) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Audit entry not found for this record'
+                });
+            }
+            
+            if (!entry.snapshot) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Cannot revert to a deletion, use DELETE /api/records/:id instead'
+                });
+            }
+            
+            const record = await database.revertRecord(id, entry.snapshot, Audit.context(req, 'revert', String(entry.id)));
+            
+            res.json({
+                success: true,
+                message: 'Record reverted successfully',
+                data: record
+            });
+            
+        } catch (error) {
+            logger.error('Record revert error', { error: error });
+            
+            if (error.code === 'ER_DUP_ENTRY') {
+                return res.status(409).json({
+                    success: false,
+                    message: 'Email already exists in database'
+                });
+            }
+            
+            res.status(500).json({
+                success: false,
+                message: 'Failed to revert record',
+                error: config.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+    
+    /**
+     * Log in with username and password and issue a signed token
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    async handleLogin(req, res) {
+        try {
+            const { username, password } = req.body;
+            
+            if (typeof username !== 'string' || typeof password !== 'string') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Username and password are required'
+                });
+            }
+            
+            const user = await database.findUserByUsername(username);
+            const passwordMatches = await Auth.verifyPassword(password, user ? user.password_hash : null);
+            
+            if (!user || !passwordMatches) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Invalid username or password'
+                });
+            }
+            
+            const { token, expiresIn } = Auth.issueToken(user);
+            
+            res.json({
+                success: true,
+                token: token,
+                expiresIn: expiresIn,
+                user: {
+                    username: user.username,
+                    role: user.role
+                }
+            });
+            
+        } catch (error) {
+            logger.error('Login error', { error: error });
+            res.status(500).json({
+                success: false,
+                message: 'Failed to log in',
+                error: config.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+    
+    /**
+     * Create an API user (admin only)
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    async handleUserCreate(req, res) {
+        try {
+            const { username, password, role } = req.body;
+            const validation = Validation.validateUserAccount(
+                { username, password, role },
+                Object.values(ROLES)
+            );
+            
+            if (!validation.isValid) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: validation.errors
+                });
+            }
+            
+            const passwordHash = await Auth.hashPassword(password);
+            const result = await database.createUser({ username, passwordHash, role });
+            
+            res.status(201).json({
+                success: true,
+                message: 'User created successfully',
+                data: {
+                    id: result.insertId,
+                    username: username,
+                    role: role
+                }
+            });
+            
+        } catch (error) {
+            logger.error('User creation error', { error: error });
+            
+            if (error.code === 'ER_DUP_ENTRY') {
+                return res.status(409).json({
+                    success: false,
+                    message: 'Username already exists'
+                });
+            }
+            
+            res.status(500).json({
+                success: false,
+                message: 'Failed to create user',
+                error: config.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+    
+    /**
+     * List records with pagination, sorting and filters
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    async handleRecordList(req, res) {
+        try {
+            const { options, errors } = Validation.parseRecordQuery(req.query);
+            
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid query parameters',
+                    errors: errors
+                });
+            }
+            
+            const { records, total } = await database.findRecords(options);
+            
+            res.json({
+                success: true,
+                data: records,
+                pagination: {
+                    page: options.page,
+                    limit: options.limit,
+                    total: total,
+                    totalPages: Math.ceil(total / options.limit)
+                }
+            });
+            
+        } catch (error) {
+            logger.error('Record list error', { error: error });
+            res.status(500).json({
+                success: false,
+                message: 'Failed to fetch records',
+                error: config.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+    
+    /**
+     * Export records as CSV, NDJSON or XLSX (?format=, ?columns=, plus the listing filters)
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    async handleExport(req, res) {
+        try {
+            const errors = [];
+            const query = Validation.singleValues(req.query, errors);
+            const format = query.format || 'csv';
+            const { options, errors: queryErrors } = Validation.parseRecordQuery(query);
+            const { columns, errors: columnErrors } = Validation.parseExportColumns(query.columns);
+            
+            errors.push(...queryErrors, ...columnErrors);
+            
+            // An own-property check, so ?format=constructor does not find Object.prototype
+            if (!Object.hasOwn(Exporter.FORMATS, format)) {
+                errors.push(`format must be one of: ${Object.keys(Exporter.FORMATS).join(', ')}`);
+            }
+            
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid query parameters',
+                    errors: errors
+                });
+            }
+            
+            const { contentType, extension } = Exporter.FORMATS[format];
+            const rows = database.streamRecords({ ...options, columns });
+            
+            res.attachment(`records-${new Date().toISOString().slice(0, 10)}.${extension}`);
+            res.type(contentType);
+            
+            // Stop reading from the database if the client goes away
+            res.on('close', () => rows.destroy());
+            
+            await Exporter.write(res, rows, format, columns);
+            
+        } catch (error) {
+            logger.error('Export error', { error: error });
+            
+            if (res.headersSent) {
+                return res.destroy(error);
+            }
+            
+            res.status(500).json({
+                success: false,
+                message: 'Failed to export records',
+                error: config.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+    
+    /**
+     * Get a single record
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    async handleRecordGet(req, res) {
+        try {
+            const id = Validation.parseId(req.params.id);
+            const record = id ? await database.findRecordById(id) : null;
+            
+            if (!record) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Record not found'
+                });
+            }
+            
+            res.json({
+                success: true,
+                data: record
+            });
+            
+        } catch (error) {
+            logger.error('Record fetch error', { error: error });
+            res.status(500).json({
+                success: false,
+                message: 'Failed to fetch record',
+                error: config.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+    
+    /**
+     * Update a record (PUT replaces, PATCH merges with the stored values)
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    async handleRecordUpdate(req, res) {
+        try {
+            const id = Validation.parseId(req.params.id);
+            const existing = id ? await database.findRecordById(id) : null;
+            
+            if (!existing) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Record not found'
+                });
+            }
+            
+            const changes = Validation.sanitizeRecord(Validation.extractRecordFields(req.body));
+            const merged = req.method === 'PATCH'
+                ? { ...existing, ...changes }
+                : changes;
+            
+            // A PATCH only answers for the fields it sends: stored values that predate
+            // the current rules stay as they are until someone edits them
+            const validation = Validation.validateRecord(merged, 'update');
+            const errors = req.method === 'PATCH'
+                ? validation.errors.filter(error => error.field in changes)
+                : validation.errors;
+            
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors
+                });
+            }
+            
+            const record = req.method === 'PATCH'
+                ? { ...existing, ...Validation.normalizeRecord(changes) }
+                : Validation.normalizeRecord(changes);
+            
+            if (record.age) {
+                record.age = parseInt(record.age);
+            }
+            
+            await database.updateRecord(id, record, Audit.context(req, 'api'));
+            
+            res.json({
+                success: true,
+                message: 'Record updated successfully',
+                data: await database.findRecordById(id)
+            });
+            
+        } catch (error) {
+            logger.error('Record update error', { error: error });
+            
+            if (error.code === 'ER_DUP_ENTRY') {
+                return res.status(409).json({
+                    success: false,
+                    message: 'Email already exists in database'
+                });
+            }
+            
+            res.status(500).json({
+                success: false,
+                message: 'Failed to update record',
+                error: config.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+    
+    /**
+     * Delete a record
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    async handleRecordDelete(req, res) {
+        try {
+            const id = Validation.parseId(req.params.id);
+            const result = id ? await database.deleteRecord(id, Audit.context(req, 'api')) : null;
+            
+            if (!result || result.affectedRows === 0) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Record not found'
+                });
+            }
+            
+            res.json({
+                success: true,
+                message: 'Record deleted successfully'
+            });
+            
+        } catch (error) {
+            logger.error('Record delete error', { error: error });
+            res.status(500).json({
+                success: false,
+                message: 'Failed to delete record',
+                error: config.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+    
+    /**
+     * Shape a review queue entry for the API
+     * @param {Object} candidate - Entry with its records (see database.findDuplicateCandidates)
+     * @returns {Object} Response data
+     */
+    formatDuplicate(candidate) {
+        return {
+            id: candidate.id,
+            score: candidate.score,
+            reasons: candidate.reasons,
+            status: candidate.status,
+            source: candidate.source,
+            sourceRef: candidate.source_ref,
+            createdAt: candidate.created_at,
+            resolvedBy: candidate.resolved_by,
+            resolvedAt: candidate.resolved_at,
+            record: candidate.record,
+            match: candidate.match
+        };
+    }
+    
+    /**
+     * List probable duplicates (?status=pending|merged|dismissed, ?page=, ?limit=)
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    async handleDuplicateList(req, res) {
+        try {
+            const { options, errors } = Validation.parseDuplicateQuery(req.query);
+            
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid query parameters',
+                    errors: errors
+                });
+            }
+            
+            const { candidates, total } = await database.findDuplicateCandidates(options);
+            
+            res.json({
+                success: true,
+                data: candidates.map(candidate => this.formatDuplicate(candidate)),
+                pagination: {
+                    page: options.page,
+                    limit: options.limit,
+                    total: total,
+                    totalPages: Math.ceil(total / options.limit)
+                }
+            });
+            
+        } catch (error) {
+            logger.error('Duplicate list error', { error: error });
+            res.status(500).json({
+                success: false,
+                message: 'Failed to fetch duplicates',
+                error: config.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+    
+    /**
+     * Get one review queue entry with both records
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    async handleDuplicateGet(req, res) {
+        try {
+            const id = Validation.parseId(req.params.id);
+            const candidate = id ? await database.findDuplicateCandidate(id) : null;
+            
+            if (!candidate) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Duplicate not found'
+                });
+            }
+            
+            res.json({
+                success: true,
+                data: this.formatDuplicate(candidate)
+            });
+            
+        } catch (error) {
+            logger.error('Duplicate fetch error', { error: error });
+            res.status(500).json({
+                success: false,
+                message: 'Failed to fetch duplicate',
+                error: config.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+    
+    /**
+     * Merge a probable duplicate ({ keep: record id }, defaulting to the record stored first)
+     * The kept record fills its empty fields from the other, which is deleted.
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    async handleDuplicateMerge(req, res) {
+        try {
+            const id = Validation.parseId(req.params.id);
+            const keepId = req.body.keep === undefined ? null : Validation.parseId(req.body.keep);
+            
+            if (req.body.keep !== undefined && !keepId) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'keep must be a record id'
+                });
+            }
+            
+            const result = id ? await database.mergeDuplicate(id, keepId, Audit.context(req, 'merge', String(id))) : null;
+            
+            if (!result) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Duplicate not found'
+                });
+            }
+            
+            if (result.outcome === 'invalid_keep') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'keep must be one of the two records of this duplicate'
+                });
+            }
+            
+            if (result.outcome === 'not_pending') {
+                return res.status(409).json({
+                    success: false,
+                    message: 'Duplicate has already been resolved'
+                });
+            }
+            
+            res.json({
+                success: true,
+                message: 'Records merged successfully',
+                data: result.record
+            });
+            
+        } catch (error) {
+            logger.error('Duplicate merge error', { error: error });
+            res.status(500).json({
+                success: false,
+                message: 'Failed to merge records',
+                error: config.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+    
+    /**
+     * Dismiss a probable duplicate: the records are different people
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    async handleDuplicateDismiss(req, res) {
+        try {
+            const id = Validation.parseId(req.params.id);
+            const outcome = id ? await database.dismissDuplicate(id, req.user.id) : null;
+            
+            if (!outcome) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Duplicate not found'
+                });
+            }
+            
+            if (outcome === 'not_pending') {
+                return res.status(409).json({
+                    success: false,
+                    message: 'Duplicate has already been resolved'
+                });
+            }
+            
+            res.json({
+                success: true,
+                message: 'Duplicate dismissed'
+            });
+            
+        } catch (error) {
+            logger.error('Duplicate dismiss error', { error: error });
+            res.status(500).json({
+                success: false,
+                message: 'Failed to dismiss duplicate',
+                error: config.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+    
+    /**
+     * List registered webhooks
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    async handleWebhookList(req, res) {
+        try {
+            const list = await database.findWebhooks();
+            
+            res.json({
+                success: true,
+                data: list,
+                events: webhooks.events
+            });
+            
+        } catch (error) {
+            logger.error('Webhook list error', { error: error });
+            res.status(500).json({
+                success: false,
+                message: 'Failed to fetch webhooks',
+                error: config.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+    
+    /**
+     * Register a webhook ({ url, events }); the response holds its signing secret, shown only once
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    async handleWebhookCreate(req, res) {
+        try {
+            const validation = Validation.validateWebhook(req.body || {}, webhooks.events);
+            
+            if (!validation.isValid) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: validation.errors
+                });
+            }
+            
+            const { id, secret } = await webhooks.register(validation.webhook, req.user);
+            
+            res.status(201).json({
+                success: true,
+                message: 'Webhook registered - keep the secret, it is not shown again',
+                data: {
+                    ...await database.findWebhookById(id),
+                    secret: secret
+                }
+            });
+            
+        } catch (error) {
+            logger.error('Webhook registration error', { error: error });
+            res.status(500).json({
+                success: false,
+                message: 'Failed to register webhook',
+                error: config.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+    
+    /**
+     * Change a webhook's URL, events or active flag ({ url, events, active })
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    async handleWebhookUpdate(req, res) {
+        try {
+            const id = Validation.parseId(req.params.id);
+            const existing = id ? await database.findWebhookById(id) : null;
+            
+            if (!existing) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Webhook not found'
+                });
+            }
+            
+            const validation = Validation.validateWebhook(req.body || {}, webhooks.events);
+            
+            if (!validation.isValid) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: validation.errors
+                });
+            }
+            
+            await database.updateWebhook(id, validation.webhook);
+            
+            res.json({
+                success: true,
+                message: 'Webhook updated successfully',
+                data: await database.findWebhookById(id)
+            });
+            
+        } catch (error) {
+            logger.error('Webhook update error', { error: error });
+            res.status(500).json({
+                success: false,
+                message: 'Failed to update webhook',
+                error: config.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+    
+    /**
+     * Delete a webhook, with its deliveries
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    async handleWebhookDelete(req, res) {
+        try {
+            const id = Validation.parseId(req.params.id);
+            const result = id ? await database.deleteWebhook(id) : null;
+            
+            if (!result || result.affectedRows === 0) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Webhook not found'
+                });
+            }
+            
+            res.json({
+                success: true,
+                message: 'Webhook deleted successfully'
+            });
+            
+        } catch (error) {
+            logger.error('Webhook delete error', { error: error });
+            res.status(500).json({
+                success: false,
+                message: 'Failed to delete webhook',
+                error: config.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+    
+    /**
+     * Send a ping event to one webhook, to test delivery
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    async handleWebhookPing(req, res) {
+        try {
+            const id = Validation.parseId(req.params.id);
+            const webhook = id ? await database.findWebhookById(id) : null;
+            
+            if (!webhook) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Webhook not found'
+                });
+            }
+            
+            const eventId = await webhooks.ping(id);
+            
+            res.status(202).json({
+                success: true,
+                message: webhook.active ? 'Ping queued' : 'Ping queued - it is sent once the webhook is active again',
+                data: {
+                    eventId: eventId,
+                    deliveriesUrl: `/api/webhook-deliveries?webhook=${id}`
+                }
+            });
+            
+        } catch (error) {
+            logger.error('Webhook ping error', { error: error });
+            res.status(500).json({
+                success: false,
+                message: 'Failed to queue ping',
+                error: config.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+    
+    /**
+     * List webhook deliveries (?status=pending|sending|delivered|dead, ?webhook=, ?page=, ?limit=)
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    async handleDeliveryList(req, res) {
+        try {
+            const { options, errors } = Validation.parseDeliveryQuery(req.query);
+            
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid query parameters',
+                    errors: errors
+                });
+            }
+            
+            const { deliveries, total } = await database.findWebhookDeliveries(options);
+            
+            res.json({
+                success: true,
+                data: deliveries,
+                pagination: {
+                    page: options.page,
+                    limit: options.limit,
+                    total: total,
+                    totalPages: Math.ceil(total / options.limit)
+                }
+            });
+            
+        } catch (error) {
+            logger.error('Webhook delivery list error', { error: error });
+            res.status(500).json({
+                success: false,
+                message: 'Failed to fetch webhook deliveries',
+                error: config.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+    
+    /**
+     * Send a dead delivery again, with a fresh set of attempts
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    async handleDeliveryRetry(req, res) {
+        try {
+            const id = Validation.parseId(req.params.id);
+            const outcome = id ? await database.requeueWebhookDelivery(id) : null;
+            
+            if (!outcome) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Delivery not found'
+                });
+            }
+            
+            if (outcome === 'not_dead') {
+                return res.status(409).json({
+                    success: false,
+                    message: 'Only dead deliveries can be retried'
+                });
+            }
+            
+            webhooks.dispatch();
+            
+            res.status(202).json({
+                success: true,
+                message: 'Delivery queued'
+            });
+            
+        } catch (error) {
+            logger.error('Webhook delivery retry error', { error: error });
+            res.status(500).json({
+                success: false,
+                message: 'Failed to retry delivery',
+                error: config.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+    
+    /**
+     * Export everything held about an email address ({ email })
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    async handleSubjectAccess(req, res) {
+        try {
+            const validation = Validation.validateSubjectRequest(req.body || {});
+            
+            if (!validation.isValid) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: validation.errors
+                });
+            }
+            
+            const data = await Compliance.access(validation.email, req.user);
+            
+            res.json({
+                success: true,
+                data: data
+            });
+            
+        } catch (error) {
+            logger.error('Subject access error', { error: error });
+            res.status(500).json({
+                success: false,
+                message: 'Failed to gather subject data',
+                error: config.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+    
+    /**
+     * Erase or anonymise everything held about an email address ({ email, mode: erase|anonymise })
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    async handleSubjectErasure(req, res) {
+        try {
+            const validation = Validation.validateSubjectRequest(req.body || {}, Compliance.ERASURE_MODES);
+            
+            if (!validation.isValid) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: validation.errors
+                });
+            }
+            
+            const counts = await Compliance.erase(validation.email, req.body.mode, req.user);
+            
+            res.json({
+                success: true,
+                message: req.body.mode === 'anonymise' ? 'Subject data anonymised' : 'Subject data erased',
+                data: counts
+            });
+            
+        } catch (error) {
+            logger.error('Subject erasure error', { error: error });
+            res.status(500).json({
+                success: false,
+                message: 'Failed to erase subject data',
+                error: config.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+    
+    /**
+     * List compliance log entries (?action=, ?email=, ?page=, ?limit=)
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    async handleComplianceLog(req, res) {
+        try {
+            const { options, errors } = Validation.parseComplianceLogQuery(req.query);
+            
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid query parameters',
+                    errors: errors
+                });
+            }
+            
+            const { entries, total } = await database.findComplianceLog({
+                action: options.action,
+                subjectRef: options.email ? Compliance.subjectRef(options.email) : null,
+                limit: options.limit,
+                offset: options.offset
+            });
+            
+            res.json({
+                success: true,
+                data: entries,
+                pagination: {
+                    page: options.page,
+                    limit: options.limit,
+                    total: total,
+                    totalPages: Math.ceil(total / options.limit)
+                }
+            });
+            
+        } catch (error) {
+            logger.error('Compliance log error', { error: error });
+            res.status(500).json({
+                success: false,
+                message: 'Failed to fetch compliance log',
+                error: config.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+    
+    /**
+     * Handle liveness probe
+     */
+    handleLiveness(req, res) {
+        res.set('Cache-Control', 'no-store');
+        res.json(Health.liveness());
+    }
+    
+    /**
+     * Handle readiness probe: 503 while degraded or shutting down
+     */
+    async handleReadiness(req, res) {
+        const { ready, report } = await Health.readiness({
+            uploadPath: this.uploadPath,
+            shuttingDown: this.shuttingDown
+        });
+        
+        res.set('Cache-Control', 'no-store');
+        res.status(ready ? 200 : 503).json(report);
+    }
+    
+    /**
+     * Handle Prometheus scrape
+     */
+    handleMetrics(req, res) {
+        res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+        res.set('Cache-Control', 'no-store');
+        res.send(metrics.render());
+    }
+    
+    /**
+     * Connect to storage, then start the server
+     */
+    async start() {
+        config.warnings.forEach(warning => logger.warn(warning));
+        
+        // Default credentials are fine on a laptop, never in production
+        if (config.insecureSettings.length > 0) {
+            if (config.NODE_ENV === 'production') {
+                logger.error('Refusing to start in production with unsafe settings', { problems: config.insecureSettings });
+                process.exit(1);
+            }
+            
+            logger.debug('Settings that production would refuse', { problems: config.insecureSettings });
+        }
+        
+        try {
+            await database.initializeDatabase();
+        } catch (error) {
+            process.exit(1);
+        }
+        
+        await importJobs.start();
+        await webhooks.start();
+        await uploads.start();
+        
+        this.server = this.app.listen(this.port, () => {
+            logger.info(`Server running on port ${this.port}`, {
+                health: `http://localhost:${this.port}/health/live, /health/ready`,
+                metrics: `http://localhost:${this.port}/metrics`,
+                form: `http://localhost:${this.port}/`,
+                upload: `http://localhost:${this.port}/api/upload-csv`,
+                profile: config.NODE_ENV,
+                storage: config.STORAGE_ADAPTER,
+                databaseUser: config.DB_USER
+            });
+        });
+        
+        // Graceful shutdown
+        process.on('SIGTERM', () => this.shutdown());
+        process.on('SIGINT', () => this.shutdown());
+    }
+    
+    /**
+     * Gracefully shutdown server
+     * Readiness fails at once; connections are refused after SHUTDOWN_DRAIN_MS, so load balancers
+     * stop sending traffic first, and requests in progress get SHUTDOWN_TIMEOUT_MS to finish.
+     * A running import stops after its current chunk before the database closes.
+     */
+    async shutdown() {
+        if (this.shuttingDown) return;
+        
+        this.shuttingDown = true;
+        logger.info('Shutting down server...');
+        
+        if (this.server) {
+            await new Promise(resolve => setTimeout(resolve, this.drainMs));
+            
+            const closed = new Promise(resolve => this.server.close(() => resolve()));
+            this.server.closeIdleConnections();
+            
+            const timer = setTimeout(() => this.server.closeAllConnections(), this.shutdownTimeoutMs);
+            await closed;
+            clearTimeout(timer);
         }
         
+        uploads.stop();
+        await importJobs.stop();
+        await webhooks.stop();
         await database.close();
-        console.log('Server shut down successfully');
+        await RateLimit.closeStores();
+        logger.info('Server shut down successfully');
         process.exit(0);
     }
 }
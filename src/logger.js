@@ -0,0 +1,161 @@
+/**
+ * Logger Module
+ * Writes one JSON object per line: { time, level, msg, requestId, ...fields }.
+ *   LOG_LEVEL - debug, info (default), warn, error or silent
+ *
+ * Work started by a request logs its request id without passing it around: the requestId
+ * middleware runs the rest of the request inside runWithContext, and background work (import
+ * jobs, webhook dispatch) sets a context of its own.
+ *
+ * Personal data never reaches the log: fields named like personal data or credentials are
+ * replaced with [REDACTED] at any depth, and email addresses are masked in every string,
+ * including the message and error messages (a duplicate-key error quotes the value).
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const config = require('./config');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// Field names (lower case, without _ or -) whose values are never logged
+const REDACTED_FIELDS = new Set([
+    'firstname', 'lastname', 'email', 'phone', 'phonenumber', 'eircode', 'age',
+    'password', 'passwordhash', 'token', 'secret', 'authorization', 'cookie',
+    'params', 'raw', 'body', 'values', 'snapshot', 'changes'
+]);
+
+const EMAIL_PATTERN = /[^\s@'"<>(),;:]+@[^\s@'"<>(),;:]+\.[^\s@'"<>(),;:]+/g;
+
+const MAX_DEPTH = 5;
+
+/**
+ * Copy a value with personal data removed
+ * @param {*} value - Value to log
+ * @param {number} depth - Nesting so far
+ * @returns {*} Safe copy
+ */
+function redact(value, depth = 0) {
+    if (typeof value === 'string') return value.replace(EMAIL_PATTERN, '[email]');
+    if (value === null || typeof value !== 'object') return value;
+    if (value instanceof Date) return value.toISOString();
+    if (value instanceof Error) return redact(serializeError(value), depth);
+    if (depth >= MAX_DEPTH) return '[...]';
+    if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+
+    const copy = {};
+
+    for (const [key, item] of Object.entries(value)) {
+        copy[key] = REDACTED_FIELDS.has(key.toLowerCase().replace(/[_-]/g, '')) ? '[REDACTED]' : redact(item, depth + 1);
+    }
+
+    return copy;
+}
+
+/**
+ * Plain object for an error (JSON.stringify drops an Error's own properties)
+ * @param {Error} error - Error
+ * @returns {Object} { name, message, code, stack }
+ */
+function serializeError(error) {
+    return {
+        name: error.name,
+        message: error.message,
+        code: error.code,
+        stack: error.stack
+    };
+}
+
+class Logger {
+    constructor() {
+        this.level = config.LOG_LEVEL;
+        this.context = new AsyncLocalStorage();
+    }
+
+    /**
+     * Run work with fields added to everything it logs
+     * @param {Object} fields - e.g. { requestId }
+     * @param {Function} work - Work to run
+     * @returns {*} Result of work
+     */
+    runWithContext(fields, work) {
+        return this.context.run(fields, work);
+    }
+
+    /**
+     * Fields of the current context
+     * @returns {Object} Fields (empty outside any context)
+     */
+    currentContext() {
+        return this.context.getStore() || {};
+    }
+
+    /**
+     * Whether a level would be written
+     * @param {string} level - Level name
+     * @returns {boolean} True when enabled
+     */
+    isEnabled(level) {
+        return LEVELS[level] >= LEVELS[this.level];
+    }
+
+    /**
+     * Detail for diagnosing a problem (SQL, timings)
+     * @param {string} msg - Message
+     * @param {Object} fields - Extra fields
+     */
+    debug(msg, fields) {
+        this.write('debug', msg, fields);
+    }
+
+    /**
+     * Normal operation (requests, startup)
+     * @param {string} msg - Message
+     * @param {Object} fields - Extra fields
+     */
+    info(msg, fields) {
+        this.write('info', msg, fields);
+    }
+
+    /**
+     * Something to look at that did not stop the work
+     * @param {string} msg - Message
+     * @param {Object} fields - Extra fields
+     */
+    warn(msg, fields) {
+        this.write('warn', msg, fields);
+    }
+
+    /**
+     * Work that failed
+     * @param {string} msg - Message
+     * @param {Object} fields - Extra fields
+     */
+    error(msg, fields) {
+        this.write('error', msg, fields);
+    }
+
+    /**
+     * Write an entry: warnings and errors go to stderr, the rest to stdout
+     * @param {string} level - Level name
+     * @param {string} msg - Message
+     * @param {Object} fields - Extra fields (an Error under "error" is expanded)
+     */
+    write(level, msg, fields = {}) {
+        if (!this.isEnabled(level)) return;
+
+        const entry = {
+            time: new Date().toISOString(),
+            level: level,
+            msg: redact(msg),
+            ...redact(this.currentContext()),
+            ...redact(fields)
+        };
+        const line = JSON.stringify(entry) + '\n';
+
+        (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(line);
+    }
+}
+
+// Export singleton instance
+module.exports = new Logger();
@@ -0,0 +1,153 @@
+/**
+ * Duplicate Matching Module
+ * Scores how likely two records are to describe the same person. Records sharing an
+ * email are already merged by the unique key; this catches the rest: Gmail dot/plus
+ * variants of an address, or the same name, phone number and Eircode under a new email.
+ *
+ * Each rule adds its weight to the score when the two records agree on it; pairs scoring
+ * at least the threshold go to the review queue. Weights and threshold can be set with
+ * DUPLICATE_RULES (JSON, e.g. {"email":100,"phone":40}) and DUPLICATE_THRESHOLD.
+ */
+
+const config = require('./config');
+
+const DEFAULT_WEIGHTS = {
+    email: 100, // Same address once case, Gmail dots and +tags are ignored
+    phone: 40,  // Same E.164 phone number
+    name: 30,   // Same first and last name, ignoring case, accents and punctuation
+    eircode: 30 // Same Eircode (a household shares one)
+};
+
+// Domains whose mailboxes ignore dots in the local part and anything after a '+'
+const GMAIL_DOMAINS = ['gmail.com', 'googlemail.com'];
+
+// What each rule compares, given two records with their match keys
+const RULES = {
+    email: (a, b) => sameValue(a.match_email, b.match_email),
+    phone: (a, b) => sameValue(a.phone_number, b.phone_number),
+    name: (a, b) => sameValue(a.match_name, b.match_name),
+    eircode: (a, b) => sameValue(a.eircode, b.eircode)
+};
+
+/**
+ * Whether two values are present and equal
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} Comparison result
+ */
+function sameValue(a, b) {
+    return a !== null && a !== undefined && a !== '' && a === b;
+}
+
+/**
+ * Apply DUPLICATE_RULES to the default weights
+ * @returns {Object} { weights, threshold }
+ */
+function loadConfig() {
+    const weights = { ...DEFAULT_WEIGHTS };
+
+    if (config.DUPLICATE_RULES) {
+        for (const [rule, weight] of Object.entries(config.DUPLICATE_RULES)) {
+            if (!RULES[rule]) {
+                throw new Error(`DUPLICATE_RULES: unknown rule ${rule} (rules: ${Object.keys(RULES).join(', ')})`);
+            }
+            if (!Number.isInteger(weight) || weight < 0) {
+                throw new Error(`DUPLICATE_RULES: weight of ${rule} must be a whole number of at least 0`);
+            }
+            weights[rule] = weight;
+        }
+    }
+
+    return { weights, threshold: config.DUPLICATE_THRESHOLD };
+}
+
+const CONFIG = loadConfig();
+
+class Matching {
+    static get CONFIG() {
+        return CONFIG;
+    }
+
+    /**
+     * Email in the form used for matching
+     * @param {string} email - Stored email
+     * @returns {string|null} Lower-cased address, with Gmail dots and +tags removed
+     */
+    static emailKey(email) {
+        if (!email) return null;
+
+        const address = String(email).trim().toLowerCase();
+        const at = address.lastIndexOf('@');
+
+        if (at === -1) return address;
+
+        const local = address.slice(0, at);
+        const domain = address.slice(at + 1);
+
+        if (!GMAIL_DOMAINS.includes(domain)) return address;
+
+        return `${local.split('+')[0].replace(/\./g, '')}@gmail.com`;
+    }
+
+    /**
+     * Full name in the form used for matching
+     * @param {string} firstName - First name
+     * @param {string} lastName - Last name
+     * @returns {string|null} e.g. "sean obrien" for "Seán O'Brien"
+     */
+    static nameKey(firstName, lastName) {
+        if (!firstName || !lastName) return null;
+
+        // Decompose accents so they can be dropped, then keep letters only
+        const fold = name => String(name).normalize('NFD').replace(/[^\p{L}]/gu, '').toLowerCase();
+
+        return `${fold(firstName)} ${fold(lastName)}`;
+    }
+
+    /**
+     * Match keys stored alongside a record
+     * @param {Object} record - Record data
+     * @returns {Object} { match_email, match_name }
+     */
+    static keys(record) {
+        return {
+            match_email: this.emailKey(record.email),
+            match_name: this.nameKey(record.first_name, record.last_name)
+        };
+    }
+
+    /**
+     * Score a pair of records
+     * @param {Object} record - Record data
+     * @param {Object} other - Record data
+     * @param {Object} config - { weights, threshold } (defaults to the configured rules)
+     * @returns {Object} { score, reasons: names of the rules that matched }
+     */
+    static score(record, other, config = CONFIG) {
+        const a = { ...record, ...this.keys(record) };
+        const b = { ...other, ...this.keys(other) };
+        const reasons = Object.keys(RULES).filter(rule => config.weights[rule] > 0 && RULES[rule](a, b));
+
+        return {
+            score: reasons.reduce((total, rule) => total + config.weights[rule], 0),
+            reasons: reasons
+        };
+    }
+
+    /**
+     * Find the candidates that probably describe the same person as a record
+     * @param {Object} record - Stored record (with id)
+     * @param {Array} candidates - Stored records to compare against
+     * @param {Object} config - { weights, threshold }
+     * @returns {Array} { match, score, reasons }, highest score first
+     */
+    static findMatches(record, candidates, config = CONFIG) {
+        return candidates
+            .filter(candidate => candidate.id !== record.id)
+            .map(candidate => ({ match: candidate, ...this.score(record, candidate, config) }))
+            .filter(result => result.score >= config.threshold)
+            .sort((a, b) => b.score - a.score);
+    }
+}
+
+module.exports = Matching;
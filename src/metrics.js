@@ -0,0 +1,307 @@
+/**
+ * Metrics Module
+ * Counters, gauges and histograms kept in memory and served at GET /metrics in the Prometheus
+ * text format (version 0.0.4). Set METRICS_TOKEN to make scrapers send it as a Bearer token.
+ *
+ *   http_request_duration_seconds{method,route,status} - latency of every request
+ *   import_jobs_total{status}                          - finished CSV imports
+ *   import_rows_total{result}                          - rows of finished imports: inserted,
+ *                                                        updated, skipped, failed, flagged
+ *   validation_failures_total{source,field,code}       - record validation errors (see schema.js)
+ *   upload_rejections_total{reason}                    - uploads refused by the content checks
+ *                                                        (see uploads.js)
+ *   db_pool_connections{state}, db_pool_connection_limit, db_pool_queued_requests
+ *   process_* and nodejs_*                             - memory, uptime, event loop lag
+ *
+ * Labels only take values from fixed lists or route patterns, never ids or user input, so the
+ * number of series stays small.
+ */
+
+const { monitorEventLoopDelay } = require('perf_hooks');
+
+// Latency buckets in seconds, from a cached lookup to a large export
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * Escape a label value
+ * @param {*} value - Label value
+ * @returns {string} Escaped value
+ */
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * Render a label set
+ * @param {Object} labels - Name to value
+ * @returns {string} {a="1",b="2"}, or '' when there are none
+ */
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Base of every metric: name, help text and one value per label set
+ */
+class Metric {
+    /**
+     * @param {string} type - counter, gauge or histogram
+     * @param {string} name - Metric name
+     * @param {string} help - Description
+     * @param {Array} labelNames - Label names
+     */
+    constructor(type, name, help, labelNames = []) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.series = new Map(); // Label key => { labels, value }
+    }
+
+    /**
+     * Series for a label set, created on first use
+     * @param {Object} labels - Label values (missing labels are empty)
+     * @returns {Object} { labels, value }
+     */
+    get(labels = {}) {
+        const values = {};
+
+        for (const name of this.labelNames) {
+            values[name] = labels[name] === undefined ? '' : String(labels[name]);
+        }
+
+        const key = JSON.stringify(values);
+
+        if (!this.series.has(key)) {
+            this.series.set(key, { labels: values, value: this.initialValue() });
+        }
+
+        return this.series.get(key);
+    }
+
+    /**
+     * Value of a new series
+     * @returns {*} Starting value
+     */
+    initialValue() {
+        return 0;
+    }
+
+    /**
+     * Exposition lines for this metric
+     * @returns {Array} Lines
+     */
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+
+        for (const { labels, value } of this.series.values()) {
+            lines.push(`${this.name}${formatLabels(labels)} ${value}`);
+        }
+
+        return lines;
+    }
+}
+
+class Counter extends Metric {
+    constructor(name, help, labelNames) {
+        super('counter', name, help, labelNames);
+    }
+
+    /**
+     * Add to a series
+     * @param {Object} labels - Label values
+     * @param {number} amount - Non-negative amount
+     */
+    inc(labels = {}, amount = 1) {
+        if (amount > 0) this.get(labels).value += amount;
+    }
+}
+
+class Gauge extends Metric {
+    /**
+     * @param {string} name - Metric name
+     * @param {string} help - Description
+     * @param {Array} labelNames - Label names
+     * @param {Function} collect - Called before each scrape: (gauge) => sets the current values
+     */
+    constructor(name, help, labelNames, collect) {
+        super('gauge', name, help, labelNames);
+        this.collect = collect;
+    }
+
+    /**
+     * Set a series
+     * @param {Object} labels - Label values
+     * @param {number} value - Value
+     */
+    set(labels, value) {
+        this.get(labels).value = value;
+    }
+
+    render() {
+        if (this.collect) {
+            this.series.clear();
+            this.collect(this);
+        }
+
+        return super.render();
+    }
+}
+
+class Histogram extends Metric {
+    /**
+     * @param {string} name - Metric name
+     * @param {string} help - Description
+     * @param {Array} labelNames - Label names
+     * @param {Array} buckets - Upper bounds, ascending
+     */
+    constructor(name, help, labelNames, buckets) {
+        super('histogram', name, help, labelNames);
+        this.buckets = buckets;
+    }
+
+    initialValue() {
+        return { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+    }
+
+    /**
+     * Record an observation
+     * @param {Object} labels - Label values
+     * @param {number} value - Observed value
+     */
+    observe(labels, value) {
+        const series = this.get(labels).value;
+
+        this.buckets.forEach((bound, index) => {
+            if (value <= bound) series.counts[index]++;
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+
+        for (const { labels, value } of this.series.values()) {
+            this.buckets.forEach((bound, index) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${value.counts[index]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${value.count}`);
+            lines.push(`${this.name}_sum${formatLabels(labels)} ${value.sum}`);
+            lines.push(`${this.name}_count${formatLabels(labels)} ${value.count}`);
+        }
+
+        return lines;
+    }
+}
+
+class Metrics {
+    constructor() {
+        this.registry = new Map(); // Name => metric
+
+        this.httpDuration = this.histogram('http_request_duration_seconds',
+            'Time to answer HTTP requests', ['method', 'route', 'status'], DURATION_BUCKETS);
+        this.importJobs = this.counter('import_jobs_total',
+            'CSV import jobs finished, by final status', ['status']);
+        this.importRows = this.counter('import_rows_total',
+            'Rows of finished CSV imports, by what happened to them', ['result']);
+        this.validationFailures = this.counter('validation_failures_total',
+            'Record validation errors, by source, field and reason', ['source', 'field', 'code']);
+
+        this.eventLoopDelay = monitorEventLoopDelay();
+        this.eventLoopDelay.enable();
+
+        this.gauge('process_resident_memory_bytes', 'Resident memory size', [],
+            gauge => gauge.set({}, process.memoryUsage().rss));
+        this.gauge('nodejs_heap_used_bytes', 'V8 heap in use', [],
+            gauge => gauge.set({}, process.memoryUsage().heapUsed));
+        this.gauge('process_uptime_seconds', 'Seconds since the process started', [],
+            gauge => gauge.set({}, Math.round(process.uptime())));
+        this.gauge('nodejs_eventloop_lag_p99_seconds', 'Event loop delay, 99th percentile since the last scrape', [],
+            gauge => {
+                gauge.set({}, this.eventLoopDelay.percentile(99) / 1e9);
+                this.eventLoopDelay.reset();
+            });
+    }
+
+    /**
+     * Register a metric, once per name
+     * @param {Metric} metric - Metric
+     * @returns {Metric} The registered metric
+     */
+    register(metric) {
+        if (this.registry.has(metric.name)) {
+            throw new Error(`Metric "${metric.name}" is already registered`);
+        }
+
+        this.registry.set(metric.name, metric);
+        return metric;
+    }
+
+    /**
+     * Register a counter
+     * @returns {Counter} Counter
+     */
+    counter(name, help, labelNames) {
+        return this.register(new Counter(name, help, labelNames));
+    }
+
+    /**
+     * Register a gauge, read by collect(gauge) at each scrape
+     * @returns {Gauge} Gauge
+     */
+    gauge(name, help, labelNames, collect) {
+        return this.register(new Gauge(name, help, labelNames, collect));
+    }
+
+    /**
+     * Register a histogram
+     * @returns {Histogram} Histogram
+     */
+    histogram(name, help, labelNames, buckets) {
+        return this.register(new Histogram(name, help, labelNames, buckets));
+    }
+
+    /**
+     * Count the validation errors of one record
+     * @param {string} source - csv, form or update
+     * @param {Array} errors - [{ field, code }]
+     */
+    recordValidationErrors(source, errors) {
+        for (const error of errors) {
+            this.validationFailures.inc({ source: source, field: error.field, code: error.code });
+        }
+    }
+
+    /**
+     * Count a finished import
+     * @param {string} status - Final job status
+     * @param {Object} progress - Row counts (rows_inserted, rows_updated, ...)
+     */
+    recordImport(status, progress) {
+        this.importJobs.inc({ status: status });
+        this.importRows.inc({ result: 'inserted' }, progress.rows_inserted);
+        this.importRows.inc({ result: 'updated' }, progress.rows_updated);
+        this.importRows.inc({ result: 'skipped' }, progress.rows_skipped);
+        this.importRows.inc({ result: 'failed' }, progress.rows_failed);
+        this.importRows.inc({ result: 'flagged' }, progress.rows_flagged);
+    }
+
+    /**
+     * Everything registered, in the text exposition format
+     * @returns {string} Exposition
+     */
+    render() {
+        const lines = [];
+
+        for (const metric of this.registry.values()) {
+            lines.push(...metric.render());
+        }
+
+        return lines.join('\n') + '\n';
+    }
+}
+
+// Export singleton instance
+module.exports = new Metrics();
@@ -3,9 +3,25 @@
  * Implements security best practices and request handling
  */
 
+const crypto = require('crypto');
+const fs = require('fs').promises;
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
+const config = require('./config');
 const Validation = require('./validation');
+const Auth = require('./auth');
+const Idempotency = require('./idempotency');
+const Csrf = require('./csrf');
+const RateLimit = require('./ratelimit');
+const { createChallenge } = require('./challenges');
+const logger = require('./logger');
+const metrics = require('./metrics');
+
+// Submissions faster than this after the form was served are treated as bots (MIN_FORM_FILL_SECONDS)
+const MIN_FILL_MS = config.MIN_FORM_FILL_SECONDS * 1000;
+
+// Hidden form field people never see; anything typed into it came from a bot
+const HONEYPOT_FIELD = 'website';
 
 class SecurityMiddleware {
     /**
@@ -39,21 +55,95 @@ class SecurityMiddleware {
     }
     
     /**
-     * Rate limiting for API endpoints
+     * Rate limiting under a named policy (see ratelimit/index.js)
+     * Callers are counted by user id once authenticated, otherwise by IP address
+     * @param {string} policyName - api, login, submit or upload
      * @returns {Function} Rate limit middleware
      */
-    static rateLimiter() {
+    static rateLimiter(policyName = 'api') {
+        const policy = RateLimit.getPolicy(policyName);
+        
         return rateLimit({
-            windowMs: 15 * 60 * 1000, // 15 minutes
-            max: 100, // Limit each IP to 100 requests per windowMs
-            message: {
-                error: 'Too many requests from this IP, please try again after 15 minutes'
+            windowMs: policy.windowMs,
+            max: (req) => RateLimit.limitFor(policy, req),
+            keyGenerator: RateLimit.clientKey,
+            store: RateLimit.createStore(policy),
+            skipSuccessfulRequests: Boolean(policy.failuresOnly),
+            handler: (req, res, next, options) => {
+                res.status(options.statusCode).json({
+                    success: false,
+                    message: `Too many requests, please try again in ${Math.ceil((req.rateLimit.resetTime - Date.now()) / 60000)} minutes`
+                });
             },
             standardHeaders: true, // Return rate limit info in headers
             legacyHeaders: false // Disable X-RateLimit headers
         });
     }
     
+    /**
+     * Byte quota on CSV uploads (the uploadBytes policy); runs after multer so the size is known
+     * An upload that would go over the quota is refused (cleanupUpload deletes it)
+     * @returns {Function} Quota middleware
+     */
+    static uploadQuota() {
+        const policy = RateLimit.getPolicy('uploadBytes');
+        const store = RateLimit.createStore(policy);
+        
+        return async (req, res, next) => {
+            const quota = RateLimit.limitFor(policy, req);
+            
+            if (!req.file || quota === 0) {
+                return next();
+            }
+            
+            try {
+                const key = RateLimit.clientKey(req);
+                const { totalHits, resetTime } = await store.increment(key, req.file.size);
+                
+                res.set('X-Upload-Quota-Limit', String(quota));
+                res.set('X-Upload-Quota-Remaining', String(Math.max(quota - totalHits, 0)));
+                
+                if (totalHits <= quota) {
+                    return next();
+                }
+                
+                // A refused upload does not use up the quota
+                await store.increment(key, -req.file.size);
+                
+                res.set('Retry-After', String(Math.ceil((resetTime - Date.now()) / 1000)));
+                res.status(429).json({
+                    success: false,
+                    message: `Upload quota of ${quota} bytes exceeded, please try again in ${Math.ceil((resetTime - Date.now()) / 60000)} minutes`
+                });
+            } catch (error) {
+                next(error);
+            }
+        };
+    }
+    
+    /**
+     * Delete the request's upload once the response has been sent, or the client has gone,
+     * unless an import job claimed it (see imports.createJob)
+     * Mount it before multer so every way a request can end is covered: refusals by later
+     * middleware, handler errors, multer errors passed to the error handler.
+     * @returns {Function} Cleanup middleware
+     */
+    static cleanupUpload() {
+        return (req, res, next) => {
+            res.once('close', () => {
+                if (req.file && !req.file.claimed) {
+                    fs.unlink(req.file.path).catch(error => {
+                        if (error.code !== 'ENOENT') {
+                            logger.error('Could not remove uploaded file', { error: error });
+                        }
+                    });
+                }
+            });
+            
+            next();
+        };
+    }
+    
     /**
      * Input validation middleware for form submissions
      * @returns {Function} Validation middleware
@@ -64,28 +154,8 @@ class SecurityMiddleware {
                 // Sanitize all input data
                 req.body = Validation.sanitizeRecord(req.body);
                 
-                // Validate required fields
-                const requiredFields = ['firstName', 'lastName', 'email', 'phoneNumber', 'eircode'];
-                for (const field of requiredFields) {
-                    if (!req.body[field]) {
-                        return res.status(400).json({
-                            success: false,
-                            message: `Missing required field: ${field}`
-                        });
-                    }
-                }
-                
-                // Convert to snake_case for validation
-                const formData = {
-                    first_name: req.body.firstName || req.body.first_name,
-                    last_name: req.body.lastName || req.body.last_name,
-                    email: req.body.email,
-                    phone_number: req.body.phoneNumber || req.body.phone_number,
-                    eircode: req.body.eircode
-                };
-                
-                // Validate data structure
-                const validation = Validation.validateRecord(formData, 'form');
+                // Required fields and rules come from the record schema (camelCase or snake_case keys)
+                const validation = Validation.validateRecord(Validation.extractRecordFields(req.body), 'form');
                 
                 if (!validation.isValid) {
                     return res.status(400).json({
@@ -97,7 +167,7 @@ class SecurityMiddleware {
                 
                 next();
             } catch (error) {
-                console.error('Validation middleware error:', error);
+                logger.error('Validation middleware error', { error: error });
                 res.status(500).json({
                     success: false,
                     message: 'Internal server error during validation'
@@ -107,50 +177,273 @@ class SecurityMiddleware {
     }
     
     /**
-     * Check if server is healthy
-     * @returns {Function} Health check middleware
+     * Protect the public form from cross-site posts and bots
+     * Anonymous submissions need the CSRF token served with form.html, an empty honeypot,
+     * a minimum time since the form was served, and a passing challenge (FORM_CHALLENGE).
+     * Callers with a Bearer token skip these checks: nothing sends that header for them.
+     * Rejections are logged with their reason.
+     * @returns {Function} Form protection middleware
+     */
+    static protectForm() {
+        const challenge = createChallenge();
+        
+        return async (req, res, next) => {
+            if (req.user) {
+                return next();
+            }
+            
+            const reject = (reason, message) => {
+                logger.warn('Form submission rejected', { reason: reason, ip: req.ip });
+                return res.status(403).json({
+                    success: false,
+                    message: message
+                });
+            };
+            
+            try {
+                const token = Csrf.verify(req);
+                
+                if (!token.valid) {
+                    return reject(token.reason, 'Invalid or expired form token, please reload the form');
+                }
+                
+                const body = req.body || {};
+                
+                if (typeof body[HONEYPOT_FIELD] === 'string' && body[HONEYPOT_FIELD] !== '') {
+                    return reject('honeypot', 'Form submission rejected');
+                }
+                
+                if (Date.now() - token.issuedAt < MIN_FILL_MS) {
+                    return reject('too_fast', 'Form submission rejected, please try again');
+                }
+                
+                if (!await challenge.verify(body.challengeResponse, req)) {
+                    return reject(`challenge_failed (${challenge.name})`, 'Challenge failed, please try again');
+                }
+                
+                next();
+            } catch (error) {
+                logger.error('Form protection error', { error: error });
+                res.status(500).json({
+                    success: false,
+                    message: 'Internal server error',
+                    error: config.NODE_ENV === 'development' ? error.message : undefined
+                });
+            }
+        };
+    }
+    
+    /**
+     * Replay the stored response when a request repeats an Idempotency-Key (see idempotency.js)
+     * Requests without the header are handled as usual. Place after multer on upload routes,
+     * so the file is part of the fingerprint, and before anything that rewrites the body.
+     * @returns {Function} Idempotency middleware
+     */
+    static idempotency() {
+        return async (req, res, next) => {
+            const key = req.get('Idempotency-Key');
+            
+            if (key === undefined) {
+                return next();
+            }
+            
+            try {
+                if (!Idempotency.isValidKey(key)) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'Idempotency-Key must be 1-255 printable characters without spaces'
+                    });
+                }
+                
+                const claim = await Idempotency.claim(req, key);
+                
+                if (claim.status === 'claimed') {
+                    Idempotency.recordResponse(res, claim.keyHash);
+                    return next();
+                }
+                
+                if (claim.status === 'mismatch') {
+                    return res.status(422).json({
+                        success: false,
+                        message: 'Idempotency-Key was already used for a different request'
+                    });
+                }
+                
+                if (claim.status === 'in_progress') {
+                    return res.status(409).json({
+                        success: false,
+                        message: 'A request with this Idempotency-Key is still being processed'
+                    });
+                }
+                
+                res.set('Idempotent-Replayed', 'true');
+                res.status(claim.statusCode).json(claim.body);
+            } catch (error) {
+                logger.error('Idempotency middleware error', { error: error });
+                res.status(500).json({
+                    success: false,
+                    message: 'Internal server error',
+                    error: config.NODE_ENV === 'development' ? error.message : undefined
+                });
+            }
+        };
+    }
+    
+    /**
+     * Identify the caller from a Bearer token
+     * Requests without an Authorization header continue as anonymous (req.user = null)
+     * @returns {Function} Authentication middleware
      */
-    static healthCheck() {
+    static authenticate() {
         return (req, res, next) => {
-            // Add health check endpoint
-            if (req.path === '/health') {
-                return res.status(200).json({
-                    status: 'healthy',
-                    timestamp: new Date().toISOString(),
-                    uptime: process.uptime()
+            const header = req.get('Authorization');
+            req.user = null;
+            
+            if (!header) {
+                return next();
+            }
+            
+            const [scheme, token] = header.split(' ');
+            
+            if (scheme !== 'Bearer' || !token) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Authorization header must be: Bearer <token>'
+                });
+            }
+            
+            try {
+                req.user = Auth.verifyToken(token);
+                next();
+            } catch (error) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Invalid or expired token'
                 });
             }
-            next();
         };
     }
     
     /**
-     * Log all requests
+     * Require the caller to hold one of the given roles (admin always passes)
+     * Routes open to the public form declare Auth.ROLES.SUBMITTER, which anonymous callers hold
+     * @param {...string} roles - Roles allowed to use the route
+     * @returns {Function} Authorization middleware
+     */
+    static requireRole(...roles) {
+        return (req, res, next) => {
+            const role = req.user ? req.user.role : Auth.ROLES.SUBMITTER;
+            
+            if (role === Auth.ROLES.ADMIN || roles.includes(role)) {
+                return next();
+            }
+            
+            if (!req.user) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Authentication required'
+                });
+            }
+            
+            return res.status(403).json({
+                success: false,
+                message: 'Insufficient permissions for this action'
+            });
+        };
+    }
+    
+    /**
+     * Give every request an id (reused from X-Request-Id when the caller sends a sane one)
+     * The rest of the request runs in a log context carrying it, so every line it logs has it.
+     * @returns {Function} Request id middleware
+     */
+    static requestId() {
+        return (req, res, next) => {
+            const incoming = req.get('X-Request-Id');
+            req.id = incoming && /^[\w-]{1,64}$/.test(incoming) ? incoming : crypto.randomUUID();
+            res.setHeader('X-Request-Id', req.id);
+            logger.runWithContext({ requestId: req.id }, next);
+        };
+    }
+    
+    /**
+     * Log every request and time it for GET /metrics
+     * The path is logged without its query string, which can hold an email address.
+     * Probes and scrapes are only logged at debug level.
      * @returns {Function} Logging middleware
      */
     static requestLogger() {
         return (req, res, next) => {
-            const startTime = Date.now();
+            const startTime = process.hrtime.bigint();
             
             res.on('finish', () => {
-                const duration = Date.now() - startTime;
-                console.log(`${new Date().toISOString()} - ${req.method} ${req.originalUrl} - ${res.statusCode} - ${duration}ms`);
+                const seconds = Number(process.hrtime.bigint() - startTime) / 1e9;
+                const path = req.originalUrl.split('?')[0];
+                
+                // Route patterns, not paths, so ids do not make a series each
+                const route = req.route
+                    ? req.baseUrl + (Array.isArray(req.route.path) ? req.route.path.join('|') : req.route.path)
+                    : 'unmatched';
+                
+                metrics.httpDuration.observe({ method: req.method, route: route, status: res.statusCode }, seconds);
+                
+                let level = 'info';
+                if (res.statusCode >= 500) level = 'error';
+                else if (path.startsWith('/health/') || path === '/metrics') level = 'debug';
+                
+                logger[level]('Request completed', {
+                    requestId: req.id, // 'finish' may fire outside the request's context
+                    method: req.method,
+                    path: path,
+                    route: route,
+                    status: res.statusCode,
+                    durationMs: Math.round(seconds * 1000),
+                    userId: req.user ? req.user.id : undefined
+                });
             });
             
             next();
         };
     }
     
+    /**
+     * Require METRICS_TOKEN as a Bearer token, when it is set
+     * @returns {Function} Metrics authentication middleware
+     */
+    static requireMetricsToken() {
+        return (req, res, next) => {
+            const token = config.METRICS_TOKEN;
+            
+            if (!token) {
+                return next();
+            }
+            
+            // Compare digests, so the comparison takes the same time whatever was sent
+            const digest = value => crypto.createHash('sha256').update(value).digest();
+            
+            if (!crypto.timingSafeEqual(digest(req.get('Authorization') || ''), digest(`Bearer ${token}`))) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Metrics token required'
+                });
+            }
+            
+            next();
+        };
+    }
+    
     /**
      * CORS configuration
      * @returns {Function} CORS middleware
      */
     static corsConfig() {
         return (req, res, next) => {
-            res.header('Access-Control-Allow-Origin', process.env.ALLOWED_ORIGIN || 'http://localhost:3000');
-            res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-            res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-            res.header('Access-Control-Allow-Credentials', 'true');
+            res.header('Access-Control-Allow-Origin', config.ALLOWED_ORIGIN);
+            res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+            res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, Idempotency-Key, X-Request-Id');
+            res.header('Access-Control-Expose-Headers', 'Idempotent-Replayed, X-Request-Id');
+            // No Allow-Credentials: the API authenticates with Bearer tokens, and the form's
+            // CSRF cookie must never travel with a cross-origin request
             
             // Handle preflight requests
             if (req.method === 'OPTIONS') {
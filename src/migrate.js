@@ -0,0 +1,54 @@
+/**
+ * Migration Command
+ *
+ * Usage: npm run migrate:up | npm run migrate:down [-- <steps>] | npm run migrate:status
+ * Migrates the storage selected by STORAGE_ADAPTER; MySQL connects with
+ * DB_ADMIN_USER / DB_ADMIN_PASSWORD rather than the application user.
+ */
+
+const Migrator = require('./migrator');
+const { createAdapter } = require('./storage');
+
+async function main() {
+    const [command, steps] = process.argv.slice(2);
+
+    let adapter;
+
+    try {
+        adapter = createAdapter();
+        const migrator = new Migrator(adapter, { info: message => console.log(message) });
+
+        if (command === 'up') {
+            const applied = await migrator.up();
+            console.log(applied.length > 0 ? `Applied ${applied.length} migration(s)` : 'Database is up to date');
+        } else if (command === 'down') {
+            const count = steps === undefined ? 1 : parseInt(steps);
+
+            if (isNaN(count) || count < 1) {
+                throw new Error('steps must be a positive integer');
+            }
+
+            const reverted = await migrator.down(count);
+            console.log(`Reverted ${reverted.length} migration(s)`);
+        } else if (command === 'status') {
+            for (const migration of await migrator.status()) {
+                // mysql2 returns a Date, SQLite the stored 'YYYY-MM-DD HH:MM:SS' text
+                const appliedAt = migration.appliedAt instanceof Date ? migration.appliedAt.toISOString() : migration.appliedAt;
+                const state = appliedAt ? `applied ${appliedAt}` : 'pending';
+                console.log(`${String(migration.version).padStart(3, '0')} ${migration.name} - ${state}`);
+            }
+        } else {
+            console.error('Usage: node src/migrate.js <up|down [steps]|status>');
+            process.exitCode = 1;
+        }
+    } catch (error) {
+        console.error('Migration failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        if (adapter) {
+            await adapter.close();
+        }
+    }
+}
+
+main();
@@ -0,0 +1,184 @@
+/**
+ * Schema Migration Module
+ * Applies the numbered files in /migrations through the storage adapter's migration
+ * connection (for MySQL a separate admin credential, so the application user only needs
+ * data privileges). Each file holds the SQL of every dialect: { mysql: { up, down }, sqlite: { up, down } }
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const logger = require('./logger');
+
+const MIGRATIONS_DIR = path.join(__dirname, '../migrations');
+
+// File names look like 001_create_mysql_table.js
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+class Migrator {
+    /**
+     * List the migration files in version order
+     * @returns {Array} { version, name, file }
+     */
+    static listMigrations() {
+        return fs.readdirSync(MIGRATIONS_DIR)
+            .map(file => {
+                const match = MIGRATION_FILE_PATTERN.exec(file);
+                return match ? { version: parseInt(match[1]), name: match[2], file: path.join(MIGRATIONS_DIR, file) } : null;
+            })
+            .filter(Boolean)
+            .sort((a, b) => a.version - b.version);
+    }
+
+    /**
+     * Highest migration version shipped with the code
+     * @returns {number} Version (0 when there are no migrations)
+     */
+    static latestVersion() {
+        const migrations = this.listMigrations();
+        return migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+    }
+
+    /**
+     * @param {Object} adapter - Storage adapter (see storage/index.js)
+     * @param {Object} log - Where progress goes ({ info(msg, fields) }): the server's JSON log by
+     *                       default, the console for npm run migrate
+     */
+    constructor(adapter, log = logger) {
+        this.adapter = adapter;
+        this.log = log;
+    }
+
+    /**
+     * Open the migration connection and make sure the tracking table exists
+     * @returns {Promise} Connection
+     */
+    async connect() {
+        const connection = await this.adapter.openMigrationConnection();
+
+        await connection.query(`
+            CREATE TABLE IF NOT EXISTS schema_migrations (
+                version INT UNSIGNED PRIMARY KEY,
+                name VARCHAR(255) NOT NULL,
+                applied_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        return connection;
+    }
+
+    /**
+     * Versions already applied
+     * @param {Object} connection - Migration connection
+     * @returns {Promise<Map>} version -> applied_at
+     */
+    async appliedVersions(connection) {
+        const [rows] = await connection.query('SELECT version, applied_at FROM schema_migrations ORDER BY version');
+        return new Map(rows.map(row => [row.version, row.applied_at]));
+    }
+
+    /**
+     * Run one direction of a migration
+     * Steps are SQL strings or async functions receiving the connection.
+     * @param {Object} connection - Migration connection
+     * @param {Object} migration - { version, name, file }
+     * @param {string} direction - 'up' or 'down'
+     */
+    async runSteps(connection, migration, direction) {
+        const definition = require(migration.file)[this.adapter.dialect];
+
+        if (!definition) {
+            throw new Error(`Migration ${migration.version} ${migration.name} has no ${this.adapter.dialect} version`);
+        }
+
+        const steps = [].concat(definition[direction] || []);
+
+        for (const step of steps) {
+            if (typeof step === 'function') {
+                await step(connection);
+            } else {
+                await connection.query(step);
+            }
+        }
+    }
+
+    /**
+     * Apply every pending migration in order
+     * @returns {Promise<Array>} Applied migrations
+     */
+    async up() {
+        const connection = await this.connect();
+        const applied = [];
+
+        try {
+            const done = await this.appliedVersions(connection);
+
+            for (const migration of Migrator.listMigrations()) {
+                if (done.has(migration.version)) continue;
+
+                this.log.info(`Applying ${migration.version} ${migration.name}`, { version: migration.version, migration: migration.name });
+                await this.runSteps(connection, migration, 'up');
+                await connection.execute(
+                    'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+                    [migration.version, migration.name]
+                );
+                applied.push(migration);
+            }
+
+            return applied;
+        } finally {
+            await connection.end();
+        }
+    }
+
+    /**
+     * Roll back the most recently applied migrations
+     * @param {number} steps - How many migrations to roll back
+     * @returns {Promise<Array>} Rolled back migrations
+     */
+    async down(steps = 1) {
+        const connection = await this.connect();
+        const reverted = [];
+
+        try {
+            const done = await this.appliedVersions(connection);
+            const candidates = Migrator.listMigrations()
+                .filter(migration => done.has(migration.version))
+                .reverse()
+                .slice(0, steps);
+
+            for (const migration of candidates) {
+                this.log.info(`Reverting ${migration.version} ${migration.name}`, { version: migration.version, migration: migration.name });
+                await this.runSteps(connection, migration, 'down');
+                await connection.execute('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+                reverted.push(migration);
+            }
+
+            return reverted;
+        } finally {
+            await connection.end();
+        }
+    }
+
+    /**
+     * Report which migrations are applied and which are pending
+     * @returns {Promise<Array>} { version, name, appliedAt }
+     */
+    async status() {
+        const connection = await this.connect();
+
+        try {
+            const done = await this.appliedVersions(connection);
+
+            return Migrator.listMigrations().map(migration => ({
+                version: migration.version,
+                name: migration.name,
+                appliedAt: done.get(migration.version) || null
+            }));
+        } finally {
+            await connection.end();
+        }
+    }
+}
+
+module.exports = Migrator;
@@ -0,0 +1,200 @@
+/**
+ * CSV Import Profiles Module
+ * Describes how a partner's CSV layout maps onto mysql_table columns
+ */
+
+const fs = require('fs');
+const { Transform } = require('stream');
+const csv = require('csv-parser');
+
+const Encoding = require('./encoding');
+
+// mysql_table columns a CSV column can be mapped to
+const IMPORTABLE_FIELDS = ['first_name', 'last_name', 'email', 'phone_number', 'eircode', 'age'];
+
+// Columns every profile must provide
+const REQUIRED_FIELDS = ['first_name', 'last_name', 'email'];
+
+// Node encodings accepted for uploaded files
+const ENCODINGS = ['utf8', 'latin1', 'utf16le'];
+
+// Layout used when an upload does not name a profile
+const DEFAULT_PROFILE = Object.freeze({
+    id: null,
+    name: 'default',
+    columnMap: {
+        first_name: 'first_name',
+        last_name: 'last_name',
+        email: 'email',
+        age: 'age'
+    },
+    delimiter: ',',
+    quote: '"',
+    encoding: 'utf8',
+    hasHeader: true
+});
+
+/**
+ * Drop a byte order mark from the start of decoded text
+ * Excel's "CSV UTF-8" files start with one, which would otherwise end up in the first header.
+ * @returns {Transform} String stream without the BOM
+ */
+function stripByteOrderMark() {
+    let start = true;
+
+    return new Transform({
+        decodeStrings: false,
+        transform(chunk, encoding, callback) {
+            if (start) {
+                start = false;
+                chunk = chunk.replace(/^\uFEFF/, '');
+            }
+
+            callback(null, chunk);
+        }
+    });
+}
+
+class ImportProfiles {
+    static get DEFAULT_PROFILE() {
+        return DEFAULT_PROFILE;
+    }
+
+    static get IMPORTABLE_FIELDS() {
+        return IMPORTABLE_FIELDS;
+    }
+
+    /**
+     * Normalise a header for matching ("  E-Mail " and "e-mail" are the same column)
+     * @param {string} header - Raw header
+     * @returns {string} Normalised header
+     */
+    static normalizeHeader(header) {
+        return String(header).trim().toLowerCase();
+    }
+
+    /**
+     * Validate profile settings and fill in defaults
+     * Column map keys are source headers, or 1-based column numbers when hasHeader is false.
+     * @param {Object} input - name, columnMap, delimiter, quote, encoding, hasHeader
+     * @returns {Object} { profile, errors }
+     */
+    static validateProfile(input = {}) {
+        const errors = [];
+        const profile = {
+            name: typeof input.name === 'string' ? input.name.trim() : '',
+            columnMap: input.columnMap,
+            delimiter: input.delimiter === undefined ? DEFAULT_PROFILE.delimiter : input.delimiter,
+            quote: input.quote === undefined ? DEFAULT_PROFILE.quote : input.quote,
+            encoding: input.encoding === undefined ? DEFAULT_PROFILE.encoding : input.encoding,
+            hasHeader: input.hasHeader === undefined ? true : input.hasHeader
+        };
+
+        if (profile.name.length === 0 || profile.name.length > 100) {
+            errors.push('Profile name is required and must be max 100 characters');
+        }
+
+        if (!profile.columnMap || typeof profile.columnMap !== 'object' || Array.isArray(profile.columnMap)) {
+            errors.push('columnMap must be an object of source column -> field');
+        } else {
+            const targets = Object.values(profile.columnMap);
+
+            for (const [source, target] of Object.entries(profile.columnMap)) {
+                if (!IMPORTABLE_FIELDS.includes(target)) {
+                    errors.push(`Column "${source}" maps to unknown field "${target}"`);
+                }
+                if (profile.hasHeader === false && !/^[1-9]\d*$/.test(source)) {
+                    errors.push(`Column "${source}" must be a column number when there is no header row`);
+                }
+            }
+
+            for (const field of REQUIRED_FIELDS) {
+                if (!targets.includes(field)) {
+                    errors.push(`A column must map to ${field}`);
+                }
+            }
+
+            if (new Set(targets).size !== targets.length) {
+                errors.push('Each field can only be mapped from one column');
+            }
+        }
+
+        for (const option of ['delimiter', 'quote']) {
+            if (typeof profile[option] !== 'string' || Buffer.byteLength(profile[option]) !== 1) {
+                errors.push(`${option} must be a single character`);
+            }
+        }
+
+        if (!ENCODINGS.includes(profile.encoding)) {
+            errors.push(`encoding must be one of: ${ENCODINGS.join(', ')}`);
+        }
+
+        if (typeof profile.hasHeader !== 'boolean') {
+            errors.push('hasHeader must be true or false');
+        }
+
+        return { profile, errors };
+    }
+
+    /**
+     * Convert an import_profiles row into a profile object
+     * @param {Object} row - Database row
+     * @returns {Object} Profile
+     */
+    static fromRow(row) {
+        return {
+            id: row.id,
+            name: row.name,
+            columnMap: typeof row.column_map === 'string' ? JSON.parse(row.column_map) : row.column_map,
+            delimiter: row.delimiter,
+            quote: row.quote_char,
+            encoding: row.encoding,
+            hasHeader: Boolean(row.has_header)
+        };
+    }
+
+    /**
+     * Open a CSV file as a stream of parsed rows using a profile's settings
+     * Rows keep the file's own headers so rejected rows can be written back out unchanged.
+     * @param {string} filePath - Path to the CSV file
+     * @param {Object} profile - Import profile
+     * @returns {Stream} csv-parser stream
+     */
+    static createRowStream(filePath, profile) {
+        // Decoding to strings first lets csv-parser re-read non-UTF-8 files as UTF-8
+        return fs.createReadStream(filePath, { encoding: profile.encoding })
+            .pipe(stripByteOrderMark())
+            .pipe(csv({
+                separator: profile.delimiter,
+                quote: profile.quote,
+                headers: profile.hasHeader ? null : false
+            }));
+    }
+
+    /**
+     * Map a parsed CSV row onto mysql_table fields
+     * Cells a CSV export prefixed with an apostrophe (see encoding.spreadsheetCell) lose it again.
+     * @param {Object} row - Parsed CSV row
+     * @param {Object} profile - Import profile
+     * @returns {Object} Record with trimmed string values (missing columns are undefined)
+     */
+    static mapRow(row, profile) {
+        const record = {};
+        const cells = {};
+
+        for (const [header, value] of Object.entries(row)) {
+            cells[this.normalizeHeader(header)] = value;
+        }
+
+        for (const [source, target] of Object.entries(profile.columnMap)) {
+            // Without a header row csv-parser keys cells by 0-based index
+            const key = profile.hasHeader ? this.normalizeHeader(source) : String(parseInt(source) - 1);
+            const value = cells[key];
+            record[target] = Encoding.fromSpreadsheetCell(typeof value === 'string' ? value.trim() : value);
+        }
+
+        return record;
+    }
+}
+
+module.exports = ImportProfiles;
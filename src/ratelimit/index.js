@@ -0,0 +1,139 @@
+/**
+ * Rate Limit Module
+ * Named policies for the API and the store that keeps their counters, chosen with
+ * RATE_LIMIT_STORE: memory (default, per process) or redis (shared, REDIS_URL)
+ *
+ * A policy counts per caller: signed-in users by user id (limit "user"), everyone else by
+ * IP address (limit "anonymous"). Counts are requests, except for uploadBytes which counts
+ * bytes of uploaded CSV. Limits can be changed with RATE_LIMITS, a JSON object of
+ * per-policy overrides, e.g. {"submit":{"anonymous":5},"uploadBytes":{"user":52428800}};
+ * a limit of 0 turns that limit off.
+ *
+ * Every store offers the express-rate-limit store interface, plus an amount to add:
+ *   prefix                   - namespaces the keys of one policy
+ *   init({ windowMs })       - receive the policy's window
+ *   increment(key, amount=1) - add to the count; resolves { totalHits, resetTime }
+ *   decrement(key)           - take one request back off
+ *   resetKey(key)            - forget the count
+ */
+
+const config = require('../config');
+const MemoryStore = require('./memory');
+const RedisStore = require('./redis');
+
+const STORES = ['memory', 'redis'];
+
+// Settings RATE_LIMITS may change
+const SETTINGS = ['windowMs', 'anonymous', 'user'];
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+const DEFAULT_POLICIES = {
+    // Every /api request
+    api: { windowMs: 15 * MINUTE, anonymous: 100, user: 1000 },
+    // Failed login attempts, per IP address: slows down password guessing
+    login: { windowMs: 15 * MINUTE, anonymous: 10, user: 10, failuresOnly: true },
+    // Public form submissions
+    submit: { windowMs: 15 * MINUTE, anonymous: 10, user: 100 },
+    // CSV uploads and previews
+    upload: { windowMs: HOUR, anonymous: 5, user: 30 },
+    // Bytes of CSV uploaded
+    uploadBytes: { windowMs: 24 * HOUR, anonymous: 10 * 1024 * 1024, user: 200 * 1024 * 1024 }
+};
+
+/**
+ * Apply RATE_LIMITS overrides to the default policies
+ * @returns {Object} Policies by name
+ */
+function loadPolicies() {
+    const policies = JSON.parse(JSON.stringify(DEFAULT_POLICIES));
+
+    if (!config.RATE_LIMITS) {
+        return policies;
+    }
+
+    for (const [name, override] of Object.entries(config.RATE_LIMITS)) {
+        if (!policies[name]) {
+            throw new Error(`Unknown rate limit policy "${name}" in RATE_LIMITS (expected ${Object.keys(policies).join(', ')})`);
+        }
+
+        for (const [setting, value] of Object.entries(override)) {
+            if (!SETTINGS.includes(setting) || !Number.isInteger(value) || value < (setting === 'windowMs' ? 1 : 0)) {
+                throw new Error(`Invalid RATE_LIMITS setting ${name}.${setting}: expected windowMs, anonymous or user as a non-negative integer`);
+            }
+
+            policies[name][setting] = value;
+        }
+    }
+
+    return policies;
+}
+
+const POLICIES = loadPolicies();
+
+/**
+ * Look up a policy
+ * @param {string} name - Policy name
+ * @returns {Object} { name, windowMs, anonymous, user, failuresOnly }
+ */
+function getPolicy(name) {
+    if (!POLICIES[name]) {
+        throw new Error(`Unknown rate limit policy "${name}" (expected ${Object.keys(POLICIES).join(', ')})`);
+    }
+
+    return { name, ...POLICIES[name] };
+}
+
+/**
+ * Counting key of the caller: user id once identified, otherwise IP address
+ * @param {Object} req - Request object (after authentication)
+ * @returns {string} Key
+ */
+function clientKey(req) {
+    return req.user ? `user:${req.user.id}` : `ip:${req.ip}`;
+}
+
+/**
+ * Limit that applies to the caller under a policy
+ * @param {Object} policy - Policy from getPolicy()
+ * @param {Object} req - Request object (after authentication)
+ * @returns {number} Limit
+ */
+function limitFor(policy, req) {
+    return req.user ? policy.user : policy.anonymous;
+}
+
+/**
+ * Create the store for one policy
+ * @param {Object} policy - Policy from getPolicy()
+ * @param {string} type - memory or redis (defaults to RATE_LIMIT_STORE)
+ * @returns {Object} Store, already initialised with the policy's window
+ */
+function createStore(policy, type = config.RATE_LIMIT_STORE) {
+    const prefix = `rl:${policy.name}:`;
+    let store;
+
+    switch (type) {
+        case 'memory':
+            store = new MemoryStore({ prefix });
+            break;
+        case 'redis':
+            store = new RedisStore({ prefix });
+            break;
+        default:
+            throw new Error(`Unknown RATE_LIMIT_STORE "${type}" (expected ${STORES.join(', ')})`);
+    }
+
+    store.init({ windowMs: policy.windowMs });
+    return store;
+}
+
+/**
+ * Close store connections (the shared Redis connection, if one was opened)
+ */
+async function closeStores() {
+    await RedisStore.close();
+}
+
+module.exports = { createStore, closeStores, getPolicy, clientKey, limitFor, STORES };
@@ -0,0 +1,84 @@
+/**
+ * In-Memory Rate Limit Store
+ * Fixed-window counters in a Map; they reset on restart and are not shared between instances.
+ */
+
+// How often counters whose window has ended are dropped
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+class MemoryStore {
+    /**
+     * @param {Object} config - prefix (keeps the counters of each policy apart)
+     */
+    constructor({ prefix }) {
+        this.prefix = prefix;
+        this.localKeys = true; // Counters live in this instance (read by express-rate-limit)
+        this.windowMs = 60 * 1000;
+        this.counters = new Map(); // key -> { hits, resetAt }
+
+        this.sweeper = setInterval(() => this.sweep(), SWEEP_INTERVAL_MS);
+        this.sweeper.unref();
+    }
+
+    /**
+     * Receive the limiter's options
+     * @param {Object} options - windowMs
+     */
+    init(options) {
+        this.windowMs = options.windowMs;
+    }
+
+    /**
+     * Add to a client's count, starting a new window when the last one has ended
+     * @param {string} key - Client key
+     * @param {number} amount - Requests or bytes to add
+     * @returns {Promise} { totalHits, resetTime }
+     */
+    async increment(key, amount = 1) {
+        const now = Date.now();
+        let counter = this.counters.get(key);
+
+        if (!counter || counter.resetAt <= now) {
+            counter = { hits: 0, resetAt: now + this.windowMs };
+            this.counters.set(key, counter);
+        }
+
+        counter.hits += amount;
+        return { totalHits: counter.hits, resetTime: new Date(counter.resetAt) };
+    }
+
+    /**
+     * Take one request back off a client's count
+     * @param {string} key - Client key
+     */
+    async decrement(key) {
+        const counter = this.counters.get(key);
+
+        if (counter && counter.hits > 0) {
+            counter.hits--;
+        }
+    }
+
+    /**
+     * Forget a client's count
+     * @param {string} key - Client key
+     */
+    async resetKey(key) {
+        this.counters.delete(key);
+    }
+
+    /**
+     * Drop counters whose window has ended
+     */
+    sweep() {
+        const now = Date.now();
+
+        for (const [key, counter] of this.counters) {
+            if (counter.resetAt <= now) {
+                this.counters.delete(key);
+            }
+        }
+    }
+}
+
+module.exports = MemoryStore;
@@ -0,0 +1,111 @@
+/**
+ * Redis Rate Limit Store
+ * Fixed-window counters on a Redis-compatible server (REDIS_URL), shared by every instance
+ * and kept across restarts. Needs ioredis, an optional dependency. For tests and local runs,
+ * standin.js serves the few commands used here.
+ *
+ * If the server cannot be reached the request is let through and the error logged:
+ * losing rate limiting for a while is better than refusing every API call.
+ */
+
+const config = require('../config');
+const logger = require('../logger');
+
+// One connection per process, shared by the stores of every policy
+let client = null;
+
+/**
+ * Connect to REDIS_URL on first use
+ * @returns {Object} ioredis client
+ */
+function getClient() {
+    if (!client) {
+        let Redis;
+
+        try {
+            Redis = require('ioredis');
+        } catch (error) {
+            throw new Error('The redis rate limit store needs ioredis: npm install ioredis');
+        }
+
+        client = new Redis(config.REDIS_URL, {
+            enableReadyCheck: false,
+            maxRetriesPerRequest: 1 // Fail fast so requests are not held up while Redis is down
+        });
+        client.on('error', error => logger.error('Rate limit store error', { error: error }));
+    }
+
+    return client;
+}
+
+class RedisStore {
+    /**
+     * @param {Object} config - prefix (namespaces the keys of each policy)
+     */
+    constructor({ prefix }) {
+        this.prefix = prefix;
+        this.windowMs = 60 * 1000;
+        this.client = getClient();
+    }
+
+    /**
+     * Receive the limiter's options
+     * @param {Object} options - windowMs
+     */
+    init(options) {
+        this.windowMs = options.windowMs;
+    }
+
+    /**
+     * Add to a client's count in one MULTI: create the key with the window as its expiry
+     * if it does not exist, add, and read the time left
+     * @param {string} key - Client key
+     * @param {number} amount - Requests or bytes to add
+     * @returns {Promise} { totalHits, resetTime }
+     */
+    async increment(key, amount = 1) {
+        const redisKey = this.prefix + key;
+
+        try {
+            const results = await this.client.multi()
+                .set(redisKey, 0, 'PX', this.windowMs, 'NX')
+                .incrby(redisKey, amount)
+                .pttl(redisKey)
+                .exec();
+
+            const [[, totalHits], [, ttl]] = results.slice(1);
+            return { totalHits: totalHits, resetTime: new Date(Date.now() + Math.max(ttl, 0)) };
+        } catch (error) {
+            logger.error('Rate limit store unavailable, allowing request', { error: error });
+            return { totalHits: 1, resetTime: new Date(Date.now() + this.windowMs) };
+        }
+    }
+
+    /**
+     * Take one request back off a client's count
+     * @param {string} key - Client key
+     */
+    async decrement(key) {
+        await this.client.decr(this.prefix + key).catch(() => {});
+    }
+
+    /**
+     * Forget a client's count
+     * @param {string} key - Client key
+     */
+    async resetKey(key) {
+        await this.client.del(this.prefix + key);
+    }
+
+    /**
+     * Close the shared connection
+     */
+    static async close() {
+        if (client) {
+            await client.quit().catch(() => {});
+            client = null;
+        }
+    }
+}
+
+module.exports = RedisStore;
@@ -0,0 +1,267 @@
+/**
+ * Redis Stand-in
+ * A small in-process server speaking the Redis protocol (RESP), with just the commands the
+ * redis rate limit store sends. It lets the redis store run in tests and local setups
+ * without a Redis installation; it is not a general-purpose Redis.
+ *
+ * Usage: node src/ratelimit/standin.js [port]   (default 6379)
+ */
+
+const net = require('net');
+
+const CRLF = '\r\n';
+
+/**
+ * Encode a reply
+ * @param {*} value - null, number, string, array or Error (strings starting "+" are status replies)
+ * @returns {string} RESP text
+ */
+function encode(value) {
+    if (value === null) return `$-1${CRLF}`;
+    if (value instanceof Error) return `-${value.message}${CRLF}`;
+    if (typeof value === 'number') return `:${value}${CRLF}`;
+    if (Array.isArray(value)) return `*${value.length}${CRLF}${value.map(encode).join('')}`;
+    if (value.startsWith('+')) return `${value}${CRLF}`;
+    return `$${Buffer.byteLength(value)}${CRLF}${value}${CRLF}`;
+}
+
+/**
+ * Read one command (an array of bulk strings) from the start of a buffer
+ * @param {Buffer} buffer - Received bytes
+ * @returns {Object|null} { args, length } or null if the command is incomplete
+ */
+function parseCommand(buffer) {
+    let offset = 0;
+
+    const readLine = () => {
+        const end = buffer.indexOf(CRLF, offset);
+        if (end === -1) return null;
+        const line = buffer.toString('utf8', offset, end);
+        offset = end + 2;
+        return line;
+    };
+
+    const header = readLine();
+    if (header === null) return null;
+
+    // Inline command, e.g. typed into telnet
+    if (header[0] !== '*') {
+        return { args: header.trim().split(/\s+/), length: offset };
+    }
+
+    const args = [];
+
+    for (let count = parseInt(header.slice(1)); args.length < count;) {
+        const sizeLine = readLine();
+        if (sizeLine === null) return null;
+
+        const size = parseInt(sizeLine.slice(1));
+        if (buffer.length < offset + size + 2) return null;
+
+        args.push(buffer.toString('utf8', offset, offset + size));
+        offset += size + 2;
+    }
+
+    return { args, length: offset };
+}
+
+class RedisStandin {
+    constructor() {
+        this.data = new Map(); // key -> { value, expiresAt }
+        this.sockets = new Set();
+        this.server = net.createServer(socket => this.handleConnection(socket));
+    }
+
+    /**
+     * Start listening
+     * @param {number} port - Port (0 picks a free one)
+     * @returns {Promise<number>} Port in use
+     */
+    listen(port = 6379) {
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, '127.0.0.1', () => resolve(this.server.address().port));
+        });
+    }
+
+    /**
+     * Stop listening and drop open connections
+     * @returns {Promise}
+     */
+    close() {
+        for (const socket of this.sockets) {
+            socket.destroy();
+        }
+
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    /**
+     * Serve one client connection
+     * @param {Object} socket - Client socket
+     */
+    handleConnection(socket) {
+        this.sockets.add(socket);
+        socket.on('close', () => this.sockets.delete(socket));
+        socket.on('error', () => {});
+
+        const session = { queue: null };
+        let buffer = Buffer.alloc(0);
+
+        socket.on('data', chunk => {
+            buffer = Buffer.concat([buffer, chunk]);
+
+            for (let command = parseCommand(buffer); command; command = parseCommand(buffer)) {
+                buffer = buffer.subarray(command.length);
+
+                if (command.args.length === 0 || command.args[0] === '') continue;
+
+                const name = command.args[0].toUpperCase();
+                socket.write(encode(this.dispatch(session, name, command.args.slice(1))));
+
+                if (name === 'QUIT') {
+                    socket.end();
+                    return;
+                }
+            }
+        });
+    }
+
+    /**
+     * Handle a command, queueing it inside MULTI
+     * @param {Object} session - Connection state
+     * @param {string} name - Command name
+     * @param {Array} args - Arguments
+     * @returns {*} Reply
+     */
+    dispatch(session, name, args) {
+        if (name === 'MULTI') {
+            session.queue = [];
+            return '+OK';
+        }
+
+        if (name === 'EXEC') {
+            if (!session.queue) return new Error('ERR EXEC without MULTI');
+            const queue = session.queue;
+            session.queue = null;
+            return queue.map(([queued, queuedArgs]) => this.execute(queued, queuedArgs));
+        }
+
+        if (name === 'DISCARD') {
+            session.queue = null;
+            return '+OK';
+        }
+
+        if (session.queue) {
+            session.queue.push([name, args]);
+            return '+QUEUED';
+        }
+
+        return this.execute(name, args);
+    }
+
+    /**
+     * Run a command against the data
+     * @param {string} name - Command name
+     * @param {Array} args - Arguments
+     * @returns {*} Reply
+     */
+    execute(name, args) {
+        switch (name) {
+            case 'PING':
+                return args.length ? args[0] : '+PONG';
+            case 'QUIT':
+            case 'SELECT':
+            case 'CLIENT':
+                return '+OK';
+            case 'INFO':
+                return 'redis_version:7.0.0-standin\r\nloading:0\r\n';
+            case 'GET': {
+                const entry = this.get(args[0]);
+                return entry ? entry.value : null;
+            }
+            case 'SET': {
+                const options = args.slice(2).map(option => option.toUpperCase());
+                let expiresAt = null;
+
+                if (options.includes('NX') && this.get(args[0])) return null;
+                if (options.includes('PX')) expiresAt = Date.now() + parseInt(args[2 + options.indexOf('PX') + 1]);
+                if (options.includes('EX')) expiresAt = Date.now() + parseInt(args[2 + options.indexOf('EX') + 1]) * 1000;
+
+                this.data.set(args[0], { value: String(args[1]), expiresAt });
+                return '+OK';
+            }
+            case 'INCR':
+                return this.incrementBy(args[0], 1);
+            case 'INCRBY':
+                return this.incrementBy(args[0], parseInt(args[1]));
+            case 'DECR':
+                return this.incrementBy(args[0], -1);
+            case 'DECRBY':
+                return this.incrementBy(args[0], -parseInt(args[1]));
+            case 'PTTL': {
+                const entry = this.get(args[0]);
+                if (!entry) return -2;
+                return entry.expiresAt === null ? -1 : entry.expiresAt - Date.now();
+            }
+            case 'DEL':
+                return args.filter(key => this.get(key) && this.data.delete(key)).length;
+            case 'FLUSHALL':
+            case 'FLUSHDB':
+                this.data.clear();
+                return '+OK';
+            default:
+                return new Error(`ERR unknown command '${name}'`);
+        }
+    }
+
+    /**
+     * Entry for a key, dropping it if it has expired
+     * @param {string} key - Key
+     * @returns {Object|null} { value, expiresAt }
+     */
+    get(key) {
+        const entry = this.data.get(key);
+
+        if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+            this.data.delete(key);
+            return null;
+        }
+
+        return entry || null;
+    }
+
+    /**
+     * Add to an integer value, creating it at 0
+     * @param {string} key - Key
+     * @param {number} amount - Amount to add
+     * @returns {number|Error} New value
+     */
+    incrementBy(key, amount) {
+        const entry = this.get(key) || { value: '0', expiresAt: null };
+
+        if (!/^-?\d+$/.test(entry.value) || Number.isNaN(amount)) {
+            return new Error('ERR value is not an integer or out of range');
+        }
+
+        entry.value = String(parseInt(entry.value) + amount);
+        this.data.set(key, entry);
+        return parseInt(entry.value);
+    }
+}
+
+// Run as a standalone server
+if (require.main === module) {
+    const standin = new RedisStandin();
+    const port = parseInt(process.argv[2]) || 6379;
+
+    standin.listen(port).then(
+        listening => console.log(`Redis stand-in listening on 127.0.0.1:${listening}`),
+        error => {
+            console.error('Redis stand-in failed to start:', error.message);
+            process.exit(1);
+        }
+    );
+}
+
+module.exports = RedisStandin;
@@ -0,0 +1,40 @@
+/**
+ * Re-encrypt Command
+ * Rewrites stored personal data under the current encryption settings (see encryption.js):
+ * run it after turning encryption on, changing ENCRYPTED_FIELDS or rotating keys. When
+ * rotating, add the new key as active and keep the old one configured until this has run.
+ *
+ * Usage: npm run reencrypt [-- --all]
+ * --all also rewrites rows already under the active key (needed after changing the index key).
+ */
+
+const database = require('./database');
+const Encryption = require('./encryption');
+
+async function main() {
+    const all = process.argv.slice(2).includes('--all');
+
+    if (!Encryption.ENABLED) {
+        console.error('No encryption keys configured: set ENCRYPTION_KEYFILE or ENCRYPTION_KEYS');
+        process.exitCode = 1;
+        return;
+    }
+
+    try {
+        await database.initializeDatabase();
+
+        const fields = Encryption.FIELDS.length > 0 ? Encryption.FIELDS.join(', ') : 'none';
+        console.log(`Encrypting ${fields} under key ${Encryption.ACTIVE_KEY_ID}`);
+
+        const result = await database.reencryptAll({ all });
+        console.log(`Rewrote ${result.records} record(s), ${result.auditEntries} audit entry(ies), ` +
+            `${result.rejectedRows} rejected import row(s) and ${result.storedResponses} stored response(s)`);
+    } catch (error) {
+        console.error('Re-encryption failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await database.close();
+    }
+}
+
+main();
@@ -0,0 +1,36 @@
+/**
+ * Retention Command
+ * Applies the retention policy (RETENTION_DAYS, RETENTION_ACTION; see compliance.js) and logs
+ * the run to compliance_log. Meant to be run daily, e.g. from cron.
+ *
+ * Usage: npm run retention
+ */
+
+const database = require('./database');
+const Compliance = require('./compliance');
+
+async function main() {
+    if (Compliance.RETENTION.days === null) {
+        console.log('No retention policy configured: set RETENTION_DAYS to apply one');
+        return;
+    }
+
+    try {
+        await database.initializeDatabase();
+
+        const result = await Compliance.applyRetention();
+        const verb = result.action === 'anonymise' ? 'Anonymised' : 'Deleted';
+
+        console.log(`${verb} ${result.counts.records} record(s) not changed since ${result.cutoff.toISOString()}`);
+        console.log(`Removed ${result.counts.auditEntries} audit entry(ies), ${result.counts.duplicateCandidates} duplicate entry(ies), ` +
+            `${result.counts.rejectedRows} rejected import row(s), ${result.counts.storedResponses} stored response(s) ` +
+            `and ${result.counts.webhookDeliveries} webhook delivery(ies)`);
+    } catch (error) {
+        console.error('Retention failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await database.close();
+    }
+}
+
+main();
@@ -0,0 +1,376 @@
+/**
+ * Record Schema Module
+ * The field rules for mysql_table records, defined once and used by the form middleware,
+ * the records API, the CSV importer and the browser form (served as /js/record-schema.js).
+ *
+ * This file must run unchanged in Node and in the browser, so it has no require() calls.
+ *
+ * Each field rule may contain:
+ *   label          - Name used in messages
+ *   aliases        - Accepted request body keys (the first is the browser form's input id)
+ *   type           - 'string' or 'integer'
+ *   trim           - Ignore surrounding whitespace when checking
+ *   required       - Sources that must supply the field: form, csv, update
+ *   minLength, maxLength - String length limits, in characters
+ *   pattern, patternMessage - Regular expression source (compiled with the u flag) the value must match,
+ *                    and the message when not
+ *   min, max       - Integer range
+ *   validators     - Names of custom validators (see VALIDATORS) run after the checks above
+ *   normalize      - Name of a normalizer (see NORMALIZERS) giving the canonical stored form
+ *
+ * Errors are { field, code, message }. Codes: required, type, too_short, too_long, pattern,
+ * too_small, too_large, or the code of a custom validator. Each field reports its first error.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.RecordSchema = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const SOURCES = ['form', 'csv', 'update'];
+
+    // Words of letters in any script (with their combining accents), joined by single
+    // apostrophes, hyphens or spaces: O'Brien, Seán, Ní Dhomhnaill, Smith-Jones
+    const NAME_PATTERN = '^\\p{L}[\\p{L}\\p{M}]*(?:[\'\u2019 -]\\p{L}[\\p{L}\\p{M}]*)*$';
+    const NAME_PATTERN_MESSAGE = 'must contain only letters, apostrophes, hyphens and spaces';
+
+    const RECORD_SCHEMA = {
+        first_name: {
+            label: 'First name',
+            aliases: ['firstName', 'first_name'],
+            type: 'string',
+            trim: true,
+            required: ['form', 'csv', 'update'],
+            maxLength: 20,
+            pattern: NAME_PATTERN,
+            patternMessage: NAME_PATTERN_MESSAGE,
+            normalize: 'name'
+        },
+        last_name: {
+            label: 'Last name',
+            aliases: ['lastName', 'last_name'],
+            type: 'string',
+            trim: true,
+            required: ['form', 'csv', 'update'],
+            maxLength: 20,
+            pattern: NAME_PATTERN,
+            patternMessage: NAME_PATTERN_MESSAGE,
+            normalize: 'name'
+        },
+        email: {
+            label: 'Email',
+            aliases: ['email'],
+            type: 'string',
+            trim: true,
+            required: ['form', 'csv', 'update'],
+            maxLength: 255,
+            validators: ['email']
+        },
+        // Optional for CSV and API edits: checked only when an import profile maps them or a value is sent
+        phone_number: {
+            label: 'Phone number',
+            aliases: ['phoneNumber', 'phone_number'],
+            type: 'string',
+            trim: true,
+            required: ['form'],
+            maxLength: 25,
+            validators: ['phone'],
+            normalize: 'phone'
+        },
+        eircode: {
+            label: 'Eircode',
+            aliases: ['eircode'],
+            type: 'string',
+            trim: true,
+            required: ['form'],
+            maxLength: 10,
+            validators: ['eircode', 'eircodeRoutingKey'],
+            normalize: 'eircode'
+        },
+        age: {
+            label: 'Age',
+            aliases: ['age'],
+            type: 'integer',
+            required: [],
+            min: 0,
+            max: 120
+        }
+    };
+
+    // Routing keys (the first three characters) of every Eircode postal area
+    const EIRCODE_ROUTING_KEYS = [
+        'A41', 'A42', 'A45', 'A63', 'A67', 'A75', 'A81', 'A82', 'A83', 'A84', 'A85', 'A86', 'A91', 'A92', 'A94', 'A96', 'A98',
+        'C15',
+        'D01', 'D02', 'D03', 'D04', 'D05', 'D06', 'D6W', 'D07', 'D08', 'D09', 'D10', 'D11', 'D12', 'D13', 'D14', 'D15',
+        'D16', 'D17', 'D18', 'D20', 'D22', 'D24',
+        'E21', 'E25', 'E32', 'E34', 'E41', 'E45', 'E53', 'E91',
+        'F12', 'F23', 'F26', 'F28', 'F31', 'F35', 'F42', 'F45', 'F52', 'F56', 'F91', 'F92', 'F93', 'F94',
+        'H12', 'H14', 'H16', 'H18', 'H23', 'H53', 'H54', 'H62', 'H65', 'H71', 'H91',
+        'K32', 'K34', 'K36', 'K45', 'K56', 'K67', 'K78',
+        'N37', 'N39', 'N41', 'N91',
+        'P12', 'P14', 'P17', 'P24', 'P25', 'P31', 'P32', 'P36', 'P43', 'P47', 'P51', 'P56', 'P61', 'P67', 'P72', 'P75',
+        'P81', 'P85',
+        'R14', 'R21', 'R32', 'R35', 'R42', 'R45', 'R51', 'R56', 'R93', 'R95',
+        'T12', 'T23', 'T34', 'T45', 'T56',
+        'V14', 'V15', 'V23', 'V31', 'V35', 'V42', 'V92', 'V93', 'V94', 'V95',
+        'W12', 'W23', 'W34', 'W91',
+        'X35', 'X42', 'X91',
+        'Y14', 'Y21', 'Y25', 'Y34', 'Y35'
+    ];
+
+    // Routing key (a letter and two digits, or D6W) then a four-character unique identifier.
+    // Letters that look alike (B, G, I, J, L, M, O, Q, S, U, Z) are never used.
+    const EIRCODE_PATTERN = /^([AC-FHKNPRTV-Y][0-9]{2}|D6W)([0-9AC-FHKNPRTV-Y]{4})$/;
+
+    // Irish national significant numbers (after +353, without the trunk 0)
+    const IRISH_NUMBER_TYPES = [
+        { type: 'mobile', pattern: /^8[35679][0-9]{7}$/ },                                // 083, 085, 086, 087, 089
+        { type: 'landline', pattern: /^1[0-9]{7}$/ },                                     // Dublin, 01
+        { type: 'landline', pattern: /^(2[1-9]|4[0-9]|5[1-9]|6[1-9]|7[1-9]|9[0-9])[0-9]{5,7}$/ }, // Regional area codes
+        { type: 'non-geographic', pattern: /^818[0-9]{6}$/ }                              // 0818
+    ];
+
+    /**
+     * Split an Eircode into its routing key and unique identifier
+     * Spaces and letter case are ignored: "d02x285" and "D02 X285" are the same Eircode.
+     * @param {*} value - Eircode as entered
+     * @returns {Object|null} { routingKey, identifier, canonical, knownRoutingKey }, or null when malformed
+     */
+    function parseEircode(value) {
+        const match = EIRCODE_PATTERN.exec(String(value).toUpperCase().replace(/\s+/g, ''));
+
+        if (!match) return null;
+
+        return {
+            routingKey: match[1],
+            identifier: match[2],
+            canonical: match[1] + ' ' + match[2],
+            knownRoutingKey: EIRCODE_ROUTING_KEYS.indexOf(match[1]) !== -1
+        };
+    }
+
+    /**
+     * Parse a phone number into E.164 (+ country code and number, digits only)
+     * Numbers starting with 0 are Irish national numbers; 00 is an international prefix.
+     * Irish numbers must be a mobile, landline or 0818 number; other countries only need
+     * a plausible E.164 length.
+     * @param {*} value - Phone number as entered
+     * @returns {Object|null} { e164, type }, or null when not a valid number
+     */
+    function parsePhone(value) {
+        let number = String(value).trim().replace(/[\s().\-]/g, '');
+
+        if (number.indexOf('00') === 0) {
+            number = '+' + number.slice(2);
+        } else if (number.charAt(0) === '0') {
+            number = '+353' + number.slice(1);
+        }
+
+        // "+353 (0)87 ..." keeps the trunk 0 the international format drops
+        if (number.indexOf('+3530') === 0) {
+            number = '+353' + number.slice(5);
+        }
+
+        if (!/^\+[1-9][0-9]{6,14}$/.test(number)) return null;
+
+        if (number.indexOf('+353') !== 0) {
+            return { e164: number, type: 'international' };
+        }
+
+        const national = number.slice(4);
+
+        for (const entry of IRISH_NUMBER_TYPES) {
+            if (entry.pattern.test(national)) {
+                return { e164: number, type: entry.type };
+            }
+        }
+
+        return null;
+    }
+
+    /*
+     * Custom validators: test(value) receives the (trimmed) value once the declarative checks pass.
+     * The server may replace a test with a stricter one (Validation uses validator.isEmail).
+     */
+    const VALIDATORS = {
+        email: {
+            code: 'invalid_email',
+            message: 'must be a valid email address',
+            test: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)
+        },
+        phone: {
+            code: 'invalid_phone',
+            message: 'must be an Irish number (e.g. 087 123 4567) or start with + and the country code',
+            test: value => parsePhone(value) !== null
+        },
+        eircode: {
+            code: 'invalid_eircode',
+            message: 'must be 7 characters: a routing key and a unique identifier, e.g. D02 X285',
+            test: value => parseEircode(value) !== null
+        },
+        eircodeRoutingKey: {
+            code: 'unknown_routing_key',
+            message: 'has a routing key that is not in use',
+            test: value => parseEircode(value).knownRoutingKey
+        }
+    };
+
+    // Canonical stored forms; values that cannot be parsed are left as they are
+    const NORMALIZERS = {
+        name: value => value.normalize('NFC'),
+        phone: value => {
+            const parsed = parsePhone(value);
+            return parsed ? parsed.e164 : value;
+        },
+        eircode: value => {
+            const parsed = parseEircode(value);
+            return parsed ? parsed.canonical : value;
+        }
+    };
+
+    /**
+     * Whether a value counts as not supplied
+     * @param {*} value - Field value
+     * @returns {boolean} True for undefined, null and blank strings
+     */
+    function isMissing(value) {
+        return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+    }
+
+    /**
+     * Build an error object
+     * @param {string} field - Field name
+     * @param {string} code - Error code
+     * @param {string} message - Message
+     * @returns {Object} { field, code, message }
+     */
+    function fieldError(field, code, message) {
+        return { field: field, code: code, message: message };
+    }
+
+    /**
+     * Check one field value against its rule
+     * @param {string} field - Field name (a key of RECORD_SCHEMA)
+     * @param {*} value - Value to check
+     * @param {string} source - form, csv or update
+     * @param {Object} validators - Custom validators (defaults to VALIDATORS)
+     * @returns {Object|null} First error, or null when the value is valid
+     */
+    function checkField(field, value, source, validators) {
+        const rule = RECORD_SCHEMA[field];
+        const custom = validators || VALIDATORS;
+        const label = rule.label;
+
+        if (isMissing(value)) {
+            return rule.required.indexOf(source) !== -1
+                ? fieldError(field, 'required', label + ' is required')
+                : null;
+        }
+
+        if (rule.type === 'integer') {
+            if (!/^-?\d+$/.test(String(value).trim())) {
+                return fieldError(field, 'type', label + ' must be a whole number');
+            }
+
+            const number = parseInt(value, 10);
+
+            if (rule.min !== undefined && number < rule.min) {
+                return fieldError(field, 'too_small', label + ' must be at least ' + rule.min);
+            }
+
+            if (rule.max !== undefined && number > rule.max) {
+                return fieldError(field, 'too_large', label + ' must be at most ' + rule.max);
+            }
+        } else {
+            if (typeof value !== 'string') {
+                return fieldError(field, 'type', label + ' must be text');
+            }
+
+            // Compare composed text so 'é' typed as e + accent counts as one character
+            const text = (rule.trim ? value.trim() : value).normalize('NFC');
+            const length = Array.from(text).length;
+
+            if (rule.minLength !== undefined && length < rule.minLength) {
+                return fieldError(field, 'too_short', label + ' must be at least ' + rule.minLength + ' characters');
+            }
+
+            if (rule.maxLength !== undefined && length > rule.maxLength) {
+                return fieldError(field, 'too_long', label + ' must be at most ' + rule.maxLength + ' characters');
+            }
+
+            if (rule.pattern && !new RegExp(rule.pattern, 'u').test(text)) {
+                return fieldError(field, 'pattern', label + ' ' + rule.patternMessage);
+            }
+
+            value = text;
+        }
+
+        for (const name of rule.validators || []) {
+            const check = custom[name];
+
+            if (check && !check.test(value)) {
+                return fieldError(field, check.code, label + ' ' + check.message);
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Validate a record (snake_case keys) for a source
+     * @param {Object} record - Record to validate
+     * @param {string} source - form, csv or update
+     * @param {Object} validators - Custom validators (defaults to VALIDATORS)
+     * @returns {Object} { isValid, errors: [{ field, code, message }] }
+     */
+    function validate(record, source, validators) {
+        const errors = [];
+
+        for (const field of Object.keys(RECORD_SCHEMA)) {
+            const error = checkField(field, record[field], source, validators);
+
+            if (error) {
+                errors.push(error);
+            }
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors: errors
+        };
+    }
+
+    /**
+     * Convert a record's fields to their canonical stored form
+     * @param {Object} record - Validated record (snake_case keys)
+     * @returns {Object} Copy of the record with normalized values
+     */
+    function normalize(record) {
+        const normalized = Object.assign({}, record);
+
+        for (const field of Object.keys(RECORD_SCHEMA)) {
+            const rule = RECORD_SCHEMA[field];
+
+            if (rule.normalize && !isMissing(normalized[field])) {
+                normalized[field] = NORMALIZERS[rule.normalize](normalized[field]);
+            }
+        }
+
+        return normalized;
+    }
+
+    return {
+        SOURCES: SOURCES,
+        RECORD_SCHEMA: RECORD_SCHEMA,
+        VALIDATORS: VALIDATORS,
+        EIRCODE_ROUTING_KEYS: EIRCODE_ROUTING_KEYS,
+        isMissing: isMissing,
+        checkField: checkField,
+        validate: validate,
+        normalize: normalize,
+        parseEircode: parseEircode,
+        parsePhone: parsePhone
+    };
+});
@@ -0,0 +1,59 @@
+/**
+ * Storage Adapter Module
+ * Creates the adapter named by STORAGE_ADAPTER: mysql (default), sqlite or memory
+ *
+ * Every adapter offers the same interface, so Database never talks to a driver directly:
+ *   dialect                   - 'mysql' or 'sqlite', selects the SQL in each migration
+ *   lockClause                - appended to SELECTs that lock rows ('' where writers are serialised)
+ *   initialize()              - check the connection (the memory adapter also builds its schema)
+ *   ping()                    - run a trivial query, to check the database answers
+ *   stats()                   - connection usage: { limit, open, inUse, idle, queued }
+ *   query(sql, params)        - rows for a SELECT, otherwise { affectedRows, insertId }
+ *   insert(table, columns, rows, onDuplicate) - single or multi-row INSERT (rows are value arrays)
+ *   transaction(work)         - run work(tx) atomically; tx offers lockClause, query and insert
+ *   stream(sql, params)       - readable object stream of rows
+ *   openMigrationConnection() - connection for the migrator ({ query, execute, end })
+ *   close()
+ *
+ * onDuplicate describes what happens when a unique key already exists:
+ *   null                                      - the INSERT fails with ER_DUP_ENTRY
+ *   { target: 'email', ignore: true }         - the stored row is left alone
+ *   { target: 'email', update: { column: 'replace' | 'coalesce' } }
+ *                                             - replace the column, or only when the new value is not NULL
+ */
+
+const path = require('path');
+
+const config = require('../config');
+const MysqlAdapter = require('./mysql');
+const SqliteAdapter = require('./sqlite');
+const MemoryAdapter = require('./memory');
+
+const ADAPTERS = ['mysql', 'sqlite', 'memory'];
+
+/**
+ * Create a storage adapter
+ * @param {string} type - mysql, sqlite or memory (defaults to STORAGE_ADAPTER)
+ * @returns {Object} Adapter
+ */
+function createAdapter(type = config.STORAGE_ADAPTER) {
+    switch (type) {
+        case 'mysql':
+            return new MysqlAdapter({
+                host: config.DB_HOST,
+                user: config.DB_USER,          // Application user
+                password: config.DB_PASSWORD,  // Application password
+                database: config.DB_NAME
+            });
+        case 'sqlite':
+            return new SqliteAdapter({
+                filename: path.resolve(config.SQLITE_PATH)
+            });
+        case 'memory':
+            return new MemoryAdapter();
+        default:
+            throw new Error(`Unknown STORAGE_ADAPTER "${type}" (expected ${ADAPTERS.join(', ')})`);
+    }
+}
+
+module.exports = { createAdapter, ADAPTERS };
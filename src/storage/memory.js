@@ -0,0 +1,39 @@
+/**
+ * In-Memory Storage Adapter
+ * A private SQLite database that lives as long as the process; for tests and local runs.
+ * Nothing persists, so initialize() applies every migration.
+ */
+
+const { Readable } = require('stream');
+
+const SqliteAdapter = require('./sqlite');
+const Migrator = require('../migrator');
+
+class MemoryAdapter extends SqliteAdapter {
+    constructor() {
+        super({ filename: ':memory:' });
+    }
+
+    /**
+     * Build the schema
+     */
+    async initialize() {
+        await new Migrator(this).up();
+    }
+
+    /**
+     * Stream rows read in one go (a memory database cannot be opened twice)
+     * @param {string} sql - SQL query
+     * @param {Array} params - Query parameters
+     * @returns {Stream} Readable object stream of rows
+     */
+    stream(sql, params = []) {
+        const adapter = this;
+
+        return Readable.from((async function* () {
+            yield* await adapter.query(sql, params);
+        })());
+    }
+}
+
+module.exports = MemoryAdapter;
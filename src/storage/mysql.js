@@ -0,0 +1,187 @@
+/**
+ * MySQL Storage Adapter
+ * Connection pool for the application user; migrations use a separate admin connection
+ */
+
+const mysql = require('mysql2/promise');
+
+const config = require('../config');
+
+class MysqlAdapter {
+    /**
+     * @param {Object} connection - host, user, password, database
+     */
+    constructor(connection) {
+        this.dialect = 'mysql';
+        this.lockClause = ' FOR UPDATE';
+        this.config = connection;
+
+        // Create connection pool for better performance and connection management
+        // (no connection is opened until the first query)
+        this.pool = mysql.createPool({
+            ...connection,
+            waitForConnections: true,
+            connectionLimit: 10, // Maximum number of connections in pool
+            queueLimit: 0,
+            enableKeepAlive: true,
+            keepAliveInitialDelay: 0
+        });
+    }
+
+    /**
+     * Check that a connection can be opened
+     */
+    async initialize() {
+        const connection = await this.pool.getConnection();
+        connection.release();
+    }
+
+    /**
+     * Run a trivial query on a pooled connection
+     */
+    async ping() {
+        await this.pool.query('SELECT 1');
+    }
+
+    /**
+     * Connection usage, read from the pool's internal queues (mysql2 has no public API for it)
+     * @returns {Object} { limit, open, inUse, idle, queued }
+     */
+    stats() {
+        const pool = this.pool.pool;
+        const open = pool._allConnections.length;
+        const idle = pool._freeConnections.length;
+
+        return {
+            limit: pool.config.connectionLimit,
+            open: open,
+            inUse: open - idle,
+            idle: idle,
+            queued: pool._connectionQueue.length
+        };
+    }
+
+    /**
+     * Run a prepared statement
+     * @param {string} sql - SQL query
+     * @param {Array} params - Query parameters
+     * @returns {Promise} Rows, or { affectedRows, insertId }
+     */
+    async query(sql, params = []) {
+        const [results] = await this.pool.execute(sql, params);
+        return results;
+    }
+
+    /**
+     * Insert one or more rows
+     * @param {string} table - Table name
+     * @param {Array} columns - Column names
+     * @param {Array} rows - Value arrays in column order
+     * @param {Object} onDuplicate - Duplicate key handling (see storage/index.js)
+     * @returns {Promise} { affectedRows, insertId }
+     */
+    async insert(table, columns, rows, onDuplicate = null) {
+        return await this.insertOn(this.pool, table, columns, rows, onDuplicate);
+    }
+
+    /**
+     * Build and run a multi-row INSERT on a pool or connection
+     * query() keeps the values parameterised without preparing a statement per row count.
+     * @param {Object} target - Pool or connection
+     * @param {string} table - Table name
+     * @param {Array} columns - Column names
+     * @param {Array} rows - Value arrays in column order
+     * @param {Object} onDuplicate - Duplicate key handling
+     * @returns {Promise} { affectedRows, insertId }
+     */
+    async insertOn(target, table, columns, rows, onDuplicate) {
+        const placeholders = `(${columns.map(() => '?').join(', ')})`;
+        let sql = `INSERT INTO ${table} (${columns.join(', ')}) VALUES ${rows.map(() => placeholders).join(', ')}`;
+
+        if (onDuplicate && onDuplicate.ignore) {
+            sql += ` ON DUPLICATE KEY UPDATE ${onDuplicate.target} = ${onDuplicate.target}`;
+        } else if (onDuplicate) {
+            sql += ' ON DUPLICATE KEY UPDATE ' + Object.entries(onDuplicate.update)
+                .map(([column, how]) => how === 'coalesce'
+                    ? `${column} = COALESCE(VALUES(${column}), ${column})`
+                    : `${column} = VALUES(${column})`)
+                .join(', ');
+        }
+
+        const [result] = await target.query(sql, rows.flat());
+        return result;
+    }
+
+    /**
+     * Run work inside a transaction on a dedicated connection
+     * @param {Function} work - async (tx) => result
+     * @returns {Promise} Result of work
+     */
+    async transaction(work) {
+        const connection = await this.pool.getConnection();
+
+        try {
+            await connection.beginTransaction();
+            const result = await work({
+                lockClause: this.lockClause,
+                query: async (sql, params = []) => (await connection.execute(sql, params))[0],
+                insert: (table, columns, rows, onDuplicate = null) =>
+                    this.insertOn(connection, table, columns, rows, onDuplicate)
+            });
+            await connection.commit();
+            return result;
+        } catch (error) {
+            await connection.rollback().catch(() => {});
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * Stream rows from a server-side cursor
+     * The promise wrapper has no streaming API, so use the underlying callback pool;
+     * its connection is released when the stream ends.
+     * @param {string} sql - SQL query
+     * @param {Array} params - Query parameters
+     * @returns {Stream} Readable object stream of rows
+     */
+    stream(sql, params = []) {
+        return this.pool.pool.query(sql, params).stream({ highWaterMark: 100 });
+    }
+
+    /**
+     * Open the admin connection used by migrations and take the migration lock
+     * @returns {Promise} mysql2 connection
+     */
+    async openMigrationConnection() {
+        if (!config.DB_ADMIN_USER || !config.DB_ADMIN_PASSWORD) {
+            throw new Error('DB_ADMIN_USER and DB_ADMIN_PASSWORD must be set to run migrations');
+        }
+
+        const connection = await mysql.createConnection({
+            ...this.config,
+            user: config.DB_ADMIN_USER,
+            password: config.DB_ADMIN_PASSWORD
+        });
+
+        // Stop two deploys from migrating at the same time
+        const [[lock]] = await connection.query("SELECT GET_LOCK('schema_migrations', 30) AS acquired");
+
+        if (lock.acquired !== 1) {
+            await connection.end();
+            throw new Error('Another migration is already running');
+        }
+
+        return connection;
+    }
+
+    /**
+     * Close the pool
+     */
+    async close() {
+        await this.pool.end();
+    }
+}
+
+module.exports = MysqlAdapter;
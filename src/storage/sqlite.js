@@ -0,0 +1,281 @@
+/**
+ * SQLite Storage Adapter
+ * Single-file database for running the server without MySQL (better-sqlite3, an optional dependency)
+ *
+ * better-sqlite3 is synchronous and has one connection, so transactions are serialised:
+ * a transaction holds the connection until it ends, and other statements wait for it.
+ * Errors are given the MySQL codes Database checks for (ER_DUP_ENTRY and so on).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+
+// Multi-row INSERTs produce a statement per row count, so the cache is emptied when it grows past this
+const MAX_CACHED_STATEMENTS = 500;
+
+// SQLite error codes -> the MySQL codes the rest of the application handles
+const ERROR_CODES = {
+    SQLITE_CONSTRAINT_UNIQUE: 'ER_DUP_ENTRY',
+    SQLITE_CONSTRAINT_PRIMARYKEY: 'ER_DUP_ENTRY',
+    SQLITE_CONSTRAINT_CHECK: 'ER_CHECK_CONSTRAINT_VIOLATED',
+    SQLITE_CONSTRAINT_NOTNULL: 'ER_BAD_NULL_ERROR',
+    SQLITE_CONSTRAINT_FOREIGNKEY: 'ER_NO_REFERENCED_ROW_2',
+    SQLITE_BUSY: 'ER_LOCK_WAIT_TIMEOUT'
+};
+
+/**
+ * Open a database file with better-sqlite3
+ * @param {string} filename - File path or ':memory:'
+ * @param {Object} options - better-sqlite3 options
+ * @returns {Object} Connection
+ */
+function openDatabase(filename, options = {}) {
+    let BetterSqlite3;
+
+    try {
+        BetterSqlite3 = require('better-sqlite3');
+    } catch (error) {
+        throw new Error('The sqlite and memory storage adapters need better-sqlite3: npm install better-sqlite3');
+    }
+
+    return new BetterSqlite3(filename, options);
+}
+
+class SqliteAdapter {
+    /**
+     * @param {Object} config - filename (a path, or ':memory:')
+     */
+    constructor({ filename }) {
+        this.dialect = 'sqlite';
+        this.lockClause = ''; // BEGIN IMMEDIATE already keeps other writers out
+        this.filename = filename;
+
+        if (filename !== ':memory:') {
+            fs.mkdirSync(path.dirname(filename), { recursive: true });
+        }
+
+        this.db = openDatabase(filename);
+        this.db.pragma('foreign_keys = ON');
+        this.db.pragma('busy_timeout = 5000');
+
+        if (filename !== ':memory:') {
+            this.db.pragma('journal_mode = WAL'); // Lets export streams read while requests write
+        }
+
+        this.statements = new Map();  // Prepared statement cache, keyed by SQL
+        this.tail = Promise.resolve(); // End of the queue of work waiting for the connection
+        this.pending = 0;              // Work queued or running on the connection
+
+        // Handed to transaction work; runs directly because the transaction owns the connection
+        this.tx = {
+            lockClause: this.lockClause,
+            query: async (sql, params = []) => this.run(sql, params),
+            insert: async (table, columns, rows, onDuplicate = null) =>
+                this.run(...this.buildInsert(table, columns, rows, onDuplicate))
+        };
+    }
+
+    /**
+     * Nothing to check: the file was opened by the constructor
+     */
+    async initialize() {}
+
+    /**
+     * Queue work for the connection so it never runs inside another caller's transaction
+     * @param {Function} task - async () => result
+     * @returns {Promise} Result of task
+     */
+    exclusive(task) {
+        this.pending++;
+
+        const result = this.tail.then(task).finally(() => this.pending--);
+        this.tail = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * Run a trivial query (it waits behind any open transaction)
+     */
+    async ping() {
+        await this.query('SELECT 1');
+    }
+
+    /**
+     * Connection usage: there is one connection, busy while any work is queued
+     * @returns {Object} { limit, open, inUse, idle, queued }
+     */
+    stats() {
+        const inUse = this.pending > 0 ? 1 : 0;
+
+        return { limit: 1, open: 1, inUse: inUse, idle: 1 - inUse, queued: Math.max(this.pending - 1, 0) };
+    }
+
+    /**
+     * Run a statement
+     * @param {string} sql - SQL query
+     * @param {Array} params - Query parameters
+     * @returns {Promise} Rows, or { affectedRows, insertId }
+     */
+    async query(sql, params = []) {
+        return await this.exclusive(() => this.run(sql, params));
+    }
+
+    /**
+     * Insert one or more rows
+     * @param {string} table - Table name
+     * @param {Array} columns - Column names
+     * @param {Array} rows - Value arrays in column order
+     * @param {Object} onDuplicate - Duplicate key handling (see storage/index.js)
+     * @returns {Promise} { affectedRows, insertId }
+     */
+    async insert(table, columns, rows, onDuplicate = null) {
+        return await this.query(...this.buildInsert(table, columns, rows, onDuplicate));
+    }
+
+    /**
+     * Build a multi-row INSERT with an ON CONFLICT clause
+     * @param {string} table - Table name
+     * @param {Array} columns - Column names
+     * @param {Array} rows - Value arrays in column order
+     * @param {Object} onDuplicate - Duplicate key handling
+     * @returns {Array} [sql, params]
+     */
+    buildInsert(table, columns, rows, onDuplicate) {
+        const placeholders = `(${columns.map(() => '?').join(', ')})`;
+        let sql = `INSERT INTO ${table} (${columns.join(', ')}) VALUES ${rows.map(() => placeholders).join(', ')}`;
+
+        if (onDuplicate && onDuplicate.ignore) {
+            sql += ` ON CONFLICT(${onDuplicate.target}) DO NOTHING`;
+        } else if (onDuplicate) {
+            sql += ` ON CONFLICT(${onDuplicate.target}) DO UPDATE SET ` + Object.entries(onDuplicate.update)
+                .map(([column, how]) => how === 'coalesce'
+                    ? `${column} = COALESCE(excluded.${column}, ${column})`
+                    : `${column} = excluded.${column}`)
+                .join(', ');
+        }
+
+        return [sql, rows.flat()];
+    }
+
+    /**
+     * Run work inside a transaction
+     * @param {Function} work - async (tx) => result
+     * @returns {Promise} Result of work
+     */
+    async transaction(work) {
+        return await this.exclusive(async () => {
+            this.db.exec('BEGIN IMMEDIATE');
+
+            try {
+                const result = await work(this.tx);
+                this.db.exec('COMMIT');
+                return result;
+            } catch (error) {
+                if (this.db.inTransaction) {
+                    this.db.exec('ROLLBACK');
+                }
+                throw error;
+            }
+        });
+    }
+
+    /**
+     * Stream rows from a separate read-only connection
+     * An open iterator would block the main connection until the download finished.
+     * @param {string} sql - SQL query
+     * @param {Array} params - Query parameters
+     * @returns {Stream} Readable object stream of rows
+     */
+    stream(sql, params = []) {
+        const reader = openDatabase(this.filename, { readonly: true, fileMustExist: true });
+        const rows = reader.prepare(sql).iterate(params.map(value => this.toValue(value)));
+        const stream = Readable.from(rows, { highWaterMark: 100 });
+
+        stream.once('close', () => reader.close());
+        return stream;
+    }
+
+    /**
+     * Connection for the migrator
+     * A SQLite file belongs to one host, so no migration lock is taken.
+     * @returns {Promise} { query, execute, end }, results shaped like mysql2's [rows]
+     */
+    async openMigrationConnection() {
+        const run = async (sql, params = []) => [this.run(sql, params)];
+        return { query: run, execute: run, end: async () => {} };
+    }
+
+    /**
+     * Run a statement synchronously on the connection
+     * @param {string} sql - SQL query
+     * @param {Array} params - Query parameters
+     * @returns {*} Rows, or { affectedRows, insertId }
+     */
+    run(sql, params = []) {
+        try {
+            let statement = this.statements.get(sql);
+
+            if (!statement) {
+                if (this.statements.size >= MAX_CACHED_STATEMENTS) {
+                    this.statements.clear();
+                }
+
+                statement = this.db.prepare(sql);
+                this.statements.set(sql, statement);
+            }
+
+            const values = params.map(value => this.toValue(value));
+
+            if (statement.reader) {
+                return statement.all(values);
+            }
+
+            const info = statement.run(values);
+            return { affectedRows: info.changes, insertId: Number(info.lastInsertRowid) };
+        } catch (error) {
+            throw this.translateError(error);
+        }
+    }
+
+    /**
+     * Convert a parameter to a type SQLite can bind
+     * Dates are stored like CURRENT_TIMESTAMP (UTC, 'YYYY-MM-DD HH:MM:SS').
+     * @param {*} value - Parameter
+     * @returns {*} Bindable value
+     */
+    toValue(value) {
+        if (value === undefined) return null;
+        if (typeof value === 'boolean') return value ? 1 : 0;
+        if (value instanceof Date) return value.toISOString().slice(0, 19).replace('T', ' ');
+        return value;
+    }
+
+    /**
+     * Give a SQLite error the matching MySQL code, keeping the original as sqliteCode
+     * @param {Error} error - better-sqlite3 error
+     * @returns {Error} Same error
+     */
+    translateError(error) {
+        if (!error.code || error.sqliteCode) return error;
+
+        error.sqliteCode = error.code;
+
+        if (ERROR_CODES[error.code]) {
+            error.code = ERROR_CODES[error.code];
+        } else if (/no such table/.test(error.message)) {
+            error.code = 'ER_NO_SUCH_TABLE';
+        }
+
+        return error;
+    }
+
+    /**
+     * Close the connection once queued work has finished
+     */
+    async close() {
+        await this.exclusive(() => this.db.close());
+    }
+}
+
+module.exports = SqliteAdapter;
@@ -0,0 +1,244 @@
+/**
+ * Uploads Module
+ * What happens to an uploaded CSV file between multer writing it to UPLOAD_PATH and an import
+ * job reading it. The file's name and mimetype are only hints, so the handlers check its content
+ * before using it:
+ *   binary   - control characters other than tab, CR and LF (images, archives, spreadsheets)
+ *   encoding - bytes that are not valid text in the profile's encoding, or a byte order mark
+ *              for another encoding (a leading BOM of the right encoding is fine: profiles.js
+ *              strips it)
+ *   rows     - more than UPLOAD_MAX_ROWS lines (default 1,000,000); a quoted value that spans
+ *              lines counts every line
+ *   line     - a line longer than UPLOAD_MAX_LINE_LENGTH characters (default 10,000)
+ *
+ * A file belongs to its request until an import job claims it (see imports.createJob): the
+ * cleanupUpload middleware deletes unclaimed files once the response is sent, whatever path
+ * the request took, and the job deletes its file when it finishes. Files left behind by a
+ * crash are removed by the sweeper, which every UPLOAD_SWEEP_INTERVAL_MS deletes files older
+ * than UPLOAD_ORPHAN_MINUTES (default 60) that no queued or running job is using.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const config = require('./config');
+const importJobs = require('./imports');
+const logger = require('./logger');
+const metrics = require('./metrics');
+
+// TextDecoder labels of the profile encodings (see profiles.js)
+const DECODER_LABELS = { utf8: 'utf-8', latin1: 'latin1', utf16le: 'utf-16le' };
+
+// Byte order marks and the encoding each belongs to
+const BYTE_ORDER_MARKS = [
+    { bytes: Buffer.from([0xEF, 0xBB, 0xBF]), encoding: 'utf8', name: 'UTF-8' },
+    { bytes: Buffer.from([0xFF, 0xFE]), encoding: 'utf16le', name: 'UTF-16LE' },
+    { bytes: Buffer.from([0xFE, 0xFF]), encoding: null, name: 'UTF-16BE' }
+];
+
+// Characters text files do not contain: C0 controls except tab, LF and CR, and DEL
+const CONTROL_CHARACTERS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]/;
+
+/**
+ * Describe why a file was refused
+ * @param {string} reason - binary, encoding, rows or line
+ * @param {string} message - Explanation for the uploader
+ * @returns {Object} { reason, message }
+ */
+function rejection(reason, message) {
+    return { reason, message };
+}
+
+class Uploads {
+    constructor() {
+        this.uploadPath = config.UPLOAD_PATH;
+        this.maxRows = config.UPLOAD_MAX_ROWS;
+        this.maxLineLength = config.UPLOAD_MAX_LINE_LENGTH;
+        this.orphanMs = config.UPLOAD_ORPHAN_MINUTES * 60 * 1000;
+        this.sweepMs = config.UPLOAD_SWEEP_INTERVAL_MS;
+        this.timer = null;
+
+        this.rejections = metrics.counter('upload_rejections_total',
+            'Uploaded files refused by the content checks, by reason', ['reason']);
+    }
+
+    /**
+     * Check that a file is CSV text a profile can read
+     * The file is read once, stopping at the first problem.
+     * @param {string} filePath - Path to the upload
+     * @param {string} encoding - Profile encoding (utf8, latin1 or utf16le)
+     * @returns {Promise} { reason, message } when the file is refused, otherwise null
+     */
+    async inspect(filePath, encoding) {
+        const problem = await this.findProblem(filePath, encoding);
+
+        if (problem) {
+            this.rejections.inc({ reason: problem.reason });
+        }
+
+        return problem;
+    }
+
+    /**
+     * Read a file looking for the first problem
+     * @param {string} filePath - Path to the upload
+     * @param {string} encoding - Profile encoding
+     * @returns {Promise} { reason, message } or null
+     */
+    async findProblem(filePath, encoding) {
+        const decoder = new TextDecoder(DECODER_LABELS[encoding], { fatal: true });
+        const invalid = rejection('encoding', `File is not valid ${encoding} text: choose the encoding it was saved in`);
+        const binary = rejection('binary', 'File contains binary data, not CSV text');
+        let lines = 0;
+        let lineLength = 0;
+        let firstChunk = true;
+
+        // Leaving the loop early destroys the stream
+        for await (const bytes of fs.createReadStream(filePath)) {
+            if (firstChunk) {
+                const mismatch = this.checkByteOrderMark(bytes, encoding);
+                if (mismatch) return mismatch;
+                firstChunk = false;
+            }
+
+            // NUL bytes are text only in UTF-16; elsewhere they mark a binary file before decoding fails
+            if (encoding !== 'utf16le' && bytes.includes(0)) {
+                return binary;
+            }
+
+            let text;
+
+            try {
+                text = decoder.decode(bytes, { stream: true });
+            } catch (error) {
+                return invalid;
+            }
+
+            if (CONTROL_CHARACTERS.test(text)) {
+                return binary;
+            }
+
+            let from = 0;
+            let end;
+
+            while ((end = text.indexOf('\n', from)) !== -1) {
+                lineLength += end - from;
+                lines++;
+
+                if (lineLength > this.maxLineLength) return this.lineTooLong(lines);
+                if (lines > this.maxRows) return this.tooManyRows();
+
+                lineLength = 0;
+                from = end + 1;
+            }
+
+            lineLength += text.length - from;
+            if (lineLength > this.maxLineLength) return this.lineTooLong(lines + 1);
+        }
+
+        try {
+            decoder.decode(); // A file cut off inside a character fails here
+        } catch (error) {
+            return invalid;
+        }
+
+        if (lineLength > 0 && lines + 1 > this.maxRows) return this.tooManyRows();
+        return null;
+    }
+
+    /**
+     * Refuse a byte order mark that does not match the profile encoding
+     * @param {Buffer} bytes - Start of the file
+     * @param {string} encoding - Profile encoding
+     * @returns {Object|null} Rejection, or null when there is no BOM or it matches
+     */
+    checkByteOrderMark(bytes, encoding) {
+        const mark = BYTE_ORDER_MARKS.find(candidate => bytes.subarray(0, candidate.bytes.length).equals(candidate.bytes));
+
+        if (!mark || mark.encoding === encoding) return null;
+
+        if (!mark.encoding) {
+            return rejection('encoding', `${mark.name} files are not supported: save the file as UTF-8`);
+        }
+
+        return rejection('encoding', `File starts with a ${mark.name} byte order mark: read it with encoding ${mark.encoding}`);
+    }
+
+    /**
+     * @param {number} line - 1-based line number
+     * @returns {Object} Rejection
+     */
+    lineTooLong(line) {
+        return rejection('line', `Line ${line} is longer than ${this.maxLineLength} characters`);
+    }
+
+    /**
+     * @returns {Object} Rejection
+     */
+    tooManyRows() {
+        return rejection('rows', `File has more than ${this.maxRows} lines`);
+    }
+
+    /**
+     * Start the sweeper: remove files a previous process left behind, then check periodically
+     */
+    start() {
+        this.timer = setInterval(() => this.sweep(), this.sweepMs);
+        this.timer.unref();
+        return this.sweep();
+    }
+
+    /**
+     * Stop the sweeper
+     */
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Delete old files in the upload directory that no import job is using
+     * Dotfiles are left alone (the readiness probe writes .health-* files there).
+     * @returns {Promise<number>} Files removed
+     */
+    async sweep() {
+        const cutoff = Date.now() - this.orphanMs;
+        const inUse = new Set(importJobs.filesInUse().map(filePath => path.resolve(filePath)));
+        let names;
+        let removed = 0;
+
+        try {
+            names = await fs.promises.readdir(this.uploadPath);
+        } catch (error) {
+            logger.error('Could not list the upload directory', { error: error });
+            return 0;
+        }
+
+        for (const name of names) {
+            const filePath = path.join(this.uploadPath, name);
+
+            if (name.startsWith('.') || inUse.has(path.resolve(filePath))) continue;
+
+            try {
+                const stats = await fs.promises.stat(filePath);
+                if (!stats.isFile() || stats.mtimeMs > cutoff) continue;
+
+                await fs.promises.unlink(filePath);
+                removed++;
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    logger.error('Could not remove orphaned upload', { error: error, file: name });
+                }
+            }
+        }
+
+        if (removed > 0) {
+            logger.warn(`Removed ${removed} orphaned upload(s)`, { olderThanMinutes: this.orphanMs / 60000 });
+        }
+
+        return removed;
+    }
+}
+
+// Export singleton instance
+module.exports = new Uploads();
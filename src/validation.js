@@ -4,130 +4,446 @@
 
 const validator = require('validator');
 
+const RecordSchema = require('./schema');
+const Encryption = require('./encryption');
+const metrics = require('./metrics');
+
+// Record fields that listings may be sorted by
+const SORTABLE_FIELDS = ['id', 'first_name', 'last_name', 'email', 'eircode', 'eircode_routing_key', 'age'];
+
+// Record fields that exports may include (in default column order)
+const EXPORTABLE_FIELDS = ['id', 'first_name', 'last_name', 'email', 'phone_number', 'eircode', 'eircode_routing_key', 'age'];
+
+// Review queue states that listings may filter on
+const DUPLICATE_STATUSES = ['pending', 'merged', 'dismissed'];
+
+// Webhook delivery states that listings may filter on ('dead' is the dead-letter list)
+const DELIVERY_STATUSES = ['pending', 'sending', 'delivered', 'dead'];
+
+// Compliance log actions that listings may filter on
+const COMPLIANCE_ACTIONS = ['access', 'erasure', 'anonymisation', 'retention'];
+
+// The shared schema's custom validators, with checks only the server can afford
+const SERVER_VALIDATORS = {
+    ...RecordSchema.VALIDATORS,
+    email: { ...RecordSchema.VALIDATORS.email, test: value => validator.isEmail(value) }
+};
+
 class Validation {
+    static get SORTABLE_FIELDS() {
+        return SORTABLE_FIELDS;
+    }
+    
+    static get EXPORTABLE_FIELDS() {
+        return EXPORTABLE_FIELDS;
+    }
+
     /**
-     * Validate a single record (for CSV or form)
-     * @param {Object} record - Record to validate
-     * @param {string} source - 'csv' or 'form'
-     * @returns {Object} Validation result
+     * Validate a single record against the record schema (see schema.js)
+     * Failures are counted by field and reason for GET /metrics.
+     * @param {Object} record - Record to validate (snake_case keys)
+     * @param {string} source - 'csv', 'form' or 'update' (decides which fields are required)
+     * @returns {Object} { isValid, errors: [{ field, code, message }] }
      */
     static validateRecord(record, source = 'form') {
+        const result = RecordSchema.validate(record, source, SERVER_VALIDATORS);
+        
+        metrics.recordValidationErrors(source, result.errors);
+        return result;
+    }
+    
+    /**
+     * Store phone numbers as E.164 and Eircodes as "D02 X285"
+     * @param {Object} record - Validated record
+     * @returns {Object} Record with canonical values
+     */
+    static normalizeRecord(record) {
+        return RecordSchema.normalize(record);
+    }
+    
+    /**
+     * Routing key of an Eircode, stored alongside it for reporting
+     * @param {string} eircode - Eircode
+     * @returns {string|null} Routing key (e.g. D02), or null when there is no valid Eircode
+     */
+    static eircodeRoutingKey(eircode) {
+        const parsed = eircode ? RecordSchema.parseEircode(eircode) : null;
+        return parsed && parsed.knownRoutingKey ? parsed.routingKey : null;
+    }
+    
+    /**
+     * Validate age
+     * @param {number|string} age - Age to validate
+     * @returns {boolean} Validation result
+     */
+    static isValidAge(age) {
+        const ageNum = parseInt(age);
+        return !isNaN(ageNum) && ageNum >= 0 && ageNum <= 120;
+    }
+    
+    /**
+     * Validate a new API user account
+     * @param {Object} user - username, password, role
+     * @param {Array} roles - Allowed role names
+     * @returns {Object} Validation result
+     */
+    static validateUserAccount(user, roles) {
         const errors = [];
         
-        // Validate first name
-        if (!this.isValidName(record.first_name)) {
-            errors.push('First name must contain only letters/numbers and be max 20 characters');
+        if (typeof user.username !== 'string' || !/^[a-zA-Z0-9._-]{3,50}$/.test(user.username)) {
+            errors.push('Username must be 3-50 characters: letters, numbers, dot, underscore or hyphen');
         }
         
-        // Validate last name
-        if (!this.isValidName(record.last_name)) {
-            errors.push('Last name must contain only letters/numbers and be max 20 characters');
+        if (typeof user.password !== 'string' || user.password.length < 8) {
+            errors.push('Password must be at least 8 characters');
         }
         
-        // Validate email
-        if (!this.isValidEmail(record.email)) {
-            errors.push('Invalid email format');
+        if (!roles.includes(user.role)) {
+            errors.push(`Role must be one of: ${roles.join(', ')}`);
         }
         
-        // Source-specific validations
-        if (source === 'form') {
-            // Phone validation for form
-            if (!record.phone_number) {
-                errors.push('Phone number is required');
-            } else if (!this.isValidPhone(record.phone_number)) {
-                errors.push('Phone number must be exactly 10 digits');
-            }
-            
-            // Eircode validation for form
-            if (!record.eircode) {
-                errors.push('Eircode is required');
-            } else if (!this.isValidEircode(record.eircode)) {
-                errors.push('Eircode must start with a number and be exactly 6 alphanumeric characters');
-            }
-        } else if (source === 'csv') {
-            // Age validation for CSV - OPTIONAL
-            if (record.age && !this.isValidAge(record.age)) {
-                errors.push('Age must be a number between 0 and 120');
-            }
-            // Phone and eircode are optional for CSV (not in CSV format)
+        return {
+            isValid: errors.length === 0,
+            errors: errors
+        };
+    }
+    
+    /**
+     * Validate a data-subject request
+     * @param {Object} request - email, and mode for an erasure
+     * @param {Array} modes - Allowed erasure modes (omit for an access request)
+     * @returns {Object} Validation result, with the trimmed email
+     */
+    static validateSubjectRequest(request, modes = null) {
+        const errors = [];
+        const email = typeof request.email === 'string' ? request.email.trim() : '';
+        
+        if (!validator.isEmail(email)) {
+            errors.push('email must be a valid email address');
+        }
+        
+        if (modes && !modes.includes(request.mode)) {
+            errors.push(`mode must be one of: ${modes.join(', ')}`);
         }
         
         return {
             isValid: errors.length === 0,
+            email: email,
             errors: errors
         };
     }
     
     /**
-     * Validate name (first or last)
-     * @param {string} name - Name to validate
-     * @returns {boolean} Validation result
+     * Validate a webhook registration
+     * @param {Object} webhook - url, events, active (optional, defaults to true)
+     * @param {Array} events - Event types that can be subscribed to
+     * @returns {Object} Validation result, with the webhook to store
      */
-    static isValidName(name) {
-        if (!name || typeof name !== 'string') return false;
+    static validateWebhook(webhook, events) {
+        const errors = [];
+        
+        if (typeof webhook.url !== 'string' || webhook.url.length > 2048 ||
+            !validator.isURL(webhook.url, { protocols: ['http', 'https'], require_protocol: true, require_tld: false })) {
+            errors.push('url must be an http or https URL of at most 2048 characters');
+        }
+        
+        if (!Array.isArray(webhook.events) || webhook.events.length === 0 ||
+            webhook.events.some(event => !events.includes(event))) {
+            errors.push(`events must be a non-empty list of: ${events.join(', ')}`);
+        }
         
-        const trimmed = name.trim();
-        if (trimmed.length === 0 || trimmed.length > 20) return false;
+        if (webhook.active !== undefined && typeof webhook.active !== 'boolean') {
+            errors.push('active must be true or false');
+        }
         
-        // Only letters and numbers allowed
-        return /^[a-zA-Z0-9]+$/.test(trimmed);
+        return {
+            isValid: errors.length === 0,
+            webhook: {
+                url: webhook.url,
+                events: Array.isArray(webhook.events) ? [...new Set(webhook.events)] : [],
+                active: webhook.active !== false
+            },
+            errors: errors
+        };
     }
     
     /**
-     * Validate email
-     * @param {string} email - Email to validate
-     * @returns {boolean} Validation result
+     * Parse a record id from a route parameter
+     * @param {string} value - Raw id
+     * @returns {number|null} Positive integer id or null
      */
-    static isValidEmail(email) {
-        return validator.isEmail(email);
+    static parseId(value) {
+        if (!/^\d+$/.test(String(value))) return null;
+        
+        const id = parseInt(value);
+        return id > 0 ? id : null;
     }
     
     /**
-     * Validate phone number
-     * @param {string} phone - Phone number to validate
-     * @returns {boolean} Validation result
+     * Pick record fields out of a request body (camelCase or snake_case)
+     * @param {Object} body - Request body
+     * @returns {Object} Record containing only the supplied fields
      */
-    static isValidPhone(phone) {
-        if (!phone) return false; // Required, so empty fails
+    static extractRecordFields(body = {}) {
+        const record = {};
+        
+        for (const [column, rule] of Object.entries(RecordSchema.RECORD_SCHEMA)) {
+            const key = rule.aliases.find(alias => body[alias] !== undefined);
+            if (key) {
+                record[column] = body[key];
+            }
+        }
         
-        const cleaned = phone.toString().replace(/\D/g, '');
-        return /^\d{10}$/.test(cleaned);
+        return record;
     }
     
     /**
-     * Validate eircode
-     * @param {string} eircode - Eircode to validate
-     * @returns {boolean} Validation result
+     * Keep the query parameters that were given once
+     * Express parses a repeated parameter (?order=asc&order=desc) into an array and a nested
+     * one (?order[x]=1) into an object; each is reported as an error and left out.
+     * @param {Object} query - Request query string
+     * @param {Array} errors - Receives a message per parameter left out
+     * @returns {Object} Parameters with string values
      */
-    static isValidEircode(eircode) {
-        if (!eircode) return false; // Required, so empty fails
+    static singleValues(query, errors) {
+        const values = {};
+        
+        for (const [name, value] of Object.entries(query)) {
+            if (typeof value === 'string') {
+                values[name] = value;
+            } else {
+                errors.push(`${name} must be given once`);
+            }
+        }
         
-        const cleaned = eircode.trim();
-        return /^[0-9][a-zA-Z0-9]{5}$/.test(cleaned);
+        return values;
     }
     
     /**
-     * Validate age
-     * @param {number|string} age - Age to validate
-     * @returns {boolean} Validation result
+     * Parse listing query parameters (pagination, sorting, filters)
+     * @param {Object} rawQuery - Request query string
+     * @returns {Object} { options, errors }
      */
-    static isValidAge(age) {
-        const ageNum = parseInt(age);
-        return !isNaN(ageNum) && ageNum >= 0 && ageNum <= 120;
+    static parseRecordQuery(rawQuery = {}) {
+        const errors = [];
+        const query = this.singleValues(rawQuery, errors);
+        const filters = {};
+        
+        const page = query.page === undefined ? 1 : parseInt(query.page);
+        if (isNaN(page) || page < 1) {
+            errors.push('page must be a positive integer');
+        }
+        
+        const limit = query.limit === undefined ? 20 : parseInt(query.limit);
+        if (isNaN(limit) || limit < 1 || limit > 100) {
+            errors.push('limit must be between 1 and 100');
+        }
+        
+        // Encrypted columns hold ciphertext, which has no meaningful order
+        const sortable = SORTABLE_FIELDS.filter(field => !Encryption.isEncrypted(field));
+        const sortBy = query.sort || 'id';
+        if (!sortable.includes(sortBy)) {
+            errors.push(`sort must be one of: ${sortable.join(', ')}`);
+        }
+        
+        const sortOrder = (query.order || 'asc').toUpperCase();
+        if (sortOrder !== 'ASC' && sortOrder !== 'DESC') {
+            errors.push('order must be asc or desc');
+        }
+        
+        for (const field of ['name', 'email', 'eircode']) {
+            if (query[field] && query[field].trim()) {
+                filters[field] = query[field].trim();
+            }
+        }
+        
+        if (query.routingKey && query.routingKey.trim()) {
+            const routingKey = query.routingKey.trim().toUpperCase();
+            
+            if (!RecordSchema.EIRCODE_ROUTING_KEYS.includes(routingKey)) {
+                errors.push('routingKey must be an Eircode routing key, e.g. D02');
+            } else {
+                filters.routingKey = routingKey;
+            }
+        }
+        
+        for (const field of ['minAge', 'maxAge']) {
+            if (query[field] !== undefined) {
+                if (!this.isValidAge(query[field])) {
+                    errors.push(`${field} must be a number between 0 and 120`);
+                } else {
+                    filters[field] = parseInt(query[field]);
+                }
+            }
+        }
+        
+        return {
+            options: {
+                filters: filters,
+                sortBy: sortBy,
+                sortOrder: sortOrder,
+                page: page,
+                limit: limit,
+                offset: (page - 1) * limit
+            },
+            errors: errors
+        };
+    }
+    
+    /**
+     * Parse duplicate review queue query parameters (status, pagination)
+     * @param {Object} rawQuery - Request query string
+     * @returns {Object} { options, errors }
+     */
+    static parseDuplicateQuery(rawQuery = {}) {
+        const errors = [];
+        const query = this.singleValues(rawQuery, errors);
+        
+        const status = query.status || 'pending';
+        if (!DUPLICATE_STATUSES.includes(status)) {
+            errors.push(`status must be one of: ${DUPLICATE_STATUSES.join(', ')}`);
+        }
+        
+        const page = query.page === undefined ? 1 : parseInt(query.page);
+        if (isNaN(page) || page < 1) {
+            errors.push('page must be a positive integer');
+        }
+        
+        const limit = query.limit === undefined ? 20 : parseInt(query.limit);
+        if (isNaN(limit) || limit < 1 || limit > 100) {
+            errors.push('limit must be between 1 and 100');
+        }
+        
+        return {
+            options: {
+                status: status,
+                page: page,
+                limit: limit,
+                offset: (page - 1) * limit
+            },
+            errors: errors
+        };
+    }
+    
+    /**
+     * Parse webhook delivery query parameters (status, webhook, pagination)
+     * @param {Object} rawQuery - Request query string
+     * @returns {Object} { options, errors }
+     */
+    static parseDeliveryQuery(rawQuery = {}) {
+        const errors = [];
+        const query = this.singleValues(rawQuery, errors);
+        
+        const status = query.status || null;
+        if (status && !DELIVERY_STATUSES.includes(status)) {
+            errors.push(`status must be one of: ${DELIVERY_STATUSES.join(', ')}`);
+        }
+        
+        const webhookId = query.webhook === undefined ? null : this.parseId(query.webhook);
+        if (query.webhook !== undefined && !webhookId) {
+            errors.push('webhook must be a webhook id');
+        }
+        
+        const page = query.page === undefined ? 1 : parseInt(query.page);
+        if (isNaN(page) || page < 1) {
+            errors.push('page must be a positive integer');
+        }
+        
+        const limit = query.limit === undefined ? 20 : parseInt(query.limit);
+        if (isNaN(limit) || limit < 1 || limit > 100) {
+            errors.push('limit must be between 1 and 100');
+        }
+        
+        return {
+            options: {
+                status: status,
+                webhookId: webhookId,
+                page: page,
+                limit: limit,
+                offset: (page - 1) * limit
+            },
+            errors: errors
+        };
+    }
+    
+    /**
+     * Parse compliance log query parameters (action, email, pagination)
+     * @param {Object} rawQuery - Request query string
+     * @returns {Object} { options, errors }
+     */
+    static parseComplianceLogQuery(rawQuery = {}) {
+        const errors = [];
+        const query = this.singleValues(rawQuery, errors);
+        
+        const action = query.action || null;
+        if (action && !COMPLIANCE_ACTIONS.includes(action)) {
+            errors.push(`action must be one of: ${COMPLIANCE_ACTIONS.join(', ')}`);
+        }
+        
+        const email = query.email ? query.email.trim() : null;
+        if (email && !validator.isEmail(email)) {
+            errors.push('email must be a valid email address');
+        }
+        
+        const page = query.page === undefined ? 1 : parseInt(query.page);
+        if (isNaN(page) || page < 1) {
+            errors.push('page must be a positive integer');
+        }
+        
+        const limit = query.limit === undefined ? 20 : parseInt(query.limit);
+        if (isNaN(limit) || limit < 1 || limit > 100) {
+            errors.push('limit must be between 1 and 100');
+        }
+        
+        return {
+            options: {
+                action: action,
+                email: email,
+                page: page,
+                limit: limit,
+                offset: (page - 1) * limit
+            },
+            errors: errors
+        };
+    }
+    
+    /**
+     * Parse the comma-separated column list of an export request
+     * @param {string} value - e.g. "first_name,email" (all columns when empty)
+     * @returns {Object} { columns, errors }
+     */
+    static parseExportColumns(value) {
+        if (value === undefined || value === '') {
+            return { columns: EXPORTABLE_FIELDS, errors: [] };
+        }
+        
+        const columns = String(value).split(',').map(column => column.trim()).filter(Boolean);
+        const unknown = columns.filter(column => !EXPORTABLE_FIELDS.includes(column));
+        
+        if (columns.length === 0 || unknown.length > 0) {
+            return {
+                columns: [],
+                errors: [`columns must be a comma-separated list of: ${EXPORTABLE_FIELDS.join(', ')}`]
+            };
+        }
+        
+        return { columns: [...new Set(columns)], errors: [] };
     }
     
     /**
-     * Sanitize input to prevent XSS
+     * Clean up a submitted string without changing what the user typed
+     * Quotes, ampersands and angle brackets are kept: markup is made safe where it is
+     * output (see encoding.js), not by altering stored data.
      * @param {string} input - Input to sanitize
      * @returns {string} Sanitized input
      */
     static sanitizeInput(input) {
         if (typeof input !== 'string') return input;
         
-        // Remove HTML tags and trim whitespace
+        // Compose accents (e + U+0301 -> é), drop control characters and trim whitespace
         return input
-            .replace(/<[^>]*>/g, '') // Remove HTML tags
-            .replace(/[<>"'&]/g, '') // Remove special characters
+            .normalize('NFC')
+            .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]/g, '')
             .trim();
     }
     
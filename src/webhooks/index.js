@@ -0,0 +1,255 @@
+/**
+ * Webhooks Module
+ * Sends domain events to registered webhook URLs:
+ *   record.created   - a form submission stored a new record (its id only; fetch the record
+ *                      through the API, so no personal data is stored with the delivery)
+ *   record.updated   - a form submission changed the record stored for its email (likewise)
+ *   import.completed - a CSV import finished (counts only; fetch the records through the API)
+ *   ping             - sent on request to one webhook, to test it
+ *
+ * emit() writes one webhook_deliveries row per subscribed webhook, which the dispatcher
+ * then POSTs as JSON, signed (see signature.js), with headers naming the event:
+ *   X-Webhook-Event, X-Webhook-Id (the event id, the same for every attempt), X-Webhook-Delivery
+ * A 2xx response delivers it. Anything else is retried with exponential backoff (base
+ * WEBHOOK_RETRY_BASE_MS, at most WEBHOOK_RETRY_MAX_MS between attempts) until
+ * WEBHOOK_MAX_ATTEMPTS have failed; the delivery is then dead and waits in the dead-letter
+ * list until retried by hand. Delivery is at least once: receivers should ignore event ids
+ * they have already seen.
+ *
+ * Test against a local receiver: npm run webhooks:receiver (see receiver.js).
+ */
+
+const crypto = require('crypto');
+
+const config = require('../config');
+const database = require('../database');
+const logger = require('../logger');
+const { sign } = require('./signature');
+
+const EVENTS = ['record.created', 'record.updated', 'import.completed'];
+
+class Webhooks {
+    constructor() {
+        this.maxAttempts = config.WEBHOOK_MAX_ATTEMPTS;
+        this.retryBaseMs = config.WEBHOOK_RETRY_BASE_MS;
+        this.retryMaxMs = config.WEBHOOK_RETRY_MAX_MS;
+        this.timeoutMs = config.WEBHOOK_TIMEOUT_MS;
+        this.pollMs = config.WEBHOOK_POLL_MS;           // How often retries that came due are looked for
+        this.concurrency = config.WEBHOOK_CONCURRENCY;  // Deliveries sent at once
+        this.timer = null;
+        this.running = null;       // Promise of the dispatch pass in progress
+        this.runAgain = false;     // Events arrived during the pass
+    }
+
+    /**
+     * Event types webhooks can subscribe to
+     * @returns {Array} Event types
+     */
+    get events() {
+        return EVENTS;
+    }
+
+    /**
+     * Start the dispatcher: requeue deliveries interrupted by a previous process and poll for due ones
+     */
+    async start() {
+        try {
+            await database.requeueInterruptedWebhookDeliveries();
+        } catch (error) {
+            logger.error('Could not requeue interrupted webhook deliveries', { error: error });
+        }
+
+        this.timer = setInterval(() => this.dispatch(), this.pollMs);
+        this.timer.unref();
+        this.dispatch();
+    }
+
+    /**
+     * Stop polling and wait for deliveries in flight
+     */
+    async stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.runAgain = false;
+
+        if (this.running) await this.running;
+    }
+
+    /**
+     * Register a webhook with a new signing secret
+     * @param {Object} webhook - Validated url and events
+     * @param {Object} user - Registering user
+     * @returns {Promise} { id, secret }: the secret is only ever shown here
+     */
+    async register({ url, events }, user) {
+        const secret = crypto.randomBytes(32).toString('hex');
+        const result = await database.createWebhook({ url, secret, events, createdBy: user ? user.id : null });
+
+        return { id: result.insertId, secret: secret };
+    }
+
+    /**
+     * Queue an event for every active webhook subscribed to it
+     * Failing to queue is logged, not thrown: the change the event describes has already happened.
+     * @param {string} type - Event type
+     * @param {Object} data - Event data
+     * @returns {Promise<number>} Deliveries queued
+     */
+    async emit(type, data) {
+        if (!EVENTS.includes(type)) {
+            throw new Error(`Unknown webhook event "${type}" (expected ${EVENTS.join(', ')})`);
+        }
+
+        try {
+            const webhooks = await database.findWebhooksForEvent(type);
+
+            await this.queue(type, data, webhooks.map(webhook => webhook.id));
+            return webhooks.length;
+        } catch (error) {
+            logger.error(`Could not queue webhook event ${type}`, { error: error });
+            return 0;
+        }
+    }
+
+    /**
+     * Queue a ping event for one webhook
+     * @param {number} webhookId - Webhook id
+     * @returns {Promise<string>} Event id
+     */
+    async ping(webhookId) {
+        return await this.queue('ping', { webhookId: webhookId }, [webhookId]);
+    }
+
+    /**
+     * Store an event's deliveries and wake the dispatcher
+     * @param {string} type - Event type
+     * @param {Object} data - Event data
+     * @param {Array} webhookIds - Webhooks to deliver to
+     * @returns {Promise<string>} Event id
+     */
+    async queue(type, data, webhookIds) {
+        const event = { id: crypto.randomUUID(), type: type, createdAt: new Date().toISOString(), data: data };
+
+        if (webhookIds.length > 0) {
+            await database.insertWebhookDeliveries({ id: event.id, type: type, payload: JSON.stringify(event) }, webhookIds);
+            setImmediate(() => this.dispatch());
+        }
+
+        return event.id;
+    }
+
+    /**
+     * Send due deliveries until none are left (one pass at a time)
+     * @returns {Promise}
+     */
+    dispatch() {
+        if (this.running) {
+            this.runAgain = true;
+            return this.running;
+        }
+
+        // A pass serves every request's events, so it does not log as the request that woke it
+        this.running = logger.runWithContext({}, async () => {
+            try {
+                do {
+                    this.runAgain = false;
+
+                    for (let batch = await database.claimDueWebhookDeliveries(this.concurrency); batch.length > 0;
+                        batch = await database.claimDueWebhookDeliveries(this.concurrency)) {
+                        const results = await Promise.allSettled(batch.map(delivery => this.deliver(delivery)));
+
+                        // The rest of the batch is recorded; a delivery whose outcome could not be
+                        // saved stays 'sending' until the next start requeues it
+                        for (const result of results.filter(result => result.status === 'rejected')) {
+                            logger.error('Could not record a webhook delivery', { error: result.reason });
+                        }
+                    }
+                } while (this.runAgain);
+            } catch (error) {
+                logger.error('Webhook dispatch failed', { error: error });
+            } finally {
+                this.running = null;
+            }
+        });
+
+        return this.running;
+    }
+
+    /**
+     * Make one delivery attempt and record its outcome
+     * @param {Object} delivery - Claimed delivery with its webhook's url and secret
+     */
+    async deliver(delivery) {
+        const attempts = delivery.attempts + 1;
+        const timestamp = Math.floor(Date.now() / 1000);
+        let statusCode = null;
+        let failure = null;
+
+        try {
+            const response = await fetch(delivery.url, {
+                method: 'POST',
+                redirect: 'manual',
+                signal: AbortSignal.timeout(this.timeoutMs),
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'ca2-webhooks/1.0',
+                    'X-Webhook-Event': delivery.event_type,
+                    'X-Webhook-Id': delivery.event_id,
+                    'X-Webhook-Delivery': String(delivery.id),
+                    'X-Webhook-Timestamp': String(timestamp),
+                    'X-Webhook-Signature': sign(delivery.secret, timestamp, delivery.payload)
+                },
+                body: delivery.payload
+            });
+
+            statusCode = response.status;
+            await response.arrayBuffer().catch(() => {});
+
+            if (!response.ok) failure = `HTTP ${response.status}`;
+        } catch (error) {
+            failure = error.cause ? `${error.message}: ${error.cause.message}` : error.message;
+        }
+
+        if (!failure) {
+            await database.updateWebhookDelivery(delivery.id, {
+                status: 'delivered',
+                attempts: attempts,
+                last_status_code: statusCode,
+                last_error: null,
+                delivered_at: new Date()
+            });
+            return;
+        }
+
+        const dead = attempts >= this.maxAttempts;
+
+        if (dead) {
+            logger.warn(`Webhook delivery ${delivery.id} (${delivery.event_type}) is dead after ${attempts} attempt(s)`, {
+                webhookId: delivery.webhook_id,
+                failure: failure
+            });
+        }
+
+        await database.updateWebhookDelivery(delivery.id, {
+            status: dead ? 'dead' : 'pending',
+            attempts: attempts,
+            next_attempt_at: new Date(Date.now() + (dead ? 0 : this.retryDelay(attempts))),
+            last_status_code: statusCode,
+            last_error: failure.slice(0, 500)
+        });
+    }
+
+    /**
+     * Wait before the next attempt: doubling from the base delay, capped, with up to 20% jitter
+     * so deliveries that failed together do not all retry together
+     * @param {number} attempts - Attempts made so far
+     * @returns {number} Milliseconds
+     */
+    retryDelay(attempts) {
+        const delay = Math.min(this.retryBaseMs * 2 ** (attempts - 1), this.retryMaxMs);
+        return Math.round(delay * (1 - Math.random() * 0.2));
+    }
+}
+
+// Export singleton instance
+module.exports = new Webhooks();
@@ -0,0 +1,129 @@
+/**
+ * Webhook Receiver
+ * A small local HTTP server to test webhook delivery against: it checks each request's
+ * signature, keeps the events it accepts and prints them when run directly. It can be told
+ * to fail requests, to watch retries and the dead-letter list at work.
+ *
+ * Usage: npm run webhooks:receiver -- [port] [--fail N]   (default port 4000)
+ *   WEBHOOK_SECRET - secret shown when the webhook was registered; without it signatures are not checked
+ *   --fail N       - answer the first N requests with 503
+ * Register it with POST /api/webhooks { "url": "http://localhost:4000/", "events": [...] }.
+ */
+
+const http = require('http');
+
+const config = require('../config');
+const { verify } = require('./signature');
+
+class WebhookReceiver {
+    /**
+     * @param {Object} options - secret (null skips signature checks), failures (requests to refuse first)
+     */
+    constructor({ secret = null, failures = 0 } = {}) {
+        this.secret = secret;
+        this.failures = failures;
+        this.received = []; // Accepted events: { event, delivery, payload }
+        this.seen = new Set(); // Event ids, to spot repeated deliveries
+        this.server = http.createServer((req, res) => this.handleRequest(req, res));
+    }
+
+    /**
+     * Start listening
+     * @param {number} port - Port (0 picks a free one)
+     * @returns {Promise<number>} Port in use
+     */
+    listen(port = 4000) {
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, '127.0.0.1', () => resolve(this.server.address().port));
+        });
+    }
+
+    /**
+     * Stop listening
+     * @returns {Promise}
+     */
+    close() {
+        this.server.closeAllConnections();
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    /**
+     * Check and record one delivery
+     * @param {Object} req - Request
+     * @param {Object} res - Response
+     */
+    handleRequest(req, res) {
+        const chunks = [];
+
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const body = Buffer.concat(chunks).toString('utf8');
+            const eventId = req.headers['x-webhook-id'];
+
+            if (req.method !== 'POST') {
+                res.writeHead(405).end();
+                return;
+            }
+
+            if (this.secret && !verify(this.secret, {
+                timestamp: req.headers['x-webhook-timestamp'],
+                signature: req.headers['x-webhook-signature'],
+                body: body
+            })) {
+                this.log(`Rejected ${req.headers['x-webhook-event']} ${eventId}: bad signature`);
+                res.writeHead(401).end();
+                return;
+            }
+
+            if (this.failures > 0) {
+                this.failures--;
+                this.log(`Failing ${req.headers['x-webhook-event']} ${eventId} on purpose`);
+                res.writeHead(503).end();
+                return;
+            }
+
+            let payload;
+
+            try {
+                payload = JSON.parse(body);
+            } catch (error) {
+                res.writeHead(400).end();
+                return;
+            }
+
+            const repeated = this.seen.has(eventId);
+            this.seen.add(eventId);
+            this.received.push({ event: eventId, delivery: req.headers['x-webhook-delivery'], payload: payload });
+            this.log(`${repeated ? 'Repeated' : 'Received'} ${req.headers['x-webhook-event']} ${eventId}: ${body}`);
+            res.writeHead(204).end();
+        });
+    }
+
+    /**
+     * Print a line when running as a standalone server
+     * @param {string} message - Text
+     */
+    log(message) {
+        if (require.main === module) console.log(message);
+    }
+}
+
+// Run as a standalone server
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const failIndex = args.indexOf('--fail');
+    const failures = failIndex === -1 ? 0 : parseInt(args.splice(failIndex, 2)[1]) || 0;
+    const receiver = new WebhookReceiver({ secret: config.WEBHOOK_SECRET, failures: failures });
+
+    receiver.listen(parseInt(args[0]) || 4000).then(
+        port => console.log(`Webhook receiver listening on http://127.0.0.1:${port}/` +
+            (receiver.secret ? '' : ' (WEBHOOK_SECRET not set: signatures are not checked)')),
+        error => {
+            console.error('Webhook receiver failed to start:', error.message);
+            process.exit(1);
+        }
+    );
+}
+
+module.exports = WebhookReceiver;
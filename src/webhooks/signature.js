@@ -0,0 +1,48 @@
+/**
+ * Webhook Signatures
+ * Every delivery is signed with the webhook's secret so receivers can check it came from
+ * this server and was not altered or replayed:
+ *   X-Webhook-Timestamp: <unix seconds>
+ *   X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>">
+ * Receivers should recompute the HMAC over the raw body, compare in constant time and refuse
+ * timestamps more than a few minutes old.
+ */
+
+const crypto = require('crypto');
+
+// Oldest signature verify() accepts by default
+const DEFAULT_TOLERANCE_SECONDS = 5 * 60;
+
+/**
+ * Sign a request body
+ * @param {string} secret - Webhook secret
+ * @param {number} timestamp - Unix time in seconds
+ * @param {string} body - Raw JSON body
+ * @returns {string} Signature header value
+ */
+function sign(secret, timestamp, body) {
+    const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `sha256=${digest}`;
+}
+
+/**
+ * Check a signed request
+ * @param {string} secret - Webhook secret
+ * @param {Object} request - { timestamp, signature } header values and body (raw text)
+ * @param {number} toleranceSeconds - Oldest (or furthest in the future) timestamp accepted
+ * @returns {boolean} Whether the signature is valid and recent
+ */
+function verify(secret, { timestamp, signature, body }, toleranceSeconds = DEFAULT_TOLERANCE_SECONDS) {
+    const seconds = Number(timestamp);
+
+    if (!Number.isInteger(seconds) || Math.abs(Date.now() / 1000 - seconds) > toleranceSeconds) {
+        return false;
+    }
+
+    const expected = Buffer.from(sign(secret, seconds, body));
+    const given = Buffer.from(String(signature || ''));
+
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+module.exports = { sign, verify };
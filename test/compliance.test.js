@@ -0,0 +1,93 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const { database, startServer, authorize, findRecord } = require('./support');
+
+let app;
+let admin;
+
+before(async () => {
+    app = await startServer();
+    admin = await authorize('admin');
+
+    await database.insertRecord({ first_name: 'Ann', last_name: 'Byrne', email: 'ann@example.com', eircode: 'D02 X285', age: 30 });
+    await database.insertRecord({ first_name: 'Ann', last_name: 'Burke', email: 'ann@example.com', eircode: 'D02 X285', age: 30 });
+    await database.insertRecord({ first_name: 'Ben', last_name: 'Walsh', email: 'ben@example.com', phone_number: '+353871234567', eircode: 'D02 X285', age: 40 });
+
+    await database.createImportJob({ id: 'job-1', originalFilename: 'records.csv', createdBy: null, profileId: null, mode: 'upsert' });
+    await database.insertRejectedRows('job-1', [{ row: 2, raw: { email: 'ann@example.com', age: '200' }, errors: ['Age is too large'] }]);
+});
+
+after(() => app.stop());
+
+/**
+ * POST a JSON body as the admin
+ * @param {string} route - Path
+ * @param {Object} body - Request body
+ * @returns {Promise} Parsed response body
+ */
+async function post(route, body) {
+    const response = await app.request(route, {
+        method: 'POST',
+        headers: { ...admin, 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+
+    assert.strictEqual(response.status, 200);
+    return await response.json();
+}
+
+/**
+ * Actions in the compliance log, sorted by name (entries made in the same second have no order)
+ * @returns {Promise} Action names
+ */
+async function loggedActions() {
+    const response = await app.request('/api/compliance-log', { headers: admin });
+    return (await response.json()).data.map(entry => entry.action).sort();
+}
+
+test('subject access gathers the record, its history and rejected rows', async () => {
+    const { data } = await post('/api/subject-requests/access', { email: 'ann@example.com' });
+
+    assert.strictEqual(data.record.last_name, 'Burke');
+    assert.deepStrictEqual(data.history.map(entry => entry.operation), ['insert', 'update']);
+    assert.deepStrictEqual(data.rejectedImportRows.map(row => row.values.age), ['200']);
+    assert.deepStrictEqual(await loggedActions(), ['access']);
+});
+
+test('erasure deletes the record, its history and rows naming the address', async () => {
+    const { data } = await post('/api/subject-requests/erasure', { email: 'ann@example.com', mode: 'erase' });
+
+    assert.strictEqual(data.records, 1);
+    assert.strictEqual(data.rejectedRows, 1);
+    assert.strictEqual(await findRecord('ann@example.com'), null);
+
+    const { data: left } = await post('/api/subject-requests/access', { email: 'ann@example.com' });
+    assert.strictEqual(left.record, null);
+    assert.deepStrictEqual(left.history, []);
+    assert.deepStrictEqual(left.rejectedImportRows, []);
+});
+
+test('anonymisation clears personal data and what is derived from it', async () => {
+    const { id } = await findRecord('ben@example.com');
+
+    await post('/api/subject-requests/erasure', { email: 'ben@example.com', mode: 'anonymise' });
+
+    const response = await app.request(`/api/records/${id}`, { headers: admin });
+    const { data: record } = await response.json();
+
+    assert.strictEqual(record.first_name, 'Anonymised');
+    assert.notStrictEqual(record.email, 'ben@example.com');
+    assert.strictEqual(record.phone_number, null);
+    assert.strictEqual(record.eircode, null);
+    assert.strictEqual(record.eircode_routing_key, null);
+    assert.strictEqual(record.age, 40);
+    assert.strictEqual(await findRecord('ben@example.com'), null);
+});
+
+test('every request is written to the compliance log', async () => {
+    assert.deepStrictEqual(await loggedActions(), ['access', 'access', 'anonymisation', 'erasure']);
+
+    const response = await app.request('/api/compliance-log?action=access&action=erasure', { headers: admin });
+    assert.strictEqual(response.status, 400);
+});
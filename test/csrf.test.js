@@ -0,0 +1,110 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+
+process.env.MIN_FORM_FILL_SECONDS = '3';
+process.env.FORM_CHALLENGE = 'stub';
+
+const { startServer } = require('./support');
+const Csrf = require('../src/csrf');
+
+const FORM = {
+    firstName: 'Ann',
+    lastName: 'Byrne',
+    email: 'ann@example.com',
+    phoneNumber: '087 123 4567',
+    eircode: 'D02 X285',
+    age: 30,
+    challengeResponse: 'pass'
+};
+
+// A form opened a minute ago, long enough to have been filled in by a person
+const OPENED_AT = Date.now() - 60 * 1000;
+
+let app;
+
+before(async () => {
+    app = await startServer();
+});
+
+after(() => app.stop());
+
+/**
+ * Check a token pair the way the form middleware does
+ * @param {string} cookie - Cookie value (omitted when undefined)
+ * @param {string} header - X-CSRF-Token value
+ * @returns {Object} Csrf.verify result
+ */
+function verify(cookie, header = cookie) {
+    const headers = { [Csrf.HEADER_NAME]: header };
+
+    if (cookie !== undefined) headers.Cookie = `${Csrf.COOKIE_NAME}=${cookie}`;
+
+    return Csrf.verify({ get: name => headers[name] });
+}
+
+/**
+ * Submit the form anonymously
+ * @param {Object} options - cookie, header (token values) and form fields
+ * @returns {Promise} { status, message }
+ */
+async function submit({ cookie, header = cookie, form = FORM }) {
+    const headers = { 'Content-Type': 'application/json' };
+
+    if (cookie !== undefined) headers.Cookie = `${Csrf.COOKIE_NAME}=${cookie}`;
+    if (header !== undefined) headers[Csrf.HEADER_NAME] = header;
+
+    const response = await app.request('/api/submit-form', {
+        method: 'POST',
+        headers: headers,
+        body: JSON.stringify(form)
+    });
+
+    return { status: response.status, message: (await response.json()).message };
+}
+
+test('tokens are checked against the cookie, their signature and their age', () => {
+    const token = Csrf.issue(OPENED_AT);
+    const forged = token.replace(/.$/, char => (char === '0' ? '1' : '0'));
+    const stale = Csrf.issue(Date.now() - 3 * 60 * 60 * 1000);
+
+    assert.strictEqual(verify(undefined, token).reason, 'csrf_missing');
+    assert.strictEqual(verify(token, Csrf.issue(OPENED_AT)).reason, 'csrf_mismatch');
+    assert.strictEqual(verify(forged).reason, 'csrf_invalid');
+    assert.strictEqual(verify(stale).reason, 'csrf_expired');
+    assert.strictEqual(verify(token).valid, true);
+});
+
+test('a cookie that does not decode counts as missing', () => {
+    assert.strictEqual(verify('%E0').reason, 'csrf_missing');
+});
+
+test('a submission with a valid token is accepted', async () => {
+    const token = Csrf.issue(OPENED_AT);
+    assert.strictEqual((await submit({ cookie: token })).status, 200);
+});
+
+test('submissions without a usable token are refused', async () => {
+    const token = Csrf.issue(OPENED_AT);
+
+    for (const attempt of [{}, { cookie: token, header: Csrf.issue(OPENED_AT) }, { cookie: '%E0' }]) {
+        const { status, message } = await submit(attempt);
+
+        assert.strictEqual(status, 403);
+        assert.match(message, /form token/);
+    }
+});
+
+test('filled-in honeypots, fast submissions and failed challenges are refused', async () => {
+    const honeypot = await submit({ cookie: Csrf.issue(OPENED_AT), form: { ...FORM, website: 'http://spam.example' } });
+    const tooFast = await submit({ cookie: Csrf.issue() });
+    const challenge = await submit({ cookie: Csrf.issue(OPENED_AT), form: { ...FORM, challengeResponse: 'fail' } });
+
+    assert.deepStrictEqual(
+        [honeypot, tooFast, challenge].map(result => [result.status, result.message]),
+        [
+            [403, 'Form submission rejected'],
+            [403, 'Form submission rejected, please try again'],
+            [403, 'Challenge failed, please try again']
+        ]
+    );
+});
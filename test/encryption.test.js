@@ -0,0 +1,106 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+
+const newKey = () => crypto.randomBytes(32).toString('base64');
+
+process.env.ENCRYPTION_KEYS = `k2:${newKey()},k1:${newKey()}`;
+process.env.ENCRYPTION_INDEX_KEY = newKey();
+process.env.ENCRYPTION_ACTIVE_KEY = 'k2';
+
+const { database, findRecord } = require('./support');
+const Encryption = require('../src/encryption');
+
+/**
+ * Load a second copy of the encryption module with k1 active, as a process started before
+ * the rotation to k2 would have it
+ * @returns {Object} Encryption class
+ */
+function loadRotatedOut() {
+    const modules = ['../src/config', '../src/encryption'].map(name => require.resolve(name));
+    const loaded = modules.map(path => require.cache[path]);
+
+    modules.forEach(path => delete require.cache[path]);
+    process.env.ENCRYPTION_ACTIVE_KEY = 'k1';
+
+    try {
+        return require('../src/encryption');
+    } finally {
+        modules.forEach((path, i) => { require.cache[path] = loaded[i]; });
+        process.env.ENCRYPTION_ACTIVE_KEY = 'k2';
+    }
+}
+
+const RotatedOut = loadRotatedOut();
+
+before(() => database.initializeDatabase());
+
+/**
+ * Read a column as stored, without decrypting it
+ * @param {string} sql - SELECT returning one row
+ * @param {Array} params - Query parameters
+ * @returns {Promise} Row
+ */
+async function storedRow(sql, params) {
+    return (await database.execute(sql, params))[0];
+}
+
+test('values round-trip under the active key and do not survive tampering', () => {
+    const sealed = Encryption.encrypt('email', 'ann@example.com');
+
+    assert.ok(sealed.startsWith('enc:1:k2:'));
+    assert.strictEqual(Encryption.decrypt('email', sealed), 'ann@example.com');
+    assert.notStrictEqual(Encryption.encrypt('email', 'ann@example.com'), sealed);
+    assert.throws(() => Encryption.decrypt('email', sealed.slice(0, -4) + 'AAAA'));
+});
+
+test('personal data is stored encrypted and found through its blind index', async () => {
+    const { insertId } = await database.insertRecord({
+        first_name: 'Ann',
+        last_name: 'Byrne',
+        email: 'ann@example.com',
+        phone_number: '+353871234567',
+        eircode: 'D02 X285'
+    });
+
+    const stored = await storedRow('SELECT email, phone_number, eircode, first_name FROM mysql_table WHERE id = ?', [insertId]);
+
+    assert.ok(Encryption.isCiphertext(stored.email));
+    assert.ok(Encryption.isCiphertext(stored.phone_number));
+    assert.ok(Encryption.isCiphertext(stored.eircode));
+    assert.strictEqual(stored.first_name, 'Ann');
+    assert.strictEqual((await findRecord('ann@example.com')).eircode, 'D02 X285');
+    assert.strictEqual((await database.findRecords({ filters: { email: 'ANN@example.com' } })).total, 1);
+});
+
+test('stored responses and rejected import rows are sealed whole', async () => {
+    await database.claimIdempotencyKey('key-1', 'request-1', new Date(Date.now() + 60 * 1000));
+    await database.completeIdempotencyKey('key-1', 200, { data: { email: 'ann@example.com' } });
+
+    await database.createImportJob({ id: 'job-1', originalFilename: 'records.csv', createdBy: null, profileId: null, mode: 'upsert' });
+    await database.insertRejectedRows('job-1', [{ row: 2, raw: { email: 'ann@example' }, errors: ['Email must be a valid email address'] }]);
+
+    const response = await storedRow('SELECT response_body FROM idempotency_keys WHERE key_hash = ?', ['key-1']);
+    const rejected = await storedRow('SELECT raw_data FROM import_rejected_rows WHERE job_id = ?', ['job-1']);
+
+    assert.doesNotMatch(String(response.response_body), /ann@example/);
+    assert.doesNotMatch(String(rejected.raw_data), /ann@example/);
+    assert.deepStrictEqual((await database.findIdempotencyKey('key-1')).response_body, { data: { email: 'ann@example.com' } });
+    assert.deepStrictEqual((await database.findRejectedRows('job-1'))[0].raw, { email: 'ann@example' });
+});
+
+test('re-encrypting moves values sealed under an old key to the active one', async () => {
+    const { insertId } = await database.insertRecord({ first_name: 'Ben', last_name: 'Walsh', email: 'ben@example.com' });
+    await database.execute('UPDATE mysql_table SET email = ? WHERE id = ?', [RotatedOut.encrypt('email', 'ben@example.com'), insertId]);
+
+    assert.strictEqual(Encryption.keyIdOf((await storedRow('SELECT email FROM mysql_table WHERE id = ?', [insertId])).email), 'k1');
+    assert.strictEqual((await findRecord('ben@example.com')).email, 'ben@example.com');
+
+    const counts = await database.reencryptAll();
+    const stored = await storedRow('SELECT email FROM mysql_table WHERE id = ?', [insertId]);
+
+    assert.strictEqual(counts.records, 1);
+    assert.strictEqual(Encryption.keyIdOf(stored.email), 'k2');
+    assert.strictEqual(Encryption.decrypt('email', stored.email), 'ben@example.com');
+    assert.strictEqual((await database.reencryptAll()).records, 0);
+});
@@ -0,0 +1,75 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const { startServer, authorize, csvUpload } = require('./support');
+
+const FORM = {
+    firstName: 'Ann',
+    lastName: 'Byrne',
+    email: 'ann@example.com',
+    phoneNumber: '087 123 4567',
+    eircode: 'D02 X285',
+    age: 30
+};
+
+let app;
+let submitter;
+
+before(async () => {
+    app = await startServer();
+    submitter = await authorize('submitter');
+});
+
+after(() => app.stop());
+
+/**
+ * Submit the form with an Idempotency-Key
+ * @param {string} key - Idempotency-Key header
+ * @param {Object} form - Form fields
+ * @returns {Promise} Response
+ */
+function submit(key, form = FORM) {
+    return app.request('/api/submit-form', {
+        method: 'POST',
+        headers: { ...submitter, 'Content-Type': 'application/json', 'Idempotency-Key': key },
+        body: JSON.stringify(form)
+    });
+}
+
+test('a repeated request gets the stored response', async () => {
+    const first = await submit('form-1');
+    const firstBody = await first.json();
+
+    const repeat = await submit('form-1');
+
+    assert.strictEqual(first.status, 200);
+    assert.strictEqual(repeat.status, 200);
+    assert.strictEqual(repeat.headers.get('Idempotent-Replayed'), 'true');
+    assert.deepStrictEqual(await repeat.json(), firstBody);
+});
+
+test('reusing a key for a different request is refused', async () => {
+    await submit('form-2');
+    const response = await submit('form-2', { ...FORM, lastName: 'Burke' });
+
+    assert.strictEqual(response.status, 422);
+});
+
+test('keys belong to the caller and the route they were used on', async () => {
+    await submit('shared-key');
+
+    const importer = await authorize('importer');
+    const upload = await app.request('/api/upload-csv', {
+        method: 'POST',
+        headers: { ...importer, 'Idempotency-Key': 'shared-key' },
+        body: csvUpload('first_name,last_name,email\nBen,Walsh,ben@example.com\n')
+    });
+
+    assert.strictEqual(upload.status, 202);
+    assert.strictEqual(upload.headers.get('Idempotent-Replayed'), null);
+});
+
+test('a malformed key is refused', async () => {
+    const response = await submit('has spaces');
+    assert.strictEqual(response.status, 400);
+});
@@ -0,0 +1,94 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const { startServer, authorize, findRecord, csvUpload, waitForImport } = require('./support');
+
+const HEADER = 'first_name,last_name,email,age\n';
+
+let app;
+let importer;
+
+before(async () => {
+    app = await startServer();
+    importer = await authorize('importer');
+});
+
+after(() => app.stop());
+
+/**
+ * Upload a CSV file and wait for its import to finish
+ * @param {string} rows - CSV lines after the header
+ * @param {string} mode - Import mode
+ * @returns {Promise} Job status
+ */
+async function runImport(rows, mode) {
+    const response = await app.request('/api/upload-csv', {
+        method: 'POST',
+        headers: importer,
+        body: csvUpload(HEADER + rows, { mode })
+    });
+
+    assert.strictEqual(response.status, 202);
+    return await waitForImport(app, importer, (await response.json()).jobId);
+}
+
+test('upsert inserts new emails and overwrites stored ones', async () => {
+    await runImport('Ann,Byrne,ann@example.com,30\n', 'upsert');
+    const job = await runImport('Ann,Burke,ann@example.com,31\nBen,Walsh,ben@example.com,40\n', 'upsert');
+
+    assert.strictEqual(job.status, 'completed');
+    assert.strictEqual(job.summary.inserted, 1);
+    assert.strictEqual(job.summary.updated, 1);
+    assert.strictEqual((await findRecord('ann@example.com')).last_name, 'Burke');
+});
+
+test('insert rejects rows whose email is already stored', async () => {
+    await runImport('Cara,Doyle,cara@example.com,25\n', 'insert');
+    const job = await runImport('Cara,Duffy,cara@example.com,26\nDan,Ryan,dan@example.com,50\n', 'insert');
+
+    assert.strictEqual(job.summary.inserted, 1);
+    assert.strictEqual(job.summary.failed, 1);
+    assert.strictEqual((await findRecord('cara@example.com')).last_name, 'Doyle');
+});
+
+test('skip leaves stored records alone', async () => {
+    await runImport('Eve,Kelly,eve@example.com,22\n', 'skip');
+    const job = await runImport('Eve,Kenny,eve@example.com,23\n', 'skip');
+
+    assert.strictEqual(job.summary.skipped, 1);
+    assert.strictEqual((await findRecord('eve@example.com')).last_name, 'Kelly');
+});
+
+test('strict stores nothing when a row is invalid', async () => {
+    const job = await runImport('Fay,Nolan,fay@example.com,44\nGus,Quinn,not-an-email,45\n', 'strict');
+
+    assert.strictEqual(job.status, 'failed');
+    assert.strictEqual(job.rowsRejected, 1);
+    assert.strictEqual(await findRecord('fay@example.com'), null);
+});
+
+test('an unknown mode is refused', async () => {
+    const response = await app.request('/api/upload-csv', {
+        method: 'POST',
+        headers: importer,
+        body: csvUpload(HEADER, { mode: 'merge' })
+    });
+
+    assert.strictEqual(response.status, 400);
+});
+
+test('a CSV export re-imports with the values it was made from', async () => {
+    await runImport('Gus,Quinn,=cmd@example.com,45\n', 'insert');
+
+    const admin = await authorize('admin');
+    const exported = await app.request('/api/export?format=csv&columns=first_name,last_name,email,age&email==cmd@example.com', { headers: admin });
+    const csv = await exported.text();
+
+    assert.strictEqual(csv, `${HEADER.replace('\n', '\r\n')}Gus,Quinn,'=cmd@example.com,45\r\n`);
+
+    const job = await runImport(csv.split('\r\n').slice(1).join('\n'), 'upsert');
+
+    assert.strictEqual(job.summary.updated, 1);
+    assert.strictEqual(job.summary.inserted, 0);
+    assert.strictEqual((await findRecord('=cmd@example.com')).email, '=cmd@example.com');
+});
@@ -0,0 +1,59 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const RedisStandin = require('../src/ratelimit/standin');
+
+process.env.RATE_LIMITS = JSON.stringify({ submit: { user: 2 } });
+process.env.RATE_LIMIT_STORE = 'redis';
+
+const standin = new RedisStandin();
+let RateLimit;
+let app;
+let submitter;
+
+// Settings are read once, so the stand-in's port must be known before the app is loaded
+before(async () => {
+    process.env.REDIS_URL = `redis://127.0.0.1:${await standin.listen(0)}`;
+
+    const { startServer, authorize } = require('./support');
+    RateLimit = require('../src/ratelimit');
+    app = await startServer();
+    submitter = await authorize('submitter');
+});
+
+after(async () => {
+    await app.stop();
+    await RateLimit.closeStores();
+    await standin.close();
+});
+
+for (const type of ['memory', 'redis']) {
+    test(`the ${type} store counts per key until its window ends`, async () => {
+        const store = RateLimit.createStore({ ...RateLimit.getPolicy('upload'), name: `test-${type}`, windowMs: 200 });
+
+        assert.strictEqual((await store.increment('a')).totalHits, 1);
+        assert.strictEqual((await store.increment('a', 5)).totalHits, 6);
+        assert.strictEqual((await store.increment('b')).totalHits, 1);
+
+        await store.decrement('a');
+        assert.strictEqual((await store.increment('a')).totalHits, 6);
+
+        await new Promise(resolve => setTimeout(resolve, 300));
+        assert.strictEqual((await store.increment('a')).totalHits, 1);
+    });
+}
+
+test('a policy refuses requests over its limit', async () => {
+    const statuses = [];
+
+    for (let i = 0; i < 3; i++) {
+        const response = await app.request('/api/submit-form', {
+            method: 'POST',
+            headers: { ...submitter, 'Content-Type': 'application/json' },
+            body: JSON.stringify({ firstName: 'Ann' })
+        });
+        statuses.push(response.status);
+    }
+
+    assert.deepStrictEqual(statuses, [400, 400, 429]);
+});
@@ -0,0 +1,56 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const { database, startServer, authorize } = require('./support');
+
+let app;
+let viewer;
+
+before(async () => {
+    app = await startServer();
+    viewer = await authorize('viewer');
+
+    await database.insertBulkRecords([
+        { first_name: 'Ann', last_name: 'Byrne', email: 'ann@example.com', age: 30 },
+        { first_name: 'Ben', last_name: 'Walsh', email: 'ben@example.com', age: 40 }
+    ]);
+});
+
+after(() => app.stop());
+
+test('records are listed in the requested order', async () => {
+    const response = await app.request('/api/records?sort=age&order=desc', { headers: viewer });
+    const body = await response.json();
+
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(body.data.map(record => record.email), ['ben@example.com', 'ann@example.com']);
+});
+
+test('repeated and nested query parameters are refused', async () => {
+    for (const query of ['order=asc&order=desc', 'page=1&page=2', 'name[first]=Ann']) {
+        const response = await app.request(`/api/records?${query}`, { headers: viewer });
+        assert.strictEqual(response.status, 400, query);
+    }
+});
+
+test('an unknown record is not found', async () => {
+    const response = await app.request('/api/records/999', { headers: viewer });
+    assert.strictEqual(response.status, 404);
+});
+
+test('records export as CSV with a header row', async () => {
+    const response = await app.request('/api/export?format=csv&columns=first_name,email', { headers: viewer });
+
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(await response.text(), 'first_name,email\r\nAnn,ann@example.com\r\nBen,ben@example.com\r\n');
+});
+
+test('only the export formats are accepted', async () => {
+    for (const format of ['pdf', 'constructor', '__proto__', 'toString', 'hasOwnProperty']) {
+        const response = await app.request(`/api/export?format=${format}`, { headers: viewer });
+        assert.strictEqual(response.status, 400, format);
+    }
+
+    const repeated = await app.request('/api/export?format=csv&format=xlsx', { headers: viewer });
+    assert.strictEqual(repeated.status, 400);
+});
@@ -0,0 +1,50 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert');
+
+const { database, findRecord } = require('./support');
+
+before(() => database.initializeDatabase());
+
+test('insertRecord upserts by email', async () => {
+    const first = await database.insertRecord({ first_name: 'Ann', last_name: 'Byrne', email: 'ann@example.com', age: 30 });
+    const second = await database.insertRecord({ first_name: 'Ann', last_name: 'Burke', email: 'ann@example.com', age: 31 });
+
+    assert.strictEqual(second.insertId, first.insertId);
+
+    const record = await findRecord('ann@example.com');
+    assert.strictEqual(record.last_name, 'Burke');
+    assert.strictEqual(record.age, 31);
+});
+
+test('insertBulkRecords reports inserted and updated rows', async () => {
+    const result = await database.insertBulkRecords([
+        { first_name: 'Ben', last_name: 'Walsh', email: 'ben@example.com', age: 40 },
+        { first_name: 'Ann', last_name: 'Brady', email: 'ann@example.com', age: 32 }
+    ]);
+
+    assert.strictEqual(result.inserted, 1);
+    assert.strictEqual(result.updated, 1);
+    assert.deepStrictEqual(result.failed, []);
+    assert.strictEqual((await findRecord('ann@example.com')).last_name, 'Brady');
+});
+
+test('insertBulkRecords in insert mode fails duplicates and keeps the rest', async () => {
+    const result = await database.insertBulkRecords([
+        { first_name: 'Ben', last_name: 'Wall', email: 'ben@example.com', age: 41 },
+        { first_name: 'Cara', last_name: 'Doyle', email: 'cara@example.com', age: 25 }
+    ], { mode: 'insert' });
+
+    assert.strictEqual(result.inserted, 1);
+    assert.strictEqual(result.failed.length, 1);
+    assert.strictEqual(result.failed[0].index, 0);
+    assert.strictEqual((await findRecord('ben@example.com')).last_name, 'Walsh');
+});
+
+test('a failed transaction leaves nothing behind', async () => {
+    await assert.rejects(database.withTransaction(async (connection) => {
+        await connection.insert('mysql_table', ['first_name', 'last_name', 'email'], [['Dan', 'Ryan', 'dan@example.com']]);
+        throw new Error('rolled back');
+    }), /rolled back/);
+
+    assert.strictEqual(await findRecord('dan@example.com'), null);
+});
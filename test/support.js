@@ -0,0 +1,122 @@
+/**
+ * Test Support
+ * Runs the server in-process on the in-memory storage adapter. Require this module before
+ * anything under src/: settings are read when the config module is first loaded, so a test
+ * file sets its own environment (keys, limits) above this require.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Uploads of this test file, removed when it ends
+const UPLOAD_PATH = fs.mkdtempSync(path.join(os.tmpdir(), 'ca2-test-'));
+process.on('exit', () => fs.rmSync(UPLOAD_PATH, { recursive: true, force: true }));
+
+const TEST_ENVIRONMENT = {
+    NODE_ENV: 'test',
+    STORAGE_ADAPTER: 'memory',
+    LOG_LEVEL: 'silent',
+    JWT_SECRET: 'test-jwt-secret',
+    CSRF_SECRET: 'test-csrf-secret',
+    UPLOAD_PATH: UPLOAD_PATH
+};
+
+for (const [name, value] of Object.entries(TEST_ENVIRONMENT)) {
+    if (process.env[name] === undefined) {
+        process.env[name] = value;
+    }
+}
+
+const database = require('../src/database');
+const Auth = require('../src/auth');
+const Server = require('../src/index');
+
+let userCount = 0;
+
+/**
+ * Start a server on a free port
+ * @returns {Promise} { url, request, stop }
+ */
+async function startServer() {
+    await database.initializeDatabase();
+
+    const server = new Server();
+    await new Promise(resolve => {
+        server.server = server.app.listen(0, '127.0.0.1', resolve);
+    });
+
+    const url = `http://127.0.0.1:${server.server.address().port}`;
+
+    return {
+        url: url,
+        request: (route, options = {}) => fetch(url + route, options),
+        stop: () => new Promise(resolve => server.server.close(resolve))
+    };
+}
+
+/**
+ * Create an account and a token for it
+ * @param {string} role - Role name (see auth.js)
+ * @returns {Promise} Authorization headers
+ */
+async function authorize(role) {
+    const username = `${role}${++userCount}`;
+    const result = await database.createUser({
+        username: username,
+        passwordHash: await Auth.hashPassword(`${username}-password`),
+        role: role
+    });
+
+    const { token } = Auth.issueToken({ id: result.insertId, username: username, role: role });
+    return { Authorization: `Bearer ${token}` };
+}
+
+/**
+ * Find the stored record with an email address
+ * @param {string} email - Email address
+ * @returns {Promise} Record or null
+ */
+async function findRecord(email) {
+    const { records } = await database.findRecords({ filters: { email } });
+    return records.find(record => record.email === email) || null;
+}
+
+/**
+ * Build a multipart body holding a CSV file
+ * @param {string} csv - File contents
+ * @param {Object} fields - Other form fields
+ * @returns {FormData} Body
+ */
+function csvUpload(csv, fields = {}) {
+    const form = new FormData();
+
+    for (const [name, value] of Object.entries(fields)) {
+        form.append(name, value);
+    }
+
+    form.append('csvfile', new Blob([csv], { type: 'text/csv' }), 'records.csv');
+    return form;
+}
+
+/**
+ * Poll an import job until it stops running
+ * @param {Object} app - startServer() result
+ * @param {Object} headers - Authorization headers
+ * @param {string} jobId - Job id
+ * @returns {Promise} Job status
+ */
+async function waitForImport(app, headers, jobId) {
+    for (;;) {
+        const response = await app.request(`/api/imports/${jobId}`, { headers });
+        const { data } = await response.json();
+
+        if (data.status !== 'queued' && data.status !== 'running') {
+            return data;
+        }
+
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+}
+
+module.exports = { database, startServer, authorize, findRecord, csvUpload, waitForImport };
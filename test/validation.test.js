@@ -0,0 +1,87 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+require('./support');
+const Validation = require('../src/validation');
+
+const VALID_FORM = {
+    first_name: 'Ann',
+    last_name: 'Byrne',
+    email: 'ann@example.com',
+    phone_number: '087 123 4567',
+    eircode: 'D02 X285',
+    age: 30
+};
+
+/**
+ * Fields of a record's validation errors
+ * @param {Object} record - Record to validate
+ * @param {string} source - form, csv or update
+ * @returns {Array} Field names
+ */
+function errorFields(record, source = 'form') {
+    return Validation.validateRecord(record, source).errors.map(error => error.field);
+}
+
+test('a complete form submission is valid', () => {
+    assert.deepStrictEqual(errorFields(VALID_FORM), []);
+});
+
+test('required fields depend on the source', () => {
+    const { phone_number, eircode, ...imported } = VALID_FORM;
+
+    assert.deepStrictEqual(errorFields(imported, 'form'), ['phone_number', 'eircode']);
+    assert.deepStrictEqual(errorFields(imported, 'csv'), []);
+    assert.deepStrictEqual(errorFields({}, 'update'), ['first_name', 'last_name', 'email']);
+});
+
+test('values outside the schema are refused with a code', () => {
+    const { errors } = Validation.validateRecord({ ...VALID_FORM, email: 'ann@', age: 121 });
+
+    assert.deepStrictEqual(errors.map(error => [error.field, error.code]), [['email', 'invalid_email'], ['age', 'too_large']]);
+});
+
+test('phone numbers are stored as E.164 and Eircodes in their canonical form', () => {
+    const normalized = Validation.normalizeRecord({ ...VALID_FORM, phone_number: '(087) 123-4567', eircode: 'd02x285' });
+
+    assert.strictEqual(normalized.phone_number, '+353871234567');
+    assert.strictEqual(normalized.eircode, 'D02 X285');
+    assert.strictEqual(Validation.eircodeRoutingKey('d02x285'), 'D02');
+});
+
+test('Eircodes and phone numbers are checked, not just their shape', () => {
+    assert.deepStrictEqual(errorFields({ ...VALID_FORM, eircode: 'Z99 X285' }), ['eircode']);
+    assert.deepStrictEqual(errorFields({ ...VALID_FORM, eircode: 'A00 X285' }), ['eircode']);
+    assert.deepStrictEqual(errorFields({ ...VALID_FORM, phone_number: '087 12' }), ['phone_number']);
+    assert.deepStrictEqual(errorFields({ ...VALID_FORM, phone_number: '+44 20 7946 0018' }), []);
+});
+
+test('names in any script with apostrophes, hyphens and spaces are accepted', () => {
+    for (const name of ["O'Brien", 'O’Brien', 'Seán', 'Ní Dhomhnaill', 'Smith-Jones', 'Zoë', 'Łukasz']) {
+        assert.deepStrictEqual(errorFields({ ...VALID_FORM, first_name: name }), [], name);
+    }
+
+    for (const name of ['<b>Ann</b>', 'Ann1', "O''Brien", '-Ann']) {
+        assert.deepStrictEqual(errorFields({ ...VALID_FORM, first_name: name }), ['first_name'], name);
+    }
+});
+
+test('sanitizing keeps what was typed', () => {
+    assert.strictEqual(Validation.sanitizeInput("  O'Brien & Sons\u0007 "), "O'Brien & Sons");
+    assert.strictEqual(Validation.sanitizeInput('Se\u0301an'), 'S\u00e9an');
+});
+
+test('listing queries are parsed with defaults', () => {
+    const { options, errors } = Validation.parseRecordQuery({ sort: 'age', order: 'desc', page: '2' });
+
+    assert.deepStrictEqual(errors, []);
+    assert.strictEqual(options.sortBy, 'age');
+    assert.strictEqual(options.sortOrder, 'DESC');
+    assert.strictEqual(options.offset, 20);
+});
+
+test('repeated or nested query parameters are errors, not exceptions', () => {
+    const { errors } = Validation.parseRecordQuery({ order: ['asc', 'desc'], name: { first: 'Ann' } });
+
+    assert.deepStrictEqual(errors, ['order must be given once', 'name must be given once']);
+});